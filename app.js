@@ -1,11 +1,15 @@
-function setStatus(message, { error = false } = {}) {
-  const el = document.getElementById("status");
+function setStatus(message, { error = false, id = "status" } = {}) {
+  const el = document.getElementById(id);
   el.textContent = message || "";
   el.classList.toggle("error", Boolean(error));
 }
 
+// Items without their bytes (see itemWithoutBytes in core.js); downloads read them again from lastDecodeSources.
 let lastDecodedItems = [];
+let lastDecodeSources = [];
+let lastExtracted = null;
 let lastResponseXml = "";
+let lastDecodeStatus = "";
 
 async function fileToBase64(file) {
   return new Promise((resolve, reject) => {
@@ -31,132 +35,23 @@ function escapeHtml(value) {
     .replaceAll("'", "&#039;");
 }
 
-function csvEscape(value) {
-  const str = value === null || value === undefined ? "" : String(value);
-  if (/[",\r\n]/.test(str)) return `"${str.replaceAll('"', '""')}"`;
-  return str;
+// CSV in the dialect from the export settings; columnTypes (as in the Parquet export) picks the columns that get
+// decimal commas.
+function dialectCsv(rows, columns, columnTypes = {}) {
+  const decimalColumns = columns.filter((c) => columnTypes[c] === "double");
+  return rowsToCsv(rows, columns, { ...csvDialect, decimalColumns });
 }
 
-function rowsToCsv(rows, columns) {
-  const header = columns.map(csvEscape).join(",");
-  const lines = [header];
-  for (const row of rows) {
-    lines.push(columns.map((c) => csvEscape(row[c])).join(","));
-  }
-  return `${lines.join("\r\n")}\r\n`;
-}
-
-function downloadCsv(filename, rows, columns) {
-  const csv = rowsToCsv(rows, columns);
+function downloadCsv(filename, rows, columns, columnTypes = {}) {
+  const csv = dialectCsv(rows, columns, columnTypes);
   triggerDownload(filename, new TextEncoder().encode(csv), "text/csv");
 }
 
-function safeFileName(value) {
-  const base = String(value || "file").trim() || "file";
-  return base.replace(/[^a-zA-Z0-9._-]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 180) || "file";
-}
-
-function bytesToHex(bytes, max = 16) {
-  const slice = bytes.subarray(0, Math.min(bytes.length, max));
-  return Array.from(slice)
-    .map((b) => b.toString(16).padStart(2, "0"))
-    .join("");
-}
-
-function bytesToBase64(bytes) {
-  const chunkSize = 0x8000;
-  let binary = "";
-  for (let i = 0; i < bytes.length; i += chunkSize) {
-    const chunk = bytes.subarray(i, i + chunkSize);
-    binary += String.fromCharCode(...chunk);
-  }
-  return btoa(binary);
-}
-
-function looksGzip(bytes) {
-  return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
-}
-
-function looksZip(bytes) {
-  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
-}
-
-function looksLikeText(bytes) {
-  const sample = bytes.subarray(0, Math.min(bytes.length, 2048));
-  if (sample.length === 0) return false;
-  let controlish = 0;
-  for (const b of sample) {
-    if (b === 0) return false;
-    if (b < 0x09) controlish++;
-    else if (b > 0x0d && b < 0x20) controlish++;
-  }
-  return controlish / sample.length < 0.05;
+function downloadParquet(filename, rows, columns, columnTypes) {
+  triggerDownload(filename, rowsToParquet(rows, columns, columnTypes), "application/vnd.apache.parquet");
 }
 
-function describeBytes(bytes) {
-  if (looksGzip(bytes)) return { ext: "gz", mime: "application/gzip", isText: false };
-  if (looksZip(bytes)) return { ext: "zip", mime: "application/zip", isText: false };
-  const isText = looksLikeText(bytes);
-  if (!isText) return { ext: "bin", mime: "application/octet-stream", isText: false };
-
-  const decoder = new TextDecoder("utf-8", { fatal: false });
-  const text = decoder.decode(bytes.subarray(0, Math.min(bytes.length, 64 * 1024))).trimStart();
-  if (text.startsWith("<?xml") || text.startsWith("<")) return { ext: "xml", mime: "application/xml", isText: true };
-  if (text.includes("\n") && (text.includes(",") || text.includes(";"))) return { ext: "csv", mime: "text/csv", isText: true };
-  return { ext: "txt", mime: "text/plain", isText: true };
-}
-
-function makePreview(bytes) {
-  const info = describeBytes(bytes);
-  if (!info.isText) {
-    return `Binary preview (hex): ${bytesToHex(bytes, 64)}${bytes.length > 64 ? "…" : ""}`;
-  }
-  const decoder = new TextDecoder("utf-8", { fatal: false });
-  const text = decoder.decode(bytes.subarray(0, Math.min(bytes.length, 48 * 1024)));
-  const maxChars = 4000;
-  const trimmed = text.length > maxChars ? `${text.slice(0, maxChars)}\n…` : text;
-  return trimmed;
-}
-
-function base64ToBytes(base64Input) {
-  let base64 = String(base64Input || "")
-    .replace(/\s+/g, "")
-    .replace(/-/g, "+")
-    .replace(/_/g, "/");
-  if (!base64) return new Uint8Array();
-  const mod = base64.length % 4;
-  if (mod) base64 += "=".repeat(4 - mod);
-
-  const chunkSize = 32768; // must be a multiple of 4
-  const parts = [];
-  let total = 0;
-  for (let i = 0; i < base64.length; i += chunkSize) {
-    const chunk = base64.slice(i, i + chunkSize);
-    const bin = atob(chunk);
-    const bytes = new Uint8Array(bin.length);
-    for (let j = 0; j < bin.length; j++) bytes[j] = bin.charCodeAt(j);
-    parts.push(bytes);
-    total += bytes.length;
-  }
-
-  const out = new Uint8Array(total);
-  let offset = 0;
-  for (const part of parts) {
-    out.set(part, offset);
-    offset += part.length;
-  }
-  return out;
-}
-
-async function gunzipBytes(bytes) {
-  if (!looksGzip(bytes)) return null;
-  if (!("DecompressionStream" in window)) {
-    throw new Error("This browser cannot gunzip (DecompressionStream not supported).");
-  }
-  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
-  const ab = await new Response(stream).arrayBuffer();
-  return new Uint8Array(ab);
-}
+const parquetFileName = (csvName) => csvName.replace(/\.csv$/, ".parquet");
 
 function triggerDownload(filename, bytes, mime) {
   const blob = new Blob([bytes], { type: mime || "application/octet-stream" });
@@ -170,207 +65,6 @@ function triggerDownload(filename, bytes, mime) {
   setTimeout(() => URL.revokeObjectURL(url), 1500);
 }
 
-function extractBinaryItems(xmlText) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(xmlText, "application/xml");
-  const parserError = doc.getElementsByTagName("parsererror")[0];
-  if (parserError) {
-    throw new Error("Invalid XML (parser error).");
-  }
-
-  const binaries = Array.from(doc.getElementsByTagNameNS("*", "binary"));
-  return binaries.map((el, index) => {
-    const id = el.getAttribute("id") || `binary-${index + 1}`;
-    const type = el.getAttribute("type") || "binary";
-    const base64 = (el.textContent || "").trim().replace(/\s+/g, "");
-    return { index, id, type, base64 };
-  });
-}
-
-function tryParseXmlText(text) {
-  const normalized = String(text || "").trim();
-  if (!normalized) return null;
-  if (!normalized.startsWith("<") && !normalized.startsWith("<?xml")) return null;
-
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(normalized, "application/xml");
-  const parserError = doc.getElementsByTagName("parsererror")[0];
-  if (parserError) return null;
-  return doc;
-}
-
-function getText(el) {
-  if (!el) return "";
-  return (el.textContent || "").trim();
-}
-
-function groupBy(rows, keyFn) {
-  const map = new Map();
-  for (const row of rows) {
-    const key = keyFn(row);
-    const list = map.get(key);
-    if (list) list.push(row);
-    else map.set(key, [row]);
-  }
-  return map;
-}
-
-function extractFuelPricePublication(doc, { binaryId }) {
-  const root = doc.documentElement;
-  const extensionName = root ? root.getAttribute("extensionName") || "" : "";
-
-  const payloads = Array.from(doc.getElementsByTagNameNS("*", "payloadPublication"));
-  const isFuelPrice =
-    extensionName === "FuelPricePublication" ||
-    payloads.some((p) => (p.getAttribute("xsi:type") || "").includes("FuelPricePublication"));
-  if (!isFuelPrice) return null;
-
-  const fuelRows = [];
-  const overrideRows = [];
-
-  for (const payload of payloads) {
-    const publicationId = payload.getAttribute("id") || "";
-    const publicationType = payload.getAttribute("xsi:type") || extensionName || "";
-
-    const publicationCreator = payload.getElementsByTagNameNS("*", "publicationCreator")[0] || null;
-    const creatorCountry = getText(publicationCreator?.getElementsByTagNameNS("*", "country")[0] || null);
-    const creatorNationalIdentifier = getText(
-      publicationCreator?.getElementsByTagNameNS("*", "nationalIdentifier")[0] || null,
-    );
-
-    const stationInfos = Array.from(payload.getElementsByTagNameNS("*", "petrolStationInformation"));
-    for (const info of stationInfos) {
-      const stationRef = info.getElementsByTagNameNS("*", "petrolStationReference")[0] || null;
-      const stationId = stationRef ? stationRef.getAttribute("id") || "" : "";
-      const stationVersion = stationRef ? stationRef.getAttribute("version") || "" : "";
-
-      for (const child of Array.from(info.children || [])) {
-        const local = child.localName || "";
-        if (!local.startsWith("fuelPrice")) continue;
-        const fuel = local.replace(/^fuelPrice/, "") || "Unknown";
-        const price = getText(child.getElementsByTagNameNS("*", "price")[0]);
-        const dateOfPrice = getText(child.getElementsByTagNameNS("*", "dateOfPrice")[0]);
-        if (!price && !dateOfPrice) continue;
-
-        fuelRows.push({
-          station_id: stationId,
-          station_version: stationVersion,
-          fuel,
-          price,
-          date_of_price: dateOfPrice,
-          creator_country: creatorCountry,
-          creator_national_identifier: creatorNationalIdentifier,
-          publication_id: publicationId,
-          publication_type: publicationType,
-          binary_id: binaryId,
-        });
-      }
-
-      const overrides = Array.from(info.getElementsByTagNameNS("*", "overrideOpen"));
-      for (const ov of overrides) {
-        const startOfPeriod = getText(ov.getElementsByTagNameNS("*", "startOfPeriod")[0]);
-        const endOfPeriod = getText(ov.getElementsByTagNameNS("*", "endOfPeriod")[0]);
-        if (!startOfPeriod && !endOfPeriod) continue;
-        overrideRows.push({
-          station_id: stationId,
-          station_version: stationVersion,
-          start_of_period: startOfPeriod,
-          end_of_period: endOfPeriod,
-          creator_country: creatorCountry,
-          creator_national_identifier: creatorNationalIdentifier,
-          publication_id: publicationId,
-          publication_type: publicationType,
-          binary_id: binaryId,
-        });
-      }
-    }
-  }
-
-  return { fuelRows, overrideRows };
-}
-
-function wideFuelRowsForStation(rows) {
-  const uniqueJoin = (key) => {
-    const set = new Set();
-    for (const r of rows) {
-      const v = r && r[key] !== undefined && r[key] !== null ? String(r[key]).trim() : "";
-      if (v) set.add(v);
-    }
-    return Array.from(set).sort((a, b) => a.localeCompare(b)).join("; ");
-  };
-
-  const fuels = Array.from(new Set(rows.map((r) => r.fuel))).filter(Boolean).sort();
-  const byDate = groupBy(rows, (r) => r.date_of_price || "");
-  const dates = Array.from(byDate.keys()).filter(Boolean).sort();
-
-  const stationId = rows[0] ? rows[0].station_id || "" : "";
-  const creatorCountry = uniqueJoin("creator_country");
-  const creatorNationalIdentifier = uniqueJoin("creator_national_identifier");
-
-  const out = [];
-  for (const date of dates) {
-    const row = {
-      station_id: stationId,
-      creator_country: creatorCountry,
-      creator_national_identifier: creatorNationalIdentifier,
-      date_of_price: date,
-    };
-    for (const fuel of fuels) row[fuel] = "";
-    for (const r of byDate.get(date) || []) row[r.fuel] = r.price;
-    out.push(row);
-  }
-
-  return { fuels, rows: out };
-}
-
-async function decodeXmlToItems(xmlText) {
-  const bins = extractBinaryItems(xmlText);
-  const out = [];
-  for (const bin of bins) {
-    if (!bin.base64) {
-      out.push({ ...bin, error: "Empty <binary> content." });
-      continue;
-    }
-    try {
-      const rawBytes = base64ToBytes(bin.base64);
-      const rawInfo = describeBytes(rawBytes);
-
-      let gunzippedBytes = null;
-      let gunzipError = null;
-      if (looksGzip(rawBytes)) {
-        try {
-          gunzippedBytes = await gunzipBytes(rawBytes);
-        } catch (e) {
-          gunzipError = e && e.message ? e.message : "Failed to gunzip.";
-        }
-      }
-
-      const decodedBytes = gunzippedBytes || rawBytes;
-      const decodedInfo = describeBytes(decodedBytes);
-
-      const baseName = safeFileName(`${bin.id}_${bin.type}`);
-      const rawFilename = `${baseName}.${rawInfo.ext}`;
-      const decodedFilename = `${baseName}.${decodedInfo.ext}`;
-
-      out.push({
-        ...bin,
-        wasGunzipped: Boolean(gunzippedBytes),
-        rawBytes,
-        rawInfo,
-        decodedBytes,
-        decodedInfo,
-        rawFilename,
-        decodedFilename,
-        gunzipError,
-        preview: makePreview(decodedBytes),
-      });
-    } catch (e) {
-      out.push({ ...bin, error: e && e.message ? e.message : "Failed to decode." });
-    }
-  }
-  return out;
-}
-
 function renderRawBinaries(items, targetEl) {
   const results = targetEl || document.getElementById("rawResults") || document.getElementById("results");
   results.innerHTML = "";
@@ -388,9 +82,13 @@ function renderRawBinaries(items, targetEl) {
       ? `<div class="muted small" style="color: var(--danger);">${escapeHtml(item.gunzipError)} (download raw instead)</div>`
       : "";
 
+    const unzipNote = item.unzipError
+      ? `<div class="muted small" style="color: var(--danger);">${escapeHtml(item.unzipError)} (download the archive instead)</div>`
+      : "";
+
     const downloads = `
       <div class="downloads">
-        <button class="btn" data-action="download-raw">Download base64-decoded</button>
+        <button class="btn" data-action="download-raw">${item.zipEntry ? "Download unzipped entry" : "Download base64-decoded"}</button>
         ${
           item.wasGunzipped && !item.error
             ? `<button class="btn primary" data-action="download-decoded">Download gunzipped</button>`
@@ -401,507 +99,1915 @@ function renderRawBinaries(items, targetEl) {
 
     const card = document.createElement("div");
     card.className = "result";
-    const base64Meta = `<div><code>base64-decoded</code>: ${escapeHtml(String(item.rawBytes ? item.rawBytes.length : 0))} bytes · ${escapeHtml(item.rawInfo ? item.rawInfo.mime : "application/octet-stream")} · .${escapeHtml(item.rawInfo ? item.rawInfo.ext : "bin")}</div>`;
+    const base64Meta = `<div><code>${item.zipEntry ? "zip entry" : "base64-decoded"}</code>: ${escapeHtml(String(item.rawSize || 0))} bytes · ${escapeHtml(item.rawInfo ? item.rawInfo.mime : "application/octet-stream")} · .${escapeHtml(item.rawInfo ? item.rawInfo.ext : "bin")}</div>`;
     const gunzipMeta = item.wasGunzipped
-      ? `<div><code>gunzipped</code>: ${escapeHtml(String(item.decodedBytes ? item.decodedBytes.length : 0))} bytes · ${escapeHtml(item.decodedInfo ? item.decodedInfo.mime : "application/octet-stream")} · .${escapeHtml(item.decodedInfo ? item.decodedInfo.ext : "bin")}</div>`
+      ? `<div><code>gunzipped</code>: ${escapeHtml(String(item.decodedSize || 0))} bytes · ${escapeHtml(item.decodedInfo ? item.decodedInfo.mime : "application/octet-stream")} · .${escapeHtml(item.decodedInfo ? item.decodedInfo.ext : "bin")}</div>`
       : item.gunzipError
         ? `<div><code>gunzip</code>: failed</div>`
         : "";
+    const zipMeta =
+      item.zipEntryCount !== undefined
+        ? `<div><code>unzipped</code>: ${escapeHtml(String(item.zipEntryCount))} entr${item.zipEntryCount === 1 ? "y" : "ies"} (shown separately)</div>`
+        : item.unzipError
+          ? `<div><code>unzip</code>: failed</div>`
+          : "";
+
+    const sourceMeta = item.sourceFile ? `<div><code>source</code>: ${escapeHtml(item.sourceFile)}</div>` : "";
 
     card.innerHTML = `
       <h3>${escapeHtml(title)}</h3>
       <div class="meta">
+        ${sourceMeta}
         ${base64Meta}
         ${gunzipMeta}
+        ${zipMeta}
       </div>
       ${downloads}
       ${gunzipNote}
+      ${unzipNote}
       ${error}
       ${preview}
     `;
     const rawBtn = card.querySelector('[data-action="download-raw"]');
     const decodedBtn = card.querySelector('[data-action="download-decoded"]');
 
+    // The bytes are read again from the decoded response only when they are downloaded.
+    const downloadBytes = (key, filename, info) => async () => {
+      const bytes = await itemBytesOrStatus([item]);
+      if (bytes) triggerDownload(filename, bytes[0][key], info ? info.mime : undefined);
+    };
     if (rawBtn) {
-      rawBtn.disabled = !item.rawBytes || item.rawBytes.length === 0;
-      rawBtn.addEventListener("click", () => {
-        triggerDownload(item.rawFilename || "raw.bin", item.rawBytes, item.rawInfo ? item.rawInfo.mime : undefined);
-      });
+      rawBtn.disabled = !item.rawSize;
+      rawBtn.addEventListener("click", downloadBytes("rawBytes", item.rawFilename || "raw.bin", item.rawInfo));
     }
     if (decodedBtn) {
-      decodedBtn.disabled = !item.decodedBytes || item.decodedBytes.length === 0 || Boolean(item.error);
-      decodedBtn.addEventListener("click", () => {
-        triggerDownload(
-          item.decodedFilename || "decoded.bin",
-          item.decodedBytes,
-          item.decodedInfo ? item.decodedInfo.mime : undefined,
-        );
-      });
+      decodedBtn.disabled = !item.decodedSize || Boolean(item.error);
+      const filename = item.decodedFilename || "decoded.bin";
+      decodedBtn.addEventListener("click", downloadBytes("decodedBytes", filename, item.decodedInfo));
     }
     results.appendChild(card);
   }
 }
 
-function renderTimeSeriesFromItems(items) {
-  const results = document.getElementById("results");
-  results.innerHTML = "";
+function summarizeUnique(values, { maxItems = 2, maxChars = 90, separator = "; " } = {}) {
+  const uniq = Array.from(new Set(values.map((v) => (v === null || v === undefined ? "" : String(v).trim())).filter(Boolean)));
+  uniq.sort((a, b) => a.localeCompare(b));
+  if (uniq.length === 0) return { text: "—", title: "", count: 0 };
+  const title = uniq.join("\n");
+  let text = uniq.slice(0, maxItems).join(separator);
+  if (text.length > maxChars) text = `${text.slice(0, Math.max(0, maxChars - 1))}…`;
+  if (uniq.length > maxItems) text += ` (+${uniq.length - maxItems})`;
+  return { text, title, count: uniq.length };
+}
 
-  if (!items || items.length === 0) {
-    return { fuelRows: 0, overrideRows: 0, parsedXmlBinaries: 0, fuelBinaries: 0 };
+// Earliest and latest value of `column` ({ first, last, firstOrder, lastOrder } or null); `orderColumn` (e.g. a
+// normalised epoch-ms column) decides what is earliest.
+function valueExtent(rows, column, orderColumn = column) {
+  let min = null;
+  let max = null;
+  for (const r of rows) {
+    const d = String(r[column] || "").trim();
+    const order = r[orderColumn];
+    if (!d || order === "" || order === undefined || order === null) continue;
+    if (!min || order < min.order) min = { d, order };
+    if (!max || order > max.order) max = { d, order };
   }
+  return min ? { first: min.d, last: max.d, firstOrder: min.order, lastOrder: max.order } : null;
+}
 
-  const fuelRows = [];
-  const overrideRows = [];
-  let parsedXmlBinaries = 0;
-  let fuelBinaries = 0;
+function valueRange(rows, column, orderColumn = column) {
+  const extent = valueExtent(rows, column, orderColumn);
+  if (!extent) return "—";
+  if (extent.first === extent.last) return extent.first;
+  return `${extent.first} → ${extent.last}`;
+}
 
-  const decoder = new TextDecoder("utf-8", { fatal: false });
+// Previous/next buttons and the shown range below a table (hidden when everything fits on one page).
+function renderPager(pager, { page, pageSize, total, onPage }) {
+  const pageCount = Math.ceil(total / pageSize);
+  pager.hidden = pageCount <= 1;
+  if (pager.hidden) return;
+  pager.innerHTML = `
+    <button class="btn" type="button" data-page="${page - 1}"${page === 0 ? " disabled" : ""}>‹ Previous</button>
+    <span class="muted small">Rows ${page * pageSize + 1}–${Math.min(total, (page + 1) * pageSize)} of ${total} (page ${page + 1} of ${pageCount})</span>
+    <button class="btn" type="button" data-page="${page + 1}"${page + 1 >= pageCount ? " disabled" : ""}>Next ›</button>
+  `;
+  pager.querySelectorAll("[data-page]").forEach((btn) => btn.addEventListener("click", () => onPage(Number(btn.dataset.page))));
+}
 
-  for (const item of items) {
-    if (item.error) continue;
-    if (!item.decodedBytes || !item.decodedInfo || item.decodedInfo.ext !== "xml") continue;
+// The pager that belongs to a table: the element after its .table-wrap, created on first use.
+function tablePager(tbody) {
+  const wrap = tbody.closest(".table-wrap");
+  if (wrap.nextElementSibling && wrap.nextElementSibling.classList.contains("pager")) return wrap.nextElementSibling;
+  const pager = document.createElement("div");
+  pager.className = "pager";
+  pager.hidden = true;
+  wrap.after(pager);
+  return pager;
+}
 
-    const text = decoder.decode(item.decodedBytes);
-    const doc = tryParseXmlText(text);
-    if (!doc) continue;
-    parsedXmlBinaries++;
+function resetPreviewTable(thead, tbody) {
+  thead.innerHTML = "";
+  tbody.innerHTML = "";
+  tablePager(tbody).hidden = true;
+}
 
-    const extracted = extractFuelPricePublication(doc, { binaryId: item.id || String(item.index + 1) });
-    if (!extracted) continue;
-    fuelBinaries++;
-    fuelRows.push(...extracted.fuelRows);
-    overrideRows.push(...extracted.overrideRows);
+// Shows `rows` a page at a time; the pager below the table pages through all of them.
+function fillPreviewTable(thead, tbody, rows, columns, pageSize) {
+  const trHead = document.createElement("tr");
+  for (const col of columns) {
+    const th = document.createElement("th");
+    th.textContent = col;
+    trHead.appendChild(th);
   }
+  thead.appendChild(trHead);
+
+  const pager = tablePager(tbody);
+  const showPage = (page) => {
+    tbody.innerHTML = "";
+    for (const r of rows.slice(page * pageSize, (page + 1) * pageSize)) {
+      const tr = document.createElement("tr");
+      for (const col of columns) {
+        const td = document.createElement("td");
+        td.textContent = r[col] ?? "";
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+    renderPager(pager, { page, pageSize, total: rows.length, onPage: showPage });
+  };
+  showPage(0);
+}
 
-  const hasFuel = fuelRows.length > 0;
-  const hasOverrides = overrideRows.length > 0;
+function renderTableMeta(table, rows) {
+  const meta = table.meta ? table.meta(rows) : [];
+  return `
+    <div><code>rows</code>: ${rows.length}</div>
+    ${meta.map((m) => `<div><code>${escapeHtml(m.label)}</code>: ${escapeHtml(String(m.value))}</div>`).join("")}
+  `;
+}
 
-  if (!hasFuel && !hasOverrides) {
-    const empty = document.createElement("div");
-    empty.className = "muted";
-    empty.textContent = `No FuelPricePublication records extracted (parsed XML binaries: ${parsedXmlBinaries}/${items.length}). Showing raw binaries below.`;
-    results.appendChild(empty);
+// Step chart for the wide preview: one step line per series (a price holds until the next observation), shaded bands,
+// a hover tooltip and zoom/pan over the time axis (wheel and drag, or the buttons). Plain SVG, no library.
+const chartPalette = ["#7aa2ff", "#ffb86b", "#5ad19a", "#ff6b9d", "#c792ea", "#f1fa8c", "#64d2ff", "#ff8f6b"];
+const chartDashes = ["", "7 4", "2 4", "10 4 2 4", "1 6"];
+const chartMaxOverlays = 4;
+let chartCount = 0;
 
-    const rawDetails = document.createElement("details");
-    rawDetails.className = "details";
-    rawDetails.open = false;
-    rawDetails.innerHTML = `<summary>Raw binaries (${items.length})</summary><div id="rawResults" class="results"></div>`;
-    results.appendChild(rawDetails);
-    renderRawBinaries(items, rawDetails.querySelector("#rawResults"));
-    return { fuelRows: 0, overrideRows: 0, parsedXmlBinaries, fuelBinaries };
-  }
-
-  if (hasFuel) {
-    const longColumns = [
-      "station_id",
-      "station_version",
-      "fuel",
-      "price",
-      "date_of_price",
-      "creator_country",
-      "creator_national_identifier",
-      "publication_id",
-      "publication_type",
-      "binary_id",
-    ];
+function niceStep(raw) {
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].map((m) => m * magnitude).find((step) => step >= raw);
+}
 
-    const groupOptions = [
-      { key: "station_id", label: "station_id", get: (r) => r.station_id || "(missing station_id)" },
-      { key: "station_version", label: "station_version", get: (r) => r.station_version || "(missing station_version)" },
-      { key: "fuel", label: "fuel", get: (r) => r.fuel || "(missing fuel)" },
-      { key: "price", label: "price", get: (r) => r.price || "(missing price)" },
-      { key: "date_day", label: "date (day)", get: (r) => (r.date_of_price || "").split("T")[0] || "(missing date)" },
-      { key: "date_of_price", label: "date_of_price", get: (r) => r.date_of_price || "(missing date_of_price)" },
-      { key: "creator_country", label: "creator_country", get: (r) => r.creator_country || "(missing creator_country)" },
-      {
-        key: "creator_national_identifier",
-        label: "creator_national_identifier",
-        get: (r) => r.creator_national_identifier || "(missing creator_national_identifier)",
-      },
-      { key: "publication_id", label: "publication_id", get: (r) => r.publication_id || "(missing publication_id)" },
-      { key: "publication_type", label: "publication_type", get: (r) => r.publication_type || "(missing publication_type)" },
-      { key: "binary_id", label: "binary_id", get: (r) => r.binary_id || "(missing binary_id)" },
-    ];
-    const groupByKey = new Map(groupOptions.map((o) => [o.key, o]));
-    const groupByDefault = "station_id";
+const chartTimeSteps = [60e3, 300e3, 900e3, 1800e3, 3600e3, 3 * 3600e3, 6 * 3600e3, 12 * 3600e3, 864e5, 2 * 864e5, 7 * 864e5, 30 * 864e5];
 
-    const byStation = groupBy(fuelRows, (r) => r.station_id || "(missing station_id)");
-    const stationCount = new Set(fuelRows.map((r) => r.station_id).filter(Boolean)).size;
+// series: [{ name, color, dash, points: [{ ms, value, label }] }] with points in time order; bands: [{ start, end,
+// title }] in epoch ms (end null: open-ended).
+function renderStepChart(container, { series, bands = [], bandLabel = "", timeZone = "UTC" }) {
+  const points = series.flatMap((s) => s.points);
+  if (!points.length) {
+    container.innerHTML = `<p class="muted small">No numeric values to chart.</p>`;
+    return;
+  }
+  const width = 800;
+  const height = 280;
+  const margin = { top: 12, right: 16, bottom: 28, left: 56 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  let dataStart = Math.min(...points.map((p) => p.ms));
+  let dataEnd = Math.max(...points.map((p) => p.ms));
+  if (dataStart === dataEnd) [dataStart, dataEnd] = [dataStart - 1800e3, dataEnd + 1800e3];
+  let view = [dataStart, dataEnd];
+
+  container.innerHTML = `
+    <div class="chart-toolbar">
+      <button class="btn" type="button" data-action="chart-zoom-in">Zoom in</button>
+      <button class="btn" type="button" data-action="chart-zoom-out">Zoom out</button>
+      <button class="btn" type="button" data-action="chart-reset">Reset</button>
+      <span class="muted small">Scroll to zoom, drag to pan.</span>
+    </div>
+    <div class="chart">
+      <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Step chart"></svg>
+      <div class="chart-tooltip" hidden></div>
+    </div>
+    <div class="chart-legend">
+      ${series
+        .map(
+          (s) => `<span><svg width="24" height="10"><line x1="0" y1="5" x2="24" y2="5" stroke="${s.color}" stroke-width="2" stroke-dasharray="${s.dash}"/></svg>${escapeHtml(s.name)}</span>`,
+        )
+        .join("")}
+      ${bands.length ? `<span><span class="chart-band-swatch"></span>${escapeHtml(bandLabel)}</span>` : ""}
+    </div>
+  `;
+  const clipId = `chartPlot${++chartCount}`;
+  const svg = container.querySelector(".chart svg");
+  const tooltip = container.querySelector(".chart-tooltip");
+
+  const xOf = (ms) => margin.left + ((ms - view[0]) / (view[1] - view[0])) * plotWidth;
+  const msOf = (x) => view[0] + ((x - margin.left) / plotWidth) * (view[1] - view[0]);
+  // The point in effect at `ms` (the last one at or before it), or null.
+  const pointAt = (list, ms) => {
+    let lo = 0;
+    let hi = list.length - 1;
+    let found = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].ms <= ms) {
+        found = list[mid];
+        lo = mid + 1;
+      } else hi = mid - 1;
+    }
+    return found;
+  };
+  const tickLabel = (ms, withDate) => {
+    const text = formatTimestampInZone(ms, timeZone).replace("T", " ");
+    return withDate ? text.slice(5, 16) : text.slice(11, 16);
+  };
 
-    const card = document.createElement("div");
-    card.className = "result";
-    card.innerHTML = `
-      <h3>Fuel prices (time series)</h3>
-      <div class="meta">
-        <div><code>rows</code>: ${fuelRows.length}</div>
-        <div><code>stations</code>: ${stationCount}</div>
-      </div>
-      <div class="downloads">
-        <button class="btn primary" data-action="download-fuel-all">Download all (long CSV)</button>
+  const draw = () => {
+    const visible = series.flatMap((s) => {
+      const inView = s.points.filter((p) => p.ms >= view[0] && p.ms <= view[1]);
+      const before = pointAt(s.points, view[0]);
+      return before ? [before, ...inView] : inView;
+    });
+    const values = (visible.length ? visible : points).map((p) => p.value);
+    let low = Math.min(...values);
+    let high = Math.max(...values);
+    const pad = high > low ? (high - low) * 0.08 : Math.max(Math.abs(high) * 0.01, 0.01);
+    [low, high] = [low - pad, high + pad];
+    const yOf = (value) => margin.top + (1 - (value - low) / (high - low)) * plotHeight;
+
+    const yStep = niceStep((high - low) / 5);
+    const decimals = Math.max(0, -Math.floor(Math.log10(yStep)));
+    const yTicks = [];
+    for (let v = Math.ceil(low / yStep) * yStep; v <= high; v += yStep) yTicks.push(v);
+    const span = view[1] - view[0];
+    const xStep = chartTimeSteps.find((step) => span / step <= 6) || span / 6;
+    const xTicks = [];
+    for (let t = Math.ceil(view[0] / xStep) * xStep; t <= view[1]; t += xStep) xTicks.push(t);
+    const withDate = xStep >= 864e5 || new Set(xTicks.map((t) => tickLabel(t, true).slice(0, 5))).size > 1;
+
+    const stepPath = (list) => {
+      if (!list.length) return "";
+      let d = `M${xOf(list[0].ms).toFixed(1)},${yOf(list[0].value).toFixed(1)}`;
+      for (const p of list.slice(1)) d += `H${xOf(p.ms).toFixed(1)}V${yOf(p.value).toFixed(1)}`;
+      return `${d}H${xOf(dataEnd).toFixed(1)}`;
+    };
+
+    svg.innerHTML = `
+      <defs><clipPath id="${clipId}"><rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}"/></clipPath></defs>
+      <g clip-path="url(#${clipId})">
+        ${bands
+          .map((b) => {
+            const x1 = Math.max(xOf(b.start), margin.left);
+            const x2 = Math.min(b.end === null ? width : xOf(b.end), width - margin.right);
+            return x2 > x1
+              ? `<rect class="chart-band" x="${x1.toFixed(1)}" y="${margin.top}" width="${(x2 - x1).toFixed(1)}" height="${plotHeight}"><title>${escapeHtml(b.title)}</title></rect>`
+              : "";
+          })
+          .join("")}
+        ${series
+          .map((s) => `<path d="${stepPath(s.points)}" fill="none" stroke="${s.color}" stroke-width="2" stroke-dasharray="${s.dash}"/>`)
+          .join("")}
+      </g>
+      ${yTicks
+        .map(
+          (v) => `<line class="chart-grid" x1="${margin.left}" x2="${width - margin.right}" y1="${yOf(v).toFixed(1)}" y2="${yOf(v).toFixed(1)}"/>
+            <text class="chart-axis" x="${margin.left - 6}" y="${(yOf(v) + 4).toFixed(1)}" text-anchor="end">${v.toFixed(decimals)}</text>`,
+        )
+        .join("")}
+      ${xTicks
+        .map(
+          (t) => `<text class="chart-axis" x="${xOf(t).toFixed(1)}" y="${height - 8}" text-anchor="middle">${escapeHtml(tickLabel(t, withDate))}</text>`,
+        )
+        .join("")}
+      <rect class="chart-frame" x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}"/>
+      <line class="chart-cursor" y1="${margin.top}" y2="${margin.top + plotHeight}" visibility="hidden"/>
+    `;
+  };
+
+  const zoom = (factor, center = (view[0] + view[1]) / 2) => {
+    const span = Math.min(Math.max((view[1] - view[0]) * factor, 60e3), dataEnd - dataStart);
+    const start = center - (center - view[0]) * (span / (view[1] - view[0]));
+    view = [Math.min(Math.max(start, dataStart), dataEnd - span), 0];
+    view[1] = view[0] + span;
+    draw();
+  };
+
+  // Pointer position in viewBox units.
+  const svgX = (e) => {
+    const rect = svg.getBoundingClientRect();
+    return rect.width ? ((e.clientX - rect.left) / rect.width) * width : margin.left;
+  };
+
+  const showTooltip = (e) => {
+    const x = svgX(e);
+    const cursor = svg.querySelector(".chart-cursor");
+    if (x < margin.left || x > width - margin.right) {
+      tooltip.hidden = true;
+      cursor.setAttribute("visibility", "hidden");
+      return;
+    }
+    const ms = msOf(x);
+    const lines = series
+      .map((s) => ({ s, p: pointAt(s.points, ms) }))
+      .filter(({ p }) => p)
+      .map(({ s, p }) => `<div><span style="color:${s.color}">■</span> ${escapeHtml(s.name)}: <b>${escapeHtml(p.label)}</b></div>`);
+    const inBands = bands.filter((b) => b.start <= ms && (b.end === null || ms <= b.end)).map((b) => escapeHtml(b.title));
+    tooltip.innerHTML = `
+      <div class="muted">${escapeHtml(formatTimestampInZone(Math.round(ms / 1000) * 1000, timeZone))}</div>
+      ${lines.join("") || `<div class="muted">No value yet</div>`}
+      ${inBands.map((t) => `<div class="muted">${t}</div>`).join("")}
+    `;
+    tooltip.hidden = false;
+    const rect = svg.getBoundingClientRect();
+    const left = rect.width ? (x / width) * rect.width : 0;
+    tooltip.style.left = `${Math.min(left + 12, Math.max(0, rect.width - 260))}px`;
+    cursor.setAttribute("x1", x.toFixed(1));
+    cursor.setAttribute("x2", x.toFixed(1));
+    cursor.setAttribute("visibility", "visible");
+  };
+
+  let drag = null;
+  svg.addEventListener("pointerdown", (e) => {
+    drag = { x: svgX(e), view: [...view] };
+    if (svg.setPointerCapture) svg.setPointerCapture(e.pointerId);
+  });
+  svg.addEventListener("pointermove", (e) => {
+    if (!drag) {
+      showTooltip(e);
+      return;
+    }
+    const span = drag.view[1] - drag.view[0];
+    const shift = ((drag.x - svgX(e)) / plotWidth) * span;
+    const start = Math.min(Math.max(drag.view[0] + shift, dataStart), dataEnd - span);
+    view = [start, start + span];
+    draw();
+  });
+  svg.addEventListener("pointerup", () => {
+    drag = null;
+  });
+  svg.addEventListener("pointerleave", () => {
+    tooltip.hidden = true;
+  });
+  svg.addEventListener(
+    "wheel",
+    (e) => {
+      e.preventDefault();
+      zoom(e.deltaY < 0 ? 0.8 : 1.25, msOf(svgX(e)));
+    },
+    { passive: false },
+  );
+  container.querySelector('[data-action="chart-zoom-in"]').addEventListener("click", () => zoom(0.5));
+  container.querySelector('[data-action="chart-zoom-out"]').addEventListener("click", () => zoom(2));
+  container.querySelector('[data-action="chart-reset"]').addEventListener("click", () => {
+    view = [dataStart, dataEnd];
+    draw();
+  });
+
+  draw();
+}
+
+// Tables without group options get a plain card: counts and one download.
+function renderSimpleTableCard(table, rows) {
+  const card = document.createElement("div");
+  card.className = "result";
+  card.innerHTML = `
+    <h3>${escapeHtml(table.label)}</h3>
+    <div class="meta">${renderTableMeta(table, rows)}</div>
+    <div class="downloads">
+      <button class="btn primary" data-action="download-all">Download ${escapeHtml(table.allFilename)}</button>
+      <button class="btn" data-action="download-all-parquet">Download ${escapeHtml(parquetFileName(table.allFilename))}</button>
+    </div>
+  `;
+  const sorted = () => (table.sortColumn ? sortRowsBy(rows, table.sortColumn) : rows);
+  card.querySelector('[data-action="download-all"]').addEventListener("click", () => {
+    downloadCsv(table.allFilename, sorted(), table.columns, table.columnTypes);
+  });
+  card.querySelector('[data-action="download-all-parquet"]').addEventListener("click", () => {
+    downloadParquet(parquetFileName(table.allFilename), sorted(), table.columns, table.columnTypes);
+  });
+  return card;
+}
+
+// Each rendered grouped card by table idPrefix, as { state(), apply(cardView) } for presets and the ?view= link.
+const tableViews = new Map();
+
+// Grouping, group table, long/wide previews and CSV downloads for one table schema (see publicationExtractors in core.js).
+// relatedTables ([{ table, rows }], e.g. the overrides next to fuel prices) get their own sheet in the workbook export.
+function renderGroupedTableCard(table, rows, { stationsById, relatedTables = [] }) {
+  const id = table.idPrefix;
+  const wide = table.wide || null;
+  const groupByDefault = table.defaultGroupKey || table.groupOptions[0].key;
+  const summaryColumns = table.summaryColumns || [];
+  const canJoinStations = Boolean(table.stationJoin && stationsById.size);
+  const wideFor = (groupKey) => Boolean(wide && groupKey === wide.groupKey);
+
+  const byWideGroup = wide ? groupBy(rows, (r) => r[wide.groupKey] || `(missing ${wide.groupKey})`) : new Map();
+
+  const card = document.createElement("div");
+  card.className = "result";
+  card.innerHTML = `
+    <h3>${escapeHtml(table.label)}</h3>
+    <div class="meta">${renderTableMeta(table, rows)}</div>
+    <div class="downloads">
+      <button class="btn primary" data-action="download-all">Download all (long CSV)</button>
+      <button class="btn" data-action="download-all-parquet">Download all (Parquet)</button>
+      <button class="btn" data-action="download-xlsx">Download workbook (XLSX)</button>
+      <button class="btn" data-action="download-zip">Download all groups as ZIP</button>
+    </div>
+    <p class="muted small">
+      All downloads cover the groups listed below (the group filter applies). The workbook and the ZIP contain a summary of
+      them and one sheet or CSV file per group${relatedTables.length ? `, plus ${relatedTables.map((r) => escapeHtml(r.table.label.toLowerCase())).join(", ")}` : ""}.
+    </p>
+    ${
+      canJoinStations
+        ? `<label class="checkbox"><input type="checkbox" data-kind="join-stations"> Add station name, city and coordinates (<code>${stationJoinColumns.join("</code>, <code>")}</code>) to CSV downloads</label>`
+        : ""
+    }
+    <div class="group-controls">
+      <div class="muted small">Group by</div>
+      <div class="group-buttons" data-kind="group-buttons"></div>
+      <label class="checkbox small"><input type="checkbox" data-kind="combine-groups"> Combine keys (e.g. station_id + fuel): click them in nesting order</label>
+    </div>
+    <div class="field">
+      <label for="${id}Filter">Filter groups</label>
+      <input id="${id}Filter" type="text" spellcheck="false" placeholder="Type to filter…">
+    </div>
+    <div class="table-wrap"><table class="table" data-kind="${id}">
+      <thead><tr>
+        <th><button class="sort" type="button" data-sort="group" data-kind="group-th">Group</button></th>
+        <th><button class="sort" type="button" data-sort="rows">Rows</button></th>
+        ${table.timeColumn ? `<th><button class="sort" type="button" data-sort="first">First</button></th>` : ""}
+        ${table.timeColumn ? `<th><button class="sort" type="button" data-sort="last">Last</button></th>` : ""}
+        ${summaryColumns
+          .map((c, i) => `<th><button class="sort" type="button" data-sort="summary${i}" title="Sorts by the number of distinct values">${escapeHtml(c.label)}</button></th>`)
+          .join("")}
+        <th>Download</th>
+      </tr></thead>
+      <tbody></tbody>
+    </table></div>
+    ${
+      wide
+        ? `<details class="details" data-kind="preview-wide">
+      <summary>Preview ${escapeHtml(wide.label)} (wide table)</summary>
+      <div class="field">
+        <label for="${id}Preview${wide.idSuffix}">${escapeHtml(wide.inputLabel)}</label>
+        <input id="${id}Preview${wide.idSuffix}" type="text" spellcheck="false" placeholder="Click a ${escapeHtml(wide.label)} row above or paste id…">
       </div>
-      <div class="group-controls">
-        <div class="muted small">Group by</div>
-        <div class="group-buttons" data-kind="group-buttons"></div>
+      <div class="meta" data-kind="${id}-preview-wide-meta"></div>
+      ${
+        wide.chart
+          ? `<div class="field">
+        <label for="${id}ChartOverlay">Overlay up to ${chartMaxOverlays} more ${escapeHtml(wide.label)}s (ids, comma-separated)</label>
+        <input id="${id}ChartOverlay" type="text" spellcheck="false" placeholder="e.g. the ids of nearby ${escapeHtml(wide.label)}s">
       </div>
+      <div data-kind="${id}-chart"></div>`
+          : ""
+      }
+      <div class="table-wrap"><table class="table" data-kind="${id}-preview">
+        <thead></thead>
+        <tbody></tbody>
+      </table></div>
+      <p class="muted small" data-kind="${id}-preview-hint"></p>
+    </details>`
+        : ""
+    }
+    <details class="details" data-kind="preview-long">
+      <summary>Preview group (long rows: all columns)</summary>
       <div class="field">
-        <label for="fuelFilter">Filter groups</label>
-        <input id="fuelFilter" type="text" spellcheck="false" placeholder="Type to filter…">
+        <label for="${id}PreviewGroup" data-kind="previewGroupLabel">Group value</label>
+        <input id="${id}PreviewGroup" type="text" spellcheck="false" placeholder="Click a group row above or paste value…">
       </div>
-      <div class="table-wrap"><table class="table" data-kind="fuel">
-        <thead><tr>
-          <th data-kind="group-th">Group</th>
-          <th>Rows</th>
-          <th>Date range</th>
-          <th>Fuels</th>
-          <th>Creators</th>
-          <th>Countries</th>
-          <th>Download</th>
-        </tr></thead>
+      <div class="downloads">
+        <button class="btn" data-action="download-group-long">Download group (long CSV)</button>
+        ${wide ? `<button class="btn" data-action="download-group-wide">Download group (wide CSV)</button>` : ""}
+        <button class="btn" data-action="download-group-parquet">Download group (Parquet)</button>
+      </div>
+      <div class="table-wrap"><table class="table" data-kind="${id}-preview-long">
+        <thead></thead>
         <tbody></tbody>
       </table></div>
-      <details class="details" data-kind="preview-wide">
-        <summary>Preview station (wide table)</summary>
+      <p class="muted small" data-kind="${id}-preview-long-hint"></p>
+    </details>
+    ${
+      table.resample
+        ? `<details class="details" data-kind="resample">
+      <summary>Aggregate over time (hourly or daily series)</summary>
+      <p class="muted small">
+        One series per station and fuel; a price stays in effect until the next observation. Buckets follow the wall clock
+        of the time zone above the cards (<code data-kind="resample-zone"></code>). The long CSV carries every statistic,
+        the preview and the wide CSV the selected one.
+      </p>
+      <div class="resample-options">
+        <div class="field">
+          <label for="${id}ResampleInterval">Interval</label>
+          <select id="${id}ResampleInterval">
+            ${resampleIntervals.map((i) => `<option value="${i.key}">${escapeHtml(i.label)}</option>`).join("")}
+          </select>
+        </div>
+        <div class="field">
+          <label for="${id}ResampleStatistic">Statistic</label>
+          <select id="${id}ResampleStatistic">
+            ${resampleStatistics.map((st) => `<option value="${st.key}">${escapeHtml(st.label)}</option>`).join("")}
+          </select>
+        </div>
         <div class="field">
-          <label for="fuelPreviewStation">Station id</label>
-          <input id="fuelPreviewStation" type="text" spellcheck="false" placeholder="Click a station row above or paste id…">
+          <label for="${id}ResampleGroup" data-kind="resampleGroupLabel">Group value</label>
+          <input id="${id}ResampleGroup" type="text" spellcheck="false" placeholder="Empty: all rows">
         </div>
-        <div class="meta" data-kind="fuel-preview-wide-meta"></div>
-        <div class="table-wrap"><table class="table" data-kind="fuel-preview">
-          <thead></thead>
-          <tbody></tbody>
-        </table></div>
-        <p class="muted small" data-kind="fuel-preview-hint"></p>
-      </details>
-      <details class="details" data-kind="preview-long">
-        <summary>Preview group (long rows: all columns)</summary>
+      </div>
+      <div class="downloads">
+        <button class="btn" data-action="download-resampled-long">Download aggregated (long CSV)</button>
+        <button class="btn" data-action="download-resampled-wide">Download aggregated (wide CSV)</button>
+      </div>
+      <div class="table-wrap"><table class="table" data-kind="${id}-resample">
+        <thead></thead>
+        <tbody></tbody>
+      </table></div>
+      <p class="muted small" data-kind="${id}-resample-hint"></p>
+    </details>`
+        : ""
+    }
+    ${
+      table.crossPivot
+        ? `<details class="details" data-kind="cross-pivot">
+      <summary>Compare stations (one ${escapeHtml(table.crossPivot.label.toLowerCase())}, stations as columns)</summary>
+      <p class="muted small">
+        A row per observation time and a column per <code>station_id</code>, for all rows or the group typed in. Forward-filled
+        cells show the price in effect at every station at that moment.
+      </p>
+      <div class="pivot-options">
         <div class="field">
-          <label for="fuelPreviewGroup" data-kind="fuelPreviewGroupLabel">Group value</label>
-          <input id="fuelPreviewGroup" type="text" spellcheck="false" placeholder="Click a group row above or paste value…">
+          <label for="${id}PivotOption">${escapeHtml(table.crossPivot.label)}</label>
+          <select id="${id}PivotOption">
+            ${table.crossPivot.options(rows).map((o) => `<option value="${escapeHtml(o)}">${escapeHtml(o)}</option>`).join("")}
+          </select>
         </div>
-        <div class="downloads">
-          <button class="btn" data-action="download-group-long">Download group (long CSV)</button>
-          <button class="btn" data-action="download-group-wide">Download group (wide CSV)</button>
+        <div class="field">
+          <label for="${id}PivotGroup" data-kind="pivotGroupLabel">Group value</label>
+          <input id="${id}PivotGroup" type="text" spellcheck="false" placeholder="Empty: all rows">
         </div>
-        <div class="table-wrap"><table class="table" data-kind="fuel-preview-long">
-          <thead></thead>
-          <tbody></tbody>
-        </table></div>
-        <p class="muted small" data-kind="fuel-preview-long-hint"></p>
-      </details>
-    `;
+      </div>
+      <label class="checkbox"><input type="checkbox" data-kind="pivot-forward-fill"> Forward-fill (carry each station’s last price)</label>
+      <div class="downloads">
+        <button class="btn" data-action="download-cross-pivot">Download comparison (CSV)</button>
+      </div>
+      <div class="table-wrap"><table class="table" data-kind="${id}-cross-pivot">
+        <thead></thead>
+        <tbody></tbody>
+      </table></div>
+      <p class="muted small" data-kind="${id}-cross-pivot-hint"></p>
+    </details>`
+        : ""
+    }
+  `;
+
+  const joinStationsInput = card.querySelector('[data-kind="join-stations"]');
+  const joinStations = () => Boolean(joinStationsInput && joinStationsInput.checked);
+
+  const longExport = (groupRows) => {
+    const sorted = table.sortColumn ? sortRowsBy(groupRows, table.sortColumn) : groupRows;
+    if (!joinStations()) return { rows: sorted, columns: table.columns, columnTypes: table.columnTypes };
+    return {
+      rows: withStationColumns(sorted, stationsById),
+      columns: [...table.columns, ...stationJoinColumns],
+      columnTypes: { ...table.columnTypes, ...stationJoinColumnTypes },
+    };
+  };
+
+  const downloadLong = (filename, groupRows) => {
+    const out = longExport(groupRows);
+    downloadCsv(filename, out.rows, out.columns, out.columnTypes);
+  };
+
+  const downloadLongParquet = (filename, groupRows) => {
+    const out = longExport(groupRows);
+    downloadParquet(filename, out.rows, out.columns, out.columnTypes);
+  };
+
+  const wideExport = (groupRows) => {
+    const { valueColumns, rows: wideRows } = wide.pivot(groupRows);
+    const columnTypes = wide.columnTypes ? wide.columnTypes(valueColumns) : {};
+    if (!joinStations()) return { rows: wideRows, columns: wide.columns(valueColumns), columnTypes };
+    return {
+      rows: withStationColumns(wideRows, stationsById),
+      columns: wide.columns(valueColumns, stationJoinColumns),
+      columnTypes: { ...columnTypes, ...stationJoinColumnTypes },
+    };
+  };
+
+  const downloadWide = (filename, groupRows) => {
+    const out = wideExport(groupRows);
+    downloadCsv(filename, out.rows, out.columns, out.columnTypes);
+  };
 
-    const downloadAll = card.querySelector('[data-action="download-fuel-all"]');
-    downloadAll.addEventListener("click", () => {
-      const sorted = [...fuelRows].sort((a, b) => String(a.date_of_price).localeCompare(String(b.date_of_price)));
-      downloadCsv("fuel_prices_long.csv", sorted, longColumns);
+  const relatedExports = () =>
+    relatedTables.map((r) => ({
+      table: r.table,
+      rows: r.table.sortColumn ? sortRowsBy(r.rows, r.table.sortColumn) : r.rows,
+      columns: r.table.columns,
+      columnTypes: r.table.columnTypes,
+    }));
+
+  // With text in the group filter, "Download all" exports the listed groups only, named after the filter text.
+  const allExport = () => {
+    const q = (filterInput.value || "").trim();
+    if (!q) return { filename: table.allFilename, rows };
+    const prefix = `${table.filePrefix}_${safeFileName(activeGroupKey)}-matching-${safeFileName(q)}`;
+    return {
+      filename: table.allFilename.startsWith(table.filePrefix) ? prefix + table.allFilename.slice(table.filePrefix.length) : `${prefix}.csv`,
+      rows: visibleGroupKeys().flatMap((key) => byGroup.get(key) || []),
+    };
+  };
+
+  card.querySelector('[data-action="download-all"]').addEventListener("click", () => {
+    const out = allExport();
+    downloadLong(out.filename, out.rows);
+  });
+  card.querySelector('[data-action="download-all-parquet"]').addEventListener("click", () => {
+    const out = allExport();
+    downloadLongParquet(parquetFileName(out.filename), out.rows);
+  });
+
+  // The group table for `keys`, with every value in full; the workbook's summary sheet and the ZIP's index file.
+  const groupSummary = (keys) => {
+    const opt = activeGroupOption;
+    const timeColumns = table.timeColumn ? ["First", "Last"] : [];
+    return {
+      columns: [opt.label, "Rows", ...timeColumns, ...summaryColumns.map((c) => c.label)],
+      columnTypes: { Rows: "int64", First: "timestamp", Last: "timestamp" },
+      rows: keys.map((key) => {
+        const groupRows = byGroup.get(key) || [];
+        const extent = table.timeColumn ? valueExtent(groupRows, table.timeColumn, table.timeOrderColumn) : null;
+        const row = { [opt.label]: key, Rows: groupRows.length };
+        if (extent) Object.assign(row, { First: extent.first, Last: extent.last });
+        for (const c of summaryColumns) {
+          const values = new Set(groupRows.map((r) => String(r[c.column] ?? "").trim()).filter(Boolean));
+          row[c.label] = Array.from(values).sort((a, b) => a.localeCompare(b)).join(c.separator || "; ");
+        }
+        return row;
+      }),
+    };
+  };
+
+  // Summary sheet + one sheet per visible group + related tables.
+  const workbookSheets = () => {
+    const keys = visibleGroupKeys();
+    return [
+      { name: "Summary", ...groupSummary(keys) },
+      ...keys.map((key) => ({ name: String(key), ...longExport(byGroup.get(key) || []) })),
+      ...relatedExports().map((r) => ({ name: r.table.label, ...r })),
+    ];
+  };
+
+  // Index CSV + one long (and wide) CSV per visible group, named like the single downloads, + related tables.
+  const groupZipEntries = () => {
+    const keys = visibleGroupKeys();
+    const index = groupSummary(keys);
+    const withWide = wideFor(activeGroupKey);
+    const entries = [];
+    const bases = new Set();
+    keys.forEach((key, i) => {
+      // Different group values can map to the same safe file name ("a b" and "a_b").
+      let base = groupFileBase(key);
+      for (let n = 2; bases.has(base); n++) base = `${groupFileBase(key)}_${n}`;
+      bases.add(base);
+
+      const groupRows = byGroup.get(key) || [];
+      const long = longExport(groupRows);
+      entries.push({ name: `${base}_long.csv`, data: dialectCsv(long.rows, long.columns, long.columnTypes) });
+      index.rows[i]["Long file"] = `${base}_long.csv`;
+      if (withWide) {
+        const wideOut = wideExport(groupRows);
+        entries.push({ name: `${base}_wide.csv`, data: dialectCsv(wideOut.rows, wideOut.columns, wideOut.columnTypes) });
+        index.rows[i]["Wide file"] = `${base}_wide.csv`;
+      }
     });
 
-    let activeGroupKey = groupByDefault;
-    let byGroup = new Map();
-    let groupKeys = [];
-
-    const groupButtons = card.querySelector('[data-kind="group-buttons"]');
-    const groupTh = card.querySelector('[data-kind="group-th"]');
-    const tbody = card.querySelector('table[data-kind="fuel"] tbody');
-    const filterInput = card.querySelector("#fuelFilter");
-
-    const previewWideDetails = card.querySelector('details[data-kind="preview-wide"]');
-    const previewInput = card.querySelector("#fuelPreviewStation");
-    const previewWideMeta = card.querySelector('[data-kind="fuel-preview-wide-meta"]');
-    const previewThead = card.querySelector('table[data-kind="fuel-preview"] thead');
-    const previewTbody = card.querySelector('table[data-kind="fuel-preview"] tbody');
-    const previewHint = card.querySelector('[data-kind="fuel-preview-hint"]');
-
-    const previewLongDetails = card.querySelector('details[data-kind="preview-long"]');
-    const previewGroupLabel = card.querySelector('[data-kind="fuelPreviewGroupLabel"]');
-    const previewGroupInput = card.querySelector("#fuelPreviewGroup");
-    const previewLongDownload = card.querySelector('[data-action="download-group-long"]');
-    const previewWideDownload = card.querySelector('[data-action="download-group-wide"]');
-    const previewLongThead = card.querySelector('table[data-kind="fuel-preview-long"] thead');
-    const previewLongTbody = card.querySelector('table[data-kind="fuel-preview-long"] tbody');
-    const previewLongHint = card.querySelector('[data-kind="fuel-preview-long-hint"]');
-
-    function summarizeUnique(values, { maxItems = 2, maxChars = 90 } = {}) {
-      const uniq = Array.from(new Set(values.map((v) => (v === null || v === undefined ? "" : String(v).trim())).filter(Boolean)));
-      uniq.sort((a, b) => a.localeCompare(b));
-      if (uniq.length === 0) return { text: "—", title: "" };
-      const title = uniq.join("\n");
-      let text = uniq.slice(0, maxItems).join("; ");
-      if (text.length > maxChars) text = `${text.slice(0, Math.max(0, maxChars - 1))}…`;
-      if (uniq.length > maxItems) text += ` (+${uniq.length - maxItems})`;
-      return { text, title };
+    const indexColumns = [...index.columns, "Long file", ...(withWide ? ["Wide file"] : [])];
+    const indexName = `${table.filePrefix}_${safeFileName(activeGroupKey)}_index.csv`;
+    return [
+      { name: indexName, data: dialectCsv(index.rows, indexColumns, index.columnTypes) },
+      ...entries,
+      ...relatedExports().map((r) => ({ name: r.table.allFilename, data: dialectCsv(r.rows, r.columns, r.columnTypes) })),
+    ];
+  };
+
+  card.querySelector('[data-action="download-zip"]').addEventListener("click", async (e) => {
+    const button = e.currentTarget;
+    button.disabled = true;
+    try {
+      const bytes = await createZipBytes(groupZipEntries());
+      triggerDownload(`${table.filePrefix}_${safeFileName(activeGroupKey)}_groups.zip`, bytes, "application/zip");
+    } catch (err) {
+      setStatus(err && err.message ? err.message : "Failed to build the ZIP archive.", { error: true });
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  card.querySelector('[data-action="download-xlsx"]').addEventListener("click", async (e) => {
+    const button = e.currentTarget;
+    button.disabled = true;
+    try {
+      const bytes = await rowsToXlsx(workbookSheets());
+      triggerDownload(
+        `${table.filePrefix}_${safeFileName(activeGroupKey)}.xlsx`,
+        bytes,
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      );
+    } catch (err) {
+      setStatus(err && err.message ? err.message : "Failed to build the workbook.", { error: true });
+    } finally {
+      button.disabled = false;
     }
+  });
 
-    function dateRange(rows) {
-      let min = "";
-      let max = "";
-      for (const r of rows) {
-        const d = (r.date_of_price || "").trim();
-        if (!d) continue;
-        if (!min || d < min) min = d;
-        if (!max || d > max) max = d;
+  // Selected group keys in nesting order; activeGroupKey is their combined key ("station_id+fuel").
+  let activeGroupKeys = [groupByDefault];
+  let activeGroupOption = null;
+  let activeGroupKey = groupByDefault;
+  let byGroup = new Map();
+  let groupKeys = [];
+  let groupStats = new Map();
+  let groupSort = { key: "group", dir: 1 };
+  let groupPage = 0;
+  const groupPageSize = 100;
+
+  const groupButtons = card.querySelector('[data-kind="group-buttons"]');
+  const combineGroupsInput = card.querySelector('[data-kind="combine-groups"]');
+  const groupTh = card.querySelector('[data-kind="group-th"]');
+  const tbody = card.querySelector(`table[data-kind="${id}"] tbody`);
+  const filterInput = card.querySelector(`#${id}Filter`);
+
+  const previewWideDetails = card.querySelector('details[data-kind="preview-wide"]');
+  const previewInput = wide ? card.querySelector(`#${id}Preview${wide.idSuffix}`) : null;
+  const previewWideMeta = card.querySelector(`[data-kind="${id}-preview-wide-meta"]`);
+  const previewThead = card.querySelector(`table[data-kind="${id}-preview"] thead`);
+  const previewTbody = card.querySelector(`table[data-kind="${id}-preview"] tbody`);
+  const previewHint = card.querySelector(`[data-kind="${id}-preview-hint"]`);
+  const chartOverlayInput = card.querySelector(`#${id}ChartOverlay`);
+  const chartContainer = card.querySelector(`[data-kind="${id}-chart"]`);
+
+  const previewLongDetails = card.querySelector('details[data-kind="preview-long"]');
+  const previewGroupLabel = card.querySelector('[data-kind="previewGroupLabel"]');
+  const previewGroupInput = card.querySelector(`#${id}PreviewGroup`);
+  const previewLongDownload = card.querySelector('[data-action="download-group-long"]');
+  const previewParquetDownload = card.querySelector('[data-action="download-group-parquet"]');
+  const previewWideDownload = card.querySelector('[data-action="download-group-wide"]');
+  const previewLongThead = card.querySelector(`table[data-kind="${id}-preview-long"] thead`);
+  const previewLongTbody = card.querySelector(`table[data-kind="${id}-preview-long"] tbody`);
+  const previewLongHint = card.querySelector(`[data-kind="${id}-preview-long-hint"]`);
+
+  // Missing values (no timestamps) sort last in both directions; ties fall back to the group name.
+  const sortGroupKeys = () => {
+    const byName = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+    const summary = /^summary(\d+)$/.exec(groupSort.key);
+    // Raw timestamps with mixed UTC offsets compare as instants; those without an offset are read in activeTimeZone().
+    const instant = (order) => {
+      const ms = typeof order === "number" ? order : parseTimestampInZone(order, activeTimeZone());
+      return Number.isFinite(ms) ? ms : null;
+    };
+    const value = (key) => {
+      const stats = groupStats.get(key);
+      if (groupSort.key === "rows") return stats.rows;
+      if (groupSort.key === "first") return stats.extent ? instant(stats.extent.firstOrder) : null;
+      if (groupSort.key === "last") return stats.extent ? instant(stats.extent.lastOrder) : null;
+      return null;
+    };
+    groupKeys = Array.from(byGroup.keys()).sort((a, b) => {
+      if (groupSort.key === "group") return groupSort.dir * byName(a, b);
+      if (summary) {
+        const sa = groupStats.get(a).summaries[summary[1]];
+        const sb = groupStats.get(b).summaries[summary[1]];
+        return groupSort.dir * (sa.count - sb.count || sa.text.localeCompare(sb.text)) || byName(a, b);
       }
-      if (!min && !max) return "—";
-      if (min === max) return min;
-      return `${min} → ${max}`;
+      const va = value(a);
+      const vb = value(b);
+      if (va === null || vb === null) return (va === null) - (vb === null) || byName(a, b);
+      return groupSort.dir * (va < vb ? -1 : va > vb ? 1 : 0) || byName(a, b);
+    });
+    card.querySelectorAll("button.sort").forEach((btn) => {
+      btn.classList.toggle("asc", btn.dataset.sort === groupSort.key && groupSort.dir === 1);
+      btn.classList.toggle("desc", btn.dataset.sort === groupSort.key && groupSort.dir === -1);
+    });
+  };
+
+  function recomputeGroups() {
+    activeGroupOption = combineGroupOptions(table.groupOptions, activeGroupKeys);
+    activeGroupKey = activeGroupOption.key;
+    byGroup = groupBy(rows, (r) => activeGroupOption.get(r));
+    groupStats = new Map(
+      Array.from(byGroup, ([key, groupRows]) => [
+        key,
+        {
+          rows: groupRows.length,
+          extent: table.timeColumn ? valueExtent(groupRows, table.timeColumn, table.timeOrderColumn) : null,
+          summaries: summaryColumns.map((c) => summarizeUnique(groupRows.map((r) => r[c.column]), c)),
+        },
+      ]),
+    );
+    sortGroupKeys();
+    const label = activeGroupOption.label;
+    groupTh.textContent = label;
+    previewGroupLabel.textContent = `Group value (${label})`;
+    if (resampleGroupLabel) resampleGroupLabel.textContent = `Group value (${label})`;
+    if (pivotGroupLabel) pivotGroupLabel.textContent = `Group value (${label})`;
+  }
+
+  // The previewed group plus the overlay ids, one step line per series (e.g. fuel) and station, with the bands of the
+  // related table (e.g. override periods) of all shown stations.
+  const renderWideChart = (groupValue) => {
+    if (!chartContainer) return;
+    chartContainer.innerHTML = "";
+    if (!groupValue || !byWideGroup.has(groupValue)) return;
+    const chart = wide.chart;
+    const overlays = (chartOverlayInput.value || "").split(/[\s,;]+/).filter((v) => v && v !== groupValue);
+    const requested = [groupValue, ...Array.from(new Set(overlays)).slice(0, chartMaxOverlays)];
+    const shown = requested.filter((key) => byWideGroup.has(key));
+    const missing = requested.filter((key) => !byWideGroup.has(key));
+
+    const names = Array.from(new Set(shown.flatMap((key) => byWideGroup.get(key).map(chart.series)))).filter(Boolean).sort();
+    const series = shown.flatMap((key, i) => {
+      const bySeries = groupBy(byWideGroup.get(key), chart.series);
+      return names
+        .filter((name) => bySeries.has(name))
+        .map((name) => ({
+          name: shown.length > 1 ? `${key} · ${name}` : name,
+          color: chartPalette[names.indexOf(name) % chartPalette.length],
+          dash: chartDashes[i % chartDashes.length],
+          points: bySeries
+            .get(name)
+            .map((r) => ({ ms: chart.time(r, activeTimeZone()), value: chart.value(r), label: chart.label(r) }))
+            .filter((p) => Number.isFinite(p.ms) && Number.isFinite(p.value))
+            .sort((a, b) => a.ms - b.ms),
+        }));
+    });
+
+    const bandTable = chart.bands && relatedTables.find((r) => r.table.key === chart.bands.table);
+    const bands = (bandTable ? bandTable.rows : [])
+      .filter((r) => shown.includes(r[wide.groupKey]))
+      .map((r) => {
+        const end = parseTimestampInZone(r[chart.bands.end], activeTimeZone());
+        return {
+          start: parseTimestampInZone(r[chart.bands.start], activeTimeZone()),
+          end: Number.isFinite(end) ? end : null,
+          title: `${shown.length > 1 ? `${r[wide.groupKey]}: ` : ""}${chart.bands.label} ${r[chart.bands.start]} → ${r[chart.bands.end] || "open"}`,
+        };
+      })
+      .filter((b) => Number.isFinite(b.start));
+
+    renderStepChart(chartContainer, { series, bands, bandLabel: chart.bands ? chart.bands.label : "", timeZone: normalizeSettings.timeZone });
+    if (missing.length) {
+      chartContainer.insertAdjacentHTML(
+        "beforeend",
+        `<p class="muted small">No rows for ${missing.map((key) => `<code>${escapeHtml(key)}</code>`).join(", ")}.</p>`,
+      );
     }
+  };
 
-    function recomputeGroups() {
-      const opt = groupByKey.get(activeGroupKey) || groupByKey.get(groupByDefault);
-      activeGroupKey = opt ? opt.key : groupByDefault;
-      byGroup = groupBy(fuelRows, (r) => opt.get(r));
-      groupKeys = Array.from(byGroup.keys()).sort((a, b) => String(a).localeCompare(String(b)));
-      groupTh.textContent = opt ? opt.label : "Group";
-      previewGroupLabel.textContent = opt ? `Group value (${opt.label})` : "Group value";
+  const renderWidePreview = () => {
+    if (!wide) return;
+    const groupValue = (previewInput.value || "").trim();
+    previewWideMeta.innerHTML = "";
+    resetPreviewTable(previewThead, previewTbody);
+    previewHint.textContent = "";
+    renderWideChart(groupValue);
+
+    if (!groupValue) return;
+    const groupRows = byWideGroup.get(groupValue);
+    if (!groupRows || groupRows.length === 0) {
+      previewHint.textContent = `No rows found for this ${wide.label} id.`;
+      return;
     }
 
-    const renderWidePreview = () => {
-      const stationId = (previewInput.value || "").trim();
-      previewWideMeta.innerHTML = "";
-      previewThead.innerHTML = "";
-      previewTbody.innerHTML = "";
-      previewHint.textContent = "";
-
-      if (!stationId) return;
-      const rows = byStation.get(stationId);
-      if (!rows || rows.length === 0) {
-        previewHint.textContent = "No rows found for this station id.";
-        return;
-      }
+    const station = table.stationJoin ? stationsById.get(groupValue) : null;
+    const stationLabel = station ? [station.name, station.brand, [station.postcode, station.city].filter(Boolean).join(" ")] : [];
+    previewWideMeta.innerHTML = `
+      ${station ? `<div><code>station</code>: ${escapeHtml(stationLabel.filter(Boolean).join(" · ") || "—")}</div>` : ""}
+      ${(wide.metaColumns || [])
+        .map((c) => {
+          const summary = summarizeUnique(groupRows.map((r) => r[c.column]), c);
+          return `<div title="${escapeHtml(summary.title)}"><code>${escapeHtml(c.label)}</code>: ${escapeHtml(summary.text)}</div>`;
+        })
+        .join("")}
+    `;
 
-      const creators = summarizeUnique(rows.map((r) => r.creator_national_identifier), { maxItems: 1, maxChars: 120 });
-      const countries = summarizeUnique(rows.map((r) => r.creator_country), { maxItems: 4, maxChars: 40 });
-      previewWideMeta.innerHTML = `
-        <div title="${escapeHtml(creators.title)}"><code>creator</code>: ${escapeHtml(creators.text)}</div>
-        <div title="${escapeHtml(countries.title)}"><code>country</code>: ${escapeHtml(countries.text)}</div>
-      `;
+    const { valueColumns, rows: wideRows } = wide.pivot(groupRows);
+    fillPreviewTable(previewThead, previewTbody, wideRows, wide.previewColumns(valueColumns), 50);
+  };
 
-      const { fuels: fuelCols, rows: wideRows } = wideFuelRowsForStation(rows);
-      const cols = ["date_of_price", ...fuelCols];
+  const renderLongPreview = () => {
+    const groupValue = (previewGroupInput.value || "").trim();
+    resetPreviewTable(previewLongThead, previewLongTbody);
+    previewLongHint.textContent = "";
+    previewLongDownload.disabled = true;
+    previewParquetDownload.disabled = true;
+    if (previewWideDownload) previewWideDownload.disabled = true;
+
+    if (!groupValue) return;
+    const groupRows = byGroup.get(groupValue);
+    if (!groupRows || groupRows.length === 0) {
+      previewLongHint.textContent = "No rows found for this group value.";
+      return;
+    }
 
-      const trHead = document.createElement("tr");
-      for (const col of cols) {
-        const th = document.createElement("th");
-        th.textContent = col;
-        trHead.appendChild(th);
-      }
-      previewThead.appendChild(trHead);
-
-      const limit = 50;
-      const shown = wideRows.slice(0, limit);
-      for (const r of shown) {
-        const tr = document.createElement("tr");
-        for (const col of cols) {
-          const td = document.createElement("td");
-          td.textContent = r[col] || "";
-          tr.appendChild(td);
+    previewLongDownload.disabled = false;
+    previewParquetDownload.disabled = false;
+    if (previewWideDownload) previewWideDownload.disabled = !wideFor(activeGroupKey);
+
+    const sorted = table.sortColumn ? sortRowsBy(groupRows, table.sortColumn) : groupRows;
+    fillPreviewTable(previewLongThead, previewLongTbody, sorted, table.columns, 200);
+  };
+
+  const groupFileBase = (key) => `${table.filePrefix}_${safeFileName(activeGroupKey)}_${safeFileName(key)}`;
+
+  const resampleDetails = card.querySelector('details[data-kind="resample"]');
+  const resampleInterval = card.querySelector(`#${id}ResampleInterval`);
+  const resampleStatistic = card.querySelector(`#${id}ResampleStatistic`);
+  const resampleGroupInput = card.querySelector(`#${id}ResampleGroup`);
+  const resampleGroupLabel = card.querySelector('[data-kind="resampleGroupLabel"]');
+  const resampleThead = card.querySelector(`table[data-kind="${id}-resample"] thead`);
+  const resampleTbody = card.querySelector(`table[data-kind="${id}-resample"] tbody`);
+  const resampleHint = card.querySelector(`[data-kind="${id}-resample-hint"]`);
+  let resampleCache = null;
+
+  // The resampled long rows for the current settings: all rows or the group typed into the group value field.
+  const resampled = () => {
+    const groupValue = (resampleGroupInput.value || "").trim();
+    const cacheKey = [resampleInterval.value, normalizeSettings.timeZone, activeTimeZone(), activeGroupKey, groupValue].join("\u0000");
+    if (resampleCache && resampleCache.key === cacheKey) return resampleCache.result;
+    const groupRows = groupValue ? byGroup.get(groupValue) : rows;
+    const result = groupRows
+      ? {
+          ...table.resample.rows(groupRows, {
+            interval: resampleInterval.value,
+            timeZone: normalizeSettings.timeZone,
+            inputTimeZone: activeTimeZone(),
+            allRows: rows,
+          }),
+          groupValue,
         }
-        previewTbody.appendChild(tr);
-      }
-      previewHint.textContent = wideRows.length > limit ? `Showing first ${limit} row(s) of ${wideRows.length}.` : "";
+      : null;
+    resampleCache = { key: cacheKey, result };
+    return result;
+  };
+
+  const resampleExport = (kind) => {
+    const result = resampled();
+    const out =
+      kind === "wide"
+        ? table.resample.pivot(result.rows, resampleStatistic.value)
+        : { rows: result.rows, columns: table.resample.columns, columnTypes: table.resample.columnTypes };
+    if (!joinStations()) return out;
+    return {
+      rows: withStationColumns(out.rows, stationsById),
+      columns: [...out.columns, ...stationJoinColumns],
+      columnTypes: { ...out.columnTypes, ...stationJoinColumnTypes },
     };
+  };
 
-    const renderLongPreview = () => {
-      const groupValue = (previewGroupInput.value || "").trim();
-      previewLongThead.innerHTML = "";
-      previewLongTbody.innerHTML = "";
-      previewLongHint.textContent = "";
-      previewLongDownload.disabled = true;
-      previewWideDownload.disabled = true;
-
-      if (!groupValue) return;
-      const rows = byGroup.get(groupValue);
-      if (!rows || rows.length === 0) {
-        previewLongHint.textContent = "No rows found for this group value.";
-        return;
-      }
+  const resampleFileName = (kind) => {
+    const result = resampled();
+    const base = result.groupValue ? groupFileBase(result.groupValue) : table.filePrefix;
+    const interval = resampleIntervals.find((i) => i.key === resampleInterval.value).label.toLowerCase();
+    return kind === "wide" ? `${base}_${interval}_${resampleStatistic.value}_wide.csv` : `${base}_${interval}_long.csv`;
+  };
 
-      previewLongDownload.disabled = false;
-      previewWideDownload.disabled = !(activeGroupKey === "station_id");
+  const pivotDetails = card.querySelector('details[data-kind="cross-pivot"]');
+  const pivotOption = card.querySelector(`#${id}PivotOption`);
+  const pivotGroupInput = card.querySelector(`#${id}PivotGroup`);
+  const pivotGroupLabel = card.querySelector('[data-kind="pivotGroupLabel"]');
+  const pivotForwardFill = card.querySelector('[data-kind="pivot-forward-fill"]');
+  const pivotDownload = card.querySelector('[data-action="download-cross-pivot"]');
+  const pivotThead = card.querySelector(`table[data-kind="${id}-cross-pivot"] thead`);
+  const pivotTbody = card.querySelector(`table[data-kind="${id}-cross-pivot"] tbody`);
+  const pivotHint = card.querySelector(`[data-kind="${id}-cross-pivot-hint"]`);
+
+  // { groupValue, ...pivot } for the selected option and group (all rows when the group field is empty), or null.
+  const crossPivot = () => {
+    const groupValue = (pivotGroupInput.value || "").trim();
+    const groupRows = groupValue ? byGroup.get(groupValue) : rows;
+    if (!groupRows || !pivotOption.value) return null;
+    return { groupValue, ...table.crossPivot.pivot(groupRows, pivotOption.value, { forwardFill: pivotForwardFill.checked, timeZone: activeTimeZone() }) };
+  };
 
-      const sorted = [...rows].sort((a, b) => String(a.date_of_price).localeCompare(String(b.date_of_price)));
+  const crossPivotFileName = (result) => {
+    const base = result.groupValue ? groupFileBase(result.groupValue) : table.filePrefix;
+    return `${base}_${safeFileName(pivotOption.value)}_${table.crossPivot.fileSuffix}${pivotForwardFill.checked ? "_filled" : ""}.csv`;
+  };
 
-      const trHead = document.createElement("tr");
-      for (const col of longColumns) {
-        const th = document.createElement("th");
-        th.textContent = col;
-        trHead.appendChild(th);
-      }
-      previewLongThead.appendChild(trHead);
-
-      const limit = 200;
-      const shown = sorted.slice(0, limit);
-      for (const r of shown) {
-        const tr = document.createElement("tr");
-        for (const col of longColumns) {
-          const td = document.createElement("td");
-          td.textContent = r[col] || "";
-          tr.appendChild(td);
-        }
-        previewLongTbody.appendChild(tr);
-      }
-      previewLongHint.textContent = sorted.length > limit ? `Showing first ${limit} row(s) of ${sorted.length}.` : "";
-    };
+  const renderCrossPivotPreview = () => {
+    if (!pivotDetails || !pivotDetails.open) return;
+    resetPreviewTable(pivotThead, pivotTbody);
+    pivotHint.textContent = "";
+    pivotDownload.disabled = true;
 
-    const renderTable = () => {
-      const q = (filterInput.value || "").trim().toLowerCase();
-      tbody.innerHTML = "";
-
-      for (const key of groupKeys) {
-        if (q && !String(key).toLowerCase().includes(q)) continue;
-        const rows = byGroup.get(key) || [];
-        const fuels = Array.from(new Set(rows.map((r) => r.fuel))).filter(Boolean).sort();
-        const creators = summarizeUnique(rows.map((r) => r.creator_national_identifier));
-        const countries = summarizeUnique(rows.map((r) => r.creator_country), { maxItems: 4, maxChars: 40 });
-        const range = dateRange(rows);
-
-        const tr = document.createElement("tr");
-        tr.innerHTML = `
-          <td class="clickable"><code class="truncate" title="${escapeHtml(String(key))}">${escapeHtml(String(key))}</code></td>
-          <td>${rows.length}</td>
-          <td>${escapeHtml(range)}</td>
-          <td>${escapeHtml(fuels.join(", "))}</td>
-          <td title="${escapeHtml(creators.title)}">${escapeHtml(creators.text)}</td>
-          <td title="${escapeHtml(countries.title)}">${escapeHtml(countries.text)}</td>
-          <td class="actions-cell">
-            <button class="btn" data-action="dl-long">CSV (long)</button>
-            ${
-              activeGroupKey === "station_id"
-                ? `<button class="btn" data-action="dl-wide">CSV (wide)</button>`
-                : ""
-            }
-          </td>
-        `;
-
-        tr.querySelector("td.clickable").addEventListener("click", () => {
-          previewGroupInput.value = String(key);
-          previewLongDetails.open = true;
-          renderLongPreview();
-
-          if (activeGroupKey === "station_id") {
-            previewInput.value = String(key);
-            previewWideDetails.open = true;
-            renderWidePreview();
-          }
-        });
+    const result = crossPivot();
+    if (!result) {
+      pivotHint.textContent = pivotOption.value ? "No rows found for this group value." : "";
+      return;
+    }
+    if (!result.rows.length) {
+      pivotHint.textContent = `No ${table.crossPivot.label.toLowerCase()} ${pivotOption.value} rows in this selection.`;
+      return;
+    }
+    pivotDownload.disabled = false;
+    // Thousands of station columns don't fit on screen; the download has all of them.
+    const maxStations = 30;
+    fillPreviewTable(pivotThead, pivotTbody, result.rows, result.columns.slice(0, maxStations + 1), 50);
+    const more = result.stations.length > maxStations ? ` Showing ${maxStations} of ${result.stations.length} stations.` : "";
+    const skipped = result.skipped ? ` ${result.skipped} row(s) without a parsable date_of_price were skipped.` : "";
+    pivotHint.textContent = `${more}${skipped}`.trim();
+  };
 
-        tr.querySelector('[data-action="dl-long"]').addEventListener("click", () => {
-          const sorted = [...rows].sort((a, b) => String(a.date_of_price).localeCompare(String(b.date_of_price)));
-          downloadCsv(`fuel_prices_${safeFileName(activeGroupKey)}_${safeFileName(key)}_long.csv`, sorted, longColumns);
-        });
+  const renderResamplePreview = () => {
+    if (!resampleDetails || !resampleDetails.open) return;
+    resetPreviewTable(resampleThead, resampleTbody);
+    resampleHint.textContent = "";
+    card.querySelector('[data-kind="resample-zone"]').textContent = normalizeSettings.timeZone;
+    const downloads = card.querySelectorAll('[data-action^="download-resampled"]');
+    downloads.forEach((b) => (b.disabled = true));
+
+    let result;
+    try {
+      result = resampled();
+    } catch (err) {
+      resampleHint.textContent = err && err.message ? err.message : "Failed to aggregate the rows.";
+      return;
+    }
+    if (!result) {
+      resampleHint.textContent = "No rows found for this group value.";
+      return;
+    }
+    downloads.forEach((b) => (b.disabled = false));
+    const wideOut = table.resample.pivot(result.rows, resampleStatistic.value);
+    fillPreviewTable(resampleThead, resampleTbody, wideOut.rows, wideOut.columns, 200);
+    const skipped = result.skipped ? ` ${result.skipped} row(s) without a parsable price or timestamp were skipped.` : "";
+    resampleHint.textContent = `${result.rows.length} aggregated row(s).${skipped}`;
+  };
+
+  const visibleGroupKeys = () => {
+    const q = (filterInput.value || "").trim().toLowerCase();
+    return q ? groupKeys.filter((key) => String(key).toLowerCase().includes(q)) : groupKeys;
+  };
 
-        const dlWide = tr.querySelector('[data-action="dl-wide"]');
-        if (dlWide) {
-          dlWide.addEventListener("click", () => {
-            const { fuels: fuelCols, rows: wideRows } = wideFuelRowsForStation(rows);
-            const cols = ["station_id", "creator_country", "creator_national_identifier", "date_of_price", ...fuelCols];
-            downloadCsv(`fuel_prices_${safeFileName(activeGroupKey)}_${safeFileName(key)}_wide.csv`, wideRows, cols);
-          });
+  const renderTable = () => {
+    tbody.innerHTML = "";
+    const keys = visibleGroupKeys();
+    groupPage = Math.min(groupPage, Math.max(0, Math.ceil(keys.length / groupPageSize) - 1));
+    renderPager(tablePager(tbody), {
+      page: groupPage,
+      pageSize: groupPageSize,
+      total: keys.length,
+      onPage: (page) => {
+        groupPage = page;
+        renderTable();
+      },
+    });
+
+    for (const key of keys.slice(groupPage * groupPageSize, (groupPage + 1) * groupPageSize)) {
+      const groupRows = byGroup.get(key) || [];
+      const { extent, summaries } = groupStats.get(key);
+
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td class="clickable"><code class="truncate" title="${escapeHtml(String(key))}">${escapeHtml(String(key))}</code></td>
+        <td>${groupRows.length}</td>
+        ${table.timeColumn ? `<td>${escapeHtml(extent ? extent.first : "—")}</td><td>${escapeHtml(extent ? extent.last : "—")}</td>` : ""}
+        ${summaries.map((s) => `<td title="${escapeHtml(s.title)}">${escapeHtml(s.text)}</td>`).join("")}
+        <td class="actions-cell">
+          <button class="btn" data-action="dl-long">CSV (long)</button>
+          ${wideFor(activeGroupKey) ? `<button class="btn" data-action="dl-wide">CSV (wide)</button>` : ""}
+          <button class="btn" data-action="dl-parquet">Parquet</button>
+        </td>
+      `;
+
+      tr.querySelector("td.clickable").addEventListener("click", () => {
+        previewGroupInput.value = String(key);
+        previewLongDetails.open = true;
+        renderLongPreview();
+
+        if (wideFor(activeGroupKey)) {
+          previewInput.value = String(key);
+          previewWideDetails.open = true;
+          renderWidePreview();
         }
 
-        tbody.appendChild(tr);
-      }
-    };
+        if (resampleGroupInput) {
+          resampleGroupInput.value = String(key);
+          renderResamplePreview();
+        }
+
+        if (pivotGroupInput) {
+          pivotGroupInput.value = String(key);
+          renderCrossPivotPreview();
+        }
+      });
+
+      tr.querySelector('[data-action="dl-long"]').addEventListener("click", () => {
+        downloadLong(`${groupFileBase(key)}_long.csv`, groupRows);
+      });
 
-    const renderGroupButtons = () => {
-      groupButtons.innerHTML = "";
-      for (const opt of groupOptions) {
-        const btn = document.createElement("button");
-        btn.type = "button";
-        btn.className = "btn toggle";
-        btn.textContent = opt.label;
-        btn.dataset.groupKey = opt.key;
-        btn.classList.toggle("active", opt.key === activeGroupKey);
-        btn.addEventListener("click", () => {
-          activeGroupKey = opt.key;
-          filterInput.value = "";
-          previewInput.value = "";
-          previewGroupInput.value = "";
-          previewWideDetails.open = false;
-          previewLongDetails.open = false;
-          recomputeGroups();
-          renderGroupButtons();
-          renderTable();
-
-          previewWideDetails.style.display = activeGroupKey === "station_id" ? "" : "none";
-          previewWideDownload.style.display = activeGroupKey === "station_id" ? "" : "none";
+      tr.querySelector('[data-action="dl-parquet"]').addEventListener("click", () => {
+        downloadLongParquet(`${groupFileBase(key)}_long.parquet`, groupRows);
+      });
+
+      const dlWide = tr.querySelector('[data-action="dl-wide"]');
+      if (dlWide) {
+        dlWide.addEventListener("click", () => {
+          downloadWide(`${groupFileBase(key)}_wide.csv`, groupRows);
         });
-        groupButtons.appendChild(btn);
       }
-    };
 
-    previewLongDownload.addEventListener("click", () => {
-      const groupValue = (previewGroupInput.value || "").trim();
-      const rows = byGroup.get(groupValue) || [];
-      const sorted = [...rows].sort((a, b) => String(a.date_of_price).localeCompare(String(b.date_of_price)));
-      downloadCsv(`fuel_prices_${safeFileName(activeGroupKey)}_${safeFileName(groupValue)}_long.csv`, sorted, longColumns);
+      tbody.appendChild(tr);
+    }
+  };
+
+  const updateWideVisibility = () => {
+    if (!wide) return;
+    previewWideDetails.style.display = wideFor(activeGroupKey) ? "" : "none";
+    previewWideDownload.style.display = wideFor(activeGroupKey) ? "" : "none";
+  };
+
+  const setGroupKeys = (keys) => {
+    activeGroupKeys = keys;
+    groupPage = 0;
+    filterInput.value = "";
+    if (previewInput) previewInput.value = "";
+    previewGroupInput.value = "";
+    if (resampleGroupInput) resampleGroupInput.value = "";
+    if (pivotGroupInput) pivotGroupInput.value = "";
+    if (previewWideDetails) previewWideDetails.open = false;
+    previewLongDetails.open = false;
+    recomputeGroups();
+    renderGroupButtons();
+    renderTable();
+    updateWideVisibility();
+  };
+
+  const renderGroupButtons = () => {
+    groupButtons.innerHTML = "";
+    const combining = activeGroupKeys.length > 1;
+    for (const opt of table.groupOptions) {
+      const btn = document.createElement("button");
+      const level = activeGroupKeys.indexOf(opt.key);
+      btn.type = "button";
+      btn.className = "btn toggle";
+      btn.textContent = combining && level !== -1 ? `${level + 1}. ${opt.label}` : opt.label;
+      btn.dataset.groupKey = opt.key;
+      btn.classList.toggle("active", level !== -1);
+      btn.addEventListener("click", () => {
+        if (!combineGroupsInput.checked) setGroupKeys([opt.key]);
+        else if (level === -1) setGroupKeys([...activeGroupKeys, opt.key]);
+        else if (activeGroupKeys.length > 1) setGroupKeys(activeGroupKeys.filter((key) => key !== opt.key));
+      });
+      groupButtons.appendChild(btn);
+    }
+  };
+
+  combineGroupsInput.addEventListener("change", () => {
+    if (!combineGroupsInput.checked && activeGroupKeys.length > 1) setGroupKeys(activeGroupKeys.slice(0, 1));
+  });
+
+  card.querySelectorAll("button.sort").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      groupSort = { key: btn.dataset.sort, dir: groupSort.key === btn.dataset.sort ? -groupSort.dir : 1 };
+      groupPage = 0;
+      sortGroupKeys();
+      renderTable();
     });
+  });
 
+  previewLongDownload.addEventListener("click", () => {
+    const groupValue = (previewGroupInput.value || "").trim();
+    downloadLong(`${groupFileBase(groupValue)}_long.csv`, byGroup.get(groupValue) || []);
+  });
+
+  previewParquetDownload.addEventListener("click", () => {
+    const groupValue = (previewGroupInput.value || "").trim();
+    downloadLongParquet(`${groupFileBase(groupValue)}_long.parquet`, byGroup.get(groupValue) || []);
+  });
+
+  if (previewWideDownload) {
     previewWideDownload.addEventListener("click", () => {
       const groupValue = (previewGroupInput.value || "").trim();
-      const rows = byGroup.get(groupValue) || [];
-      const { fuels: fuelCols, rows: wideRows } = wideFuelRowsForStation(rows);
-      const cols = ["station_id", "creator_country", "creator_national_identifier", "date_of_price", ...fuelCols];
-      downloadCsv(`fuel_prices_${safeFileName(activeGroupKey)}_${safeFileName(groupValue)}_wide.csv`, wideRows, cols);
+      downloadWide(`${groupFileBase(groupValue)}_wide.csv`, byGroup.get(groupValue) || []);
     });
+  }
+
+  if (resampleDetails) {
+    resampleDetails.addEventListener("toggle", renderResamplePreview);
+    for (const input of [resampleInterval, resampleStatistic]) input.addEventListener("change", renderResamplePreview);
+    resampleGroupInput.addEventListener("input", renderResamplePreview);
+    for (const kind of ["long", "wide"]) {
+      card.querySelector(`[data-action="download-resampled-${kind}"]`).addEventListener("click", () => {
+        try {
+          const out = resampleExport(kind);
+          downloadCsv(resampleFileName(kind), out.rows, out.columns, out.columnTypes);
+        } catch (err) {
+          setStatus(err && err.message ? err.message : "Failed to aggregate the rows.", { error: true });
+        }
+      });
+    }
+  }
+
+  if (pivotDetails) {
+    pivotDetails.addEventListener("toggle", renderCrossPivotPreview);
+    for (const input of [pivotOption, pivotForwardFill]) input.addEventListener("change", renderCrossPivotPreview);
+    pivotGroupInput.addEventListener("input", renderCrossPivotPreview);
+    pivotDownload.addEventListener("click", () => {
+      const result = crossPivot();
+      if (result) downloadCsv(crossPivotFileName(result), result.rows, result.columns, result.columnTypes);
+    });
+  }
+
+  filterInput.addEventListener("input", () => {
+    groupPage = 0;
+    renderTable();
+  });
+  if (previewInput) previewInput.addEventListener("input", renderWidePreview);
+  if (chartOverlayInput) chartOverlayInput.addEventListener("input", () => renderWideChart((previewInput.value || "").trim()));
+  previewGroupInput.addEventListener("input", renderLongPreview);
+
+  recomputeGroups();
+  renderGroupButtons();
+  renderTable();
+  renderLongPreview();
+  updateWideVisibility();
+
+  tableViews.set(id, {
+    state: () => ({
+      groupKeys: activeGroupKeys,
+      sort: groupSort,
+      filter: filterInput.value,
+      joinStations: joinStations(),
+      previewGroup: previewGroupInput.value,
+      preview: previewInput ? previewInput.value : "",
+      overlay: chartOverlayInput ? chartOverlayInput.value : "",
+    }),
+    // Keys, sort columns and values this table doesn't have are skipped.
+    apply: (view) => {
+      const keys = view.groupKeys.filter((key) => table.groupOptions.some((opt) => opt.key === key));
+      if (keys.length) {
+        combineGroupsInput.checked = keys.length > 1;
+        setGroupKeys(keys);
+      }
+      if (view.sort && Array.from(card.querySelectorAll("button.sort")).some((btn) => btn.dataset.sort === view.sort.key)) {
+        groupSort = { ...view.sort };
+        sortGroupKeys();
+      }
+      if (joinStationsInput) joinStationsInput.checked = view.joinStations;
+      filterInput.value = view.filter;
+      groupPage = 0;
+      renderTable();
+      if (view.previewGroup) {
+        previewGroupInput.value = view.previewGroup;
+        previewLongDetails.open = true;
+        renderLongPreview();
+      }
+      if (previewInput && view.preview) {
+        previewInput.value = view.preview;
+        if (chartOverlayInput) chartOverlayInput.value = view.overlay;
+        previewWideDetails.open = true;
+        renderWidePreview();
+      }
+    },
+  });
 
-    filterInput.addEventListener("input", renderTable);
-    previewInput.addEventListener("input", renderWidePreview);
-    previewGroupInput.addEventListener("input", renderLongPreview);
+  return card;
+}
+
+function renderQualityCard(fuelRows, overrideRows, { filename = "quality_report.csv", timeZone = "UTC" } = {}) {
+  const options = { ...defaultQualityOptions, timeZone };
+  const card = document.createElement("div");
+  card.className = "result";
+  card.innerHTML = `
+    <h3>Data quality</h3>
+    <div class="meta" data-kind="quality-meta"></div>
+    <div class="downloads">
+      <button class="btn primary" data-action="download-quality">Download ${escapeHtml(filename)}</button>
+    </div>
+    <div class="quality-options">
+      <div class="field">
+        <label for="qualityMinPrice">Min plausible price</label>
+        <input id="qualityMinPrice" type="number" step="0.01" value="${options.minPrice}">
+      </div>
+      <div class="field">
+        <label for="qualityMaxPrice">Max plausible price</label>
+        <input id="qualityMaxPrice" type="number" step="0.01" value="${options.maxPrice}">
+      </div>
+      <div class="field">
+        <label for="qualityStaleHours">Stale after (hours)</label>
+        <input id="qualityStaleHours" type="number" step="1" min="0" value="${options.staleHours}">
+      </div>
+    </div>
+    <div class="table-wrap"><table class="table" data-kind="quality">
+      <thead><tr><th>Check</th><th>Description</th><th>Count</th><th></th></tr></thead>
+      <tbody></tbody>
+    </table></div>
+    <details class="details" data-kind="quality-drill">
+      <summary data-kind="quality-drill-summary">Issues</summary>
+      <div class="table-wrap"><table class="table" data-kind="quality-issues">
+        <thead></thead>
+        <tbody></tbody>
+      </table></div>
+      <p class="muted small" data-kind="quality-issues-hint"></p>
+    </details>
+  `;
+
+  const meta = card.querySelector('[data-kind="quality-meta"]');
+  const tbody = card.querySelector('table[data-kind="quality"] tbody');
+  const drill = card.querySelector('details[data-kind="quality-drill"]');
+  const drillSummary = card.querySelector('[data-kind="quality-drill-summary"]');
+  const issuesThead = card.querySelector('table[data-kind="quality-issues"] thead');
+  const issuesTbody = card.querySelector('table[data-kind="quality-issues"] tbody');
+  const issuesHint = card.querySelector('[data-kind="quality-issues-hint"]');
+
+  let report = null;
+  let drillCheck = "";
+
+  const renderDrill = () => {
+    resetPreviewTable(issuesThead, issuesTbody);
+    issuesHint.textContent = "";
+    const check = qualityChecks.find((c) => c.key === drillCheck);
+    drillSummary.textContent = check ? `Issues: ${check.label}` : "Issues";
+    if (!check) return;
+    const issues = report.issues.filter((i) => i.check === check.key);
+    const columns = qualityReportColumns.filter((col) => col !== "check" && issues.some((i) => i[col]));
+    fillPreviewTable(issuesThead, issuesTbody, issues, columns, 200);
+    issuesHint.textContent = issues.length ? "" : "No issues.";
+  };
+
+  const render = () => {
+    report = buildQualityReport(fuelRows, overrideRows, options);
+    meta.innerHTML = `
+      <div><code>issues</code>: ${report.issues.length}</div>
+      <div><code>fuel rows checked</code>: ${fuelRows.length}</div>
+      <div><code>newest price</code>: ${escapeHtml(report.newestPrice || "—")}</div>
+    `;
+    tbody.innerHTML = "";
+    for (const check of qualityChecks) {
+      const count = report.counts[check.key];
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${escapeHtml(check.label)}</td>
+        <td class="muted">${escapeHtml(check.description)}</td>
+        <td>${count}</td>
+        <td class="actions-cell"><button class="btn" data-action="show"${count ? "" : " disabled"}>Show</button></td>
+      `;
+      tr.querySelector('[data-action="show"]').addEventListener("click", () => {
+        drillCheck = check.key;
+        drill.open = true;
+        renderDrill();
+      });
+      tbody.appendChild(tr);
+    }
+    renderDrill();
+  };
+
+  const bindOption = (id, key) => {
+    card.querySelector(`#${id}`).addEventListener("change", (e) => {
+      const value = Number(e.target.value);
+      if (!Number.isFinite(value)) {
+        e.target.value = options[key];
+        return;
+      }
+      options[key] = value;
+      render();
+    });
+  };
+  bindOption("qualityMinPrice", "minPrice");
+  bindOption("qualityMaxPrice", "maxPrice");
+  bindOption("qualityStaleHours", "staleHours");
+
+  card.querySelector('[data-action="download-quality"]').addEventListener("click", () => {
+    downloadCsv(filename, report.issues, qualityReportColumns);
+  });
+
+  render();
+  return card;
+}
+
+// Opt-in normalisation of the rendered and downloaded rows (see normalizeTable in core.js).
+const normalizeSettings = { ...defaultNormalizeSettings };
+
+// The zone timestamps without an offset are read in (parseTimestampInZone in core.js): the normalisation zone, UTC
+// while normalisation is off.
+const activeTimeZone = () => (normalizeSettings.enabled ? normalizeSettings.timeZone : "UTC");
+
+function renderNormalizeControls() {
+  const el = document.createElement("div");
+  el.className = "normalize-controls";
+  el.innerHTML = `
+    <label class="checkbox"><input type="checkbox" data-kind="normalize"${normalizeSettings.enabled ? " checked" : ""}> Normalise prices and timestamps</label>
+    <div class="field">
+      <label for="normalizeTimeZone">Time zone</label>
+      <input id="normalizeTimeZone" type="text" spellcheck="false" list="normalizeTimeZones" value="${escapeHtml(normalizeSettings.timeZone)}">
+      <datalist id="normalizeTimeZones">${commonTimeZones.map((z) => `<option value="${escapeHtml(z)}"></option>`).join("")}</datalist>
+    </div>
+    <p class="muted small">
+      Prices become numbers (with <code>price_unit</code>/<code>currency</code> columns when present), <code>date_of_price</code>
+      and override periods are converted to the time zone, <code>…_epoch_ms</code> columns are added and rows sort
+      chronologically instead of lexically.
+    </p>
+  `;
+
+  const rerender = () => {
+    if (lastExtracted) renderPublicationsFromItems(lastDecodedItems, lastExtracted);
+  };
+  el.querySelector('[data-kind="normalize"]').addEventListener("change", (e) => {
+    normalizeSettings.enabled = e.target.checked;
+    rerender();
+  });
+  el.querySelector("#normalizeTimeZone").addEventListener("change", (e) => {
+    const timeZone = e.target.value.trim() || "UTC";
+    try {
+      assertTimeZone(timeZone);
+    } catch (err) {
+      setStatus(err && err.message ? err.message : "Unknown time zone.", { error: true });
+      e.target.value = normalizeSettings.timeZone;
+      return;
+    }
+    normalizeSettings.timeZone = timeZone;
+    if (normalizeSettings.enabled) rerender();
+  });
+  return el;
+}
+
+// Structured row filter for every card, preview and download (see applyRowFilter in core.js); applied with the button
+// so typing a range doesn't rebuild the cards on every keystroke.
+let rowFilter = { ...emptyRowFilter };
+let rowFilterOpen = false;
+
+// One id per line, or a CSV with a station_id column (e.g. a stations.csv export).
+function stationIdsFromText(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  const cells = (line) =>
+    Array.from(line.matchAll(/\s*("(?:[^"]|"")*"|[^,;\t]*)\s*(?:[,;\t]|$)/g), (m) => m[1].replace(/^"([\s\S]*)"$/, "$1").replaceAll('""', '"'));
+  const column = lines.length ? cells(lines[0]).indexOf("station_id") : -1;
+  if (column === -1) return filterValueList(text);
+  return filterValueList(lines.slice(1).map((line) => cells(line)[column] || ""));
+}
+
+// `tables` are the unfiltered extracted tables; they supply the fuels to tick and the creator/country suggestions.
+function renderRowFilterControls(tables) {
+  const allRows = publicationTables().flatMap((table) => tables[table.key] || []);
+  const values = (column) => Array.from(new Set(allRows.map((r) => String(r[column] ?? "").trim()).filter(Boolean))).sort();
+  const fuels = Array.from(new Set([...values("fuel_canonical"), ...rowFilter.fuels])).sort();
+  const options = (list) => list.map((v) => `<option value="${escapeHtml(v)}"></option>`).join("");
+  const joined = (list) => escapeHtml(list.join(", "));
+
+  const el = document.createElement("details");
+  el.className = "details";
+  el.dataset.kind = "row-filter";
+  el.open = rowFilterOpen;
+  el.innerHTML = `
+    <summary>Filter rows${isRowFilterActive(rowFilter) ? `: ${escapeHtml(describeRowFilter(rowFilter))}` : ""}</summary>
+    <p class="muted small">
+      Applies to the group tables, the previews and every download, and is added to the file names. Each criterion narrows
+      the tables that have its column (fuel and price only the fuel prices); empty criteria match all rows. Dates are
+      instants with offset, e.g. <code>2025-01-01T06:00:00Z</code>; both bounds are included.
+    </p>
+    ${
+      fuels.length
+        ? `<div class="field"><div class="muted small">Fuels</div><div class="filter-fuels">${fuels
+            .map(
+              (f) =>
+                `<label class="checkbox"><input type="checkbox" data-kind="filter-fuel" value="${escapeHtml(f)}"${rowFilter.fuels.includes(f) ? " checked" : ""}> ${escapeHtml(f)}</label>`,
+            )
+            .join("")}</div></div>`
+        : ""
+    }
+    <div class="filter-options">
+      <div class="field">
+        <label for="filterPriceMin">Min price</label>
+        <input id="filterPriceMin" type="text" inputmode="decimal" spellcheck="false" value="${escapeHtml(String(rowFilter.priceMin ?? ""))}">
+      </div>
+      <div class="field">
+        <label for="filterPriceMax">Max price</label>
+        <input id="filterPriceMax" type="text" inputmode="decimal" spellcheck="false" value="${escapeHtml(String(rowFilter.priceMax ?? ""))}">
+      </div>
+      <div class="field">
+        <label for="filterFrom"><code>date_of_price</code> from</label>
+        <input id="filterFrom" type="text" spellcheck="false" placeholder="2025-01-01T00:00:00Z" value="${escapeHtml(rowFilter.from)}">
+      </div>
+      <div class="field">
+        <label for="filterTo">to</label>
+        <input id="filterTo" type="text" spellcheck="false" placeholder="2025-01-31T23:59:59Z" value="${escapeHtml(rowFilter.to)}">
+      </div>
+      <div class="field">
+        <label for="filterCreators">Creators</label>
+        <input id="filterCreators" type="text" spellcheck="false" list="filterCreatorList" value="${joined(rowFilter.creators)}">
+        <datalist id="filterCreatorList">${options(values("creator_national_identifier"))}</datalist>
+      </div>
+      <div class="field">
+        <label for="filterCountries">Countries</label>
+        <input id="filterCountries" type="text" spellcheck="false" list="filterCountryList" value="${joined(rowFilter.countries)}">
+        <datalist id="filterCountryList">${options(values("creator_country"))}</datalist>
+      </div>
+    </div>
+    <div class="field">
+      <label for="filterStations">Station ids (one per line, or separated by commas or spaces)</label>
+      <textarea id="filterStations" class="compact" rows="3" spellcheck="false">${escapeHtml(rowFilter.stations.join("\n"))}</textarea>
+    </div>
+    <div class="actions">
+      <button class="btn primary" type="button" data-action="apply-filter">Apply filter</button>
+      <button class="btn" type="button" data-action="clear-filter">Clear filter</button>
+      <button class="btn" type="button" data-action="load-filter-stations">Load station ids…</button>
+      <input type="file" data-kind="filter-stations-file" accept=".txt,.csv,text/plain,text/csv" hidden>
+    </div>
+  `;
+
+  const rerender = (filter) => {
+    rowFilter = filter;
+    rowFilterOpen = true;
+    if (!lastExtracted) return;
+    const summary = renderPublicationsFromItems(lastDecodedItems, lastExtracted);
+    setStatus(decodeStatusWithFilter(summary));
+  };
+  el.addEventListener("toggle", () => (rowFilterOpen = el.open));
+  el.querySelector('[data-action="apply-filter"]').addEventListener("click", () => {
+    let filter;
+    try {
+      filter = normalizeRowFilter({
+        fuels: Array.from(el.querySelectorAll('[data-kind="filter-fuel"]:checked')).map((input) => input.value),
+        priceMin: el.querySelector("#filterPriceMin").value,
+        priceMax: el.querySelector("#filterPriceMax").value,
+        from: el.querySelector("#filterFrom").value,
+        to: el.querySelector("#filterTo").value,
+        stations: el.querySelector("#filterStations").value,
+        creators: el.querySelector("#filterCreators").value,
+        countries: el.querySelector("#filterCountries").value,
+      }, { timeZone: activeTimeZone() });
+    } catch (err) {
+      setStatus(err && err.message ? err.message : "Invalid filter.", { error: true });
+      return;
+    }
+    rerender(filter);
+  });
+  el.querySelector('[data-action="clear-filter"]').addEventListener("click", () => rerender({ ...emptyRowFilter }));
+
+  const stationsFile = el.querySelector('[data-kind="filter-stations-file"]');
+  el.querySelector('[data-action="load-filter-stations"]').addEventListener("click", () => stationsFile.click());
+  stationsFile.addEventListener("change", async () => {
+    const file = stationsFile.files && stationsFile.files[0];
+    if (!file) return;
+    try {
+      el.querySelector("#filterStations").value = stationIdsFromText(await readFileAsText(file)).join("\n");
+    } catch (err) {
+      setStatus(err && err.message ? err.message : "Failed to read the station list.", { error: true });
+    } finally {
+      stationsFile.value = "";
+    }
+  });
+  return el;
+}
+
+function renderRawBinariesDetails(items, results) {
+  const rawDetails = document.createElement("details");
+  rawDetails.className = "details";
+  rawDetails.open = false;
+  rawDetails.innerHTML = `<summary>Raw binaries (${items.length})</summary><div id="rawResults" class="results"></div>`;
+  results.appendChild(rawDetails);
+  renderRawBinaries(items, rawDetails.querySelector("#rawResults"));
+}
+
+// One card per table that received rows, in registry order. Returns { rows: { tableKey: count }, parsedXmlBinaries,
+// filtered: { tableKey: count } } where filtered lists the tables the row filter applied to.
+function renderPublicationsFromItems(items, extracted) {
+  const results = document.getElementById("results");
+  results.innerHTML = "";
+  tableViews.clear();
+
+  if (!items || items.length === 0 || !extracted) return { rows: {}, parsedXmlBinaries: 0 };
+
+  const { tables, parsedXmlBinaries } = extracted;
+  const unrecognizedTypes = extracted.unrecognizedTypes || [];
+  const stationsById = stationLookup(tables[stationTable.key] || []);
+  const filled = publicationTables().filter((table) => (tables[table.key] || []).length > 0);
+
+  if (filled.length === 0) {
+    const known = publicationExtractors.flatMap((e) => e.publicationTypes).join(", ");
+    const empty = document.createElement("div");
+    empty.className = "muted";
+    empty.textContent =
+      `No records extracted (parsed XML binaries: ${parsedXmlBinaries}/${items.length}; supported publication types: ${known}).` +
+      `${unrecognizedTypes.length ? ` Unsupported publication type(s): ${unrecognizedTypes.join(", ")}.` : ""} Showing raw binaries below.`;
+    results.appendChild(empty);
+    renderRawBinariesDetails(items, results);
+    return { rows: {}, parsedXmlBinaries, filtered: {} };
+  }
+
+  if (filled.some((table) => table.normalize)) results.appendChild(renderNormalizeControls());
+  const filterColumns = Object.values(rowFilterColumns);
+  if (filled.some((table) => table.columns.some((c) => filterColumns.includes(c)))) results.appendChild(renderRowFilterControls(tables));
+
+  const customColumns = extracted.customColumns || {};
+  const filtered = {};
+  const prepared = filled.map((baseTable) => {
+    let table = tableWithCustomColumns(baseTable, customColumns[baseTable.key]);
+    let rows = tables[table.key];
+    const unfiltered = table;
+    ({ table, rows } = applyRowFilter(table, rows, rowFilter, { timeZone: activeTimeZone() }));
+    if (table !== unfiltered) filtered[table.key] = rows.length;
+    if (normalizeSettings.enabled) ({ table, rows } = normalizeTable(table, rows, { timeZone: normalizeSettings.timeZone }));
+    return { table, rows };
+  });
+  const extractorOf = (table) => publicationExtractors.find((e) => e.tables.some((t) => t.key === table.key));
+  for (const { table, rows } of prepared) {
+    if (!table.groupOptions) {
+      results.appendChild(renderSimpleTableCard(table, rows));
+      continue;
+    }
+    const relatedTables = prepared.filter((p) => p.table !== table && extractorOf(p.table) === extractorOf(table));
+    results.appendChild(renderGroupedTableCard(table, rows, { stationsById, relatedTables }));
+  }
+
+  // The quality checks work on raw rows, so the filter is applied to those again.
+  const fuelRows = tables[fuelPriceTable.key] || [];
+  const overrideRows = tables[overrideOpenTable.key] || [];
+  if (fuelRows.length || overrideRows.length) {
+    const filterOptions = { timeZone: activeTimeZone() };
+    const tag = isRowFilterActive(rowFilter) ? rowFilterFileTag(rowFilter, filterOptions) : "";
+    results.appendChild(
+      renderQualityCard(
+        applyRowFilter(fuelPriceTable, fuelRows, rowFilter, filterOptions).rows,
+        applyRowFilter(overrideOpenTable, overrideRows, rowFilter, filterOptions).rows,
+        { filename: `quality_report${tag ? `_${tag}` : ""}.csv`, timeZone: filterOptions.timeZone },
+      ),
+    );
+  }
+
+  renderRawBinariesDetails(items, results);
+
+  if (pendingView && tableViews.size) {
+    for (const [id, view] of tableViews) if (pendingView.cards[id]) view.apply(pendingView.cards[id]);
+    pendingView = null;
+  }
+  scheduleViewUrlUpdate();
+
+  const rows = {};
+  for (const table of filled) rows[table.key] = tables[table.key].length;
+  return { rows, parsedXmlBinaries, filtered };
+}
+
+// Response files from the last file/folder selection, as [{ name, text }]. With a single file its text is also shown in
+// the textarea; with several the textarea stays empty and "Decode binaries" merges all of them.
+let loadedResponseFiles = [];
+
+function renderLoadedFilesInfo() {
+  const el = document.getElementById("xmlFilesInfo");
+  if (loadedResponseFiles.length <= 1) {
+    el.textContent = "";
+    el.title = "";
+    return;
+  }
+  const names = loadedResponseFiles.map((f) => f.name);
+  const shown = names.slice(0, 3).join(", ");
+  el.textContent = `${names.length} files loaded: ${shown}${names.length > 3 ? ` (+${names.length - 3})` : ""}`;
+  el.title = names.join("\n");
+}
+
+function currentDecodeSources() {
+  const text = getXmlText().trim();
+  if (loadedResponseFiles.length > 1) return loadedResponseFiles;
+  if (loadedResponseFiles.length === 1 && loadedResponseFiles[0].text.trim() === text) return loadedResponseFiles;
+  return [{ name: "response.xml", text }];
+}
+
+async function loadResponseFiles(fileList, { onlyXml = false } = {}) {
+  let files = Array.from(fileList || []);
+  if (onlyXml) files = files.filter((f) => /\.(xml|txt)$/i.test(f.name));
+  if (files.length === 0) {
+    setStatus(onlyXml ? "No .xml/.txt files found in the selected folder." : "No file selected.", { error: true });
+    return;
+  }
+  const fileName = (f) => f.webkitRelativePath || f.name;
+  files.sort((a, b) => fileName(a).localeCompare(fileName(b)));
+
+  setStatus(files.length > 1 ? `Reading ${files.length} response files…` : "Reading response file…");
+  const loaded = [];
+  for (const file of files) loaded.push({ name: fileName(file), text: await readFileAsText(file) });
+
+  loadedResponseFiles = loaded;
+  setXmlText(loaded.length === 1 ? loaded[0].text : "");
+  renderLoadedFilesInfo();
+  const pruned = await keepInHistory(loaded, { decoded: false });
+  const loadedText = loaded.length > 1 ? `Loaded ${loaded.length} files.` : "Loaded file.";
+  setStatus(`${loadedText} Ready to decode.${pruned ? ` ${historyPrunedText(pruned)}.` : ""}`);
+}
+
+// Custom column mappings from the editor, as [{ name, context, path }]. They are sent along with every decode; blank
+// rows are ignored.
+let customColumnMappings = [];
+
+function activeCustomColumns() {
+  return customColumnMappings.filter((m) => m.name.trim() || m.path.trim());
+}
+
+function renderCustomColumnsEditor() {
+  const tbody = document.querySelector("#customColumnsTable tbody");
+  tbody.innerHTML = "";
+  if (customColumnMappings.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="4" class="muted small">No custom columns. Click “Add column” or import a mappings file.</td></tr>`;
+  }
+
+  customColumnMappings.forEach((mapping, i) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><input type="text" spellcheck="false" data-kind="name" placeholder="e.g. station_ref_version" value="${escapeHtml(mapping.name)}"></td>
+      <td><select data-kind="context">
+        ${customColumnContexts
+          .map((c) => `<option value="${c.key}"${c.key === mapping.context ? " selected" : ""}>${escapeHtml(c.label)}</option>`)
+          .join("")}
+      </select></td>
+      <td><input type="text" spellcheck="false" data-kind="path" placeholder="e.g. petrolStationReference/@version" value="${escapeHtml(mapping.path)}"></td>
+      <td class="actions-cell"><button class="btn" type="button" data-action="remove">Remove</button></td>
+    `;
+    tr.querySelector('[data-kind="name"]').addEventListener("input", (e) => (mapping.name = e.target.value));
+    tr.querySelector('[data-kind="context"]').addEventListener("change", (e) => (mapping.context = e.target.value));
+    tr.querySelector('[data-kind="path"]').addEventListener("input", (e) => (mapping.path = e.target.value));
+    tr.querySelector('[data-action="remove"]').addEventListener("click", () => {
+      customColumnMappings.splice(i, 1);
+      renderCustomColumnsEditor();
+    });
+    tbody.appendChild(tr);
+  });
+
+  const count = activeCustomColumns().length;
+  document.querySelector("#customColumns summary").textContent = count ? `Custom columns (${count})` : "Custom columns";
+}
+
+function saveCustomColumns() {
+  let columns;
+  try {
+    columns = normalizeCustomColumns(activeCustomColumns());
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Invalid custom columns.", { error: true });
+    return;
+  }
+  if (columns.length === 0) {
+    setStatus("Add at least one custom column first.", { error: true });
+    return;
+  }
+  triggerDownload("custom_columns.json", new TextEncoder().encode(customColumnsToJson(columns)), "application/json");
+}
+
+async function importCustomColumns(file) {
+  const columns = parseCustomColumnsJson(await readFileAsText(file));
+  customColumnMappings = columns;
+  renderCustomColumnsEditor();
+  document.getElementById("customColumns").open = true;
+  setStatus(`Imported ${columns.length} custom column(s). Decode again to apply them.`);
+}
+
+// CSV dialect from the "CSV export settings" panel; remembered in localStorage when the browser allows it.
+const csvDialectStorageKey = "mobilithek-to-csv.csvDialect";
+
+function loadCsvDialect() {
+  try {
+    return normalizeCsvDialect(JSON.parse(localStorage.getItem(csvDialectStorageKey) || "null"));
+  } catch {
+    return normalizeCsvDialect(null);
+  }
+}
+
+let csvDialect = loadCsvDialect();
+
+function storeCsvDialect() {
+  try {
+    localStorage.setItem(csvDialectStorageKey, JSON.stringify(csvDialect));
+  } catch {
+    // Storage can be disabled (private windows, some file:// pages); the settings then last for this visit.
+  }
+}
+
+function renderCsvDialectControls() {
+  document.getElementById("csvDelimiter").value = csvDialect.delimiter === "\t" ? "tab" : csvDialect.delimiter;
+  document.getElementById("csvDecimal").value = csvDialect.decimalComma ? "," : ".";
+  document.getElementById("csvLineEnding").value = csvDialect.lineEnding === "\n" ? "lf" : "crlf";
+  document.getElementById("csvBom").checked = csvDialect.bom;
+  document.getElementById("csvQuoteAll").checked = csvDialect.quoteAll;
+  document.getElementById("csvHeader").checked = csvDialect.header;
+  document.getElementById("csvHeaderLabels").value = csvHeaderLabelsToText(csvDialect.headerLabels);
+
+  const defaults = JSON.stringify(normalizeCsvDialect(null));
+  document.querySelector("#csvDialect summary").textContent =
+    JSON.stringify(csvDialect) === defaults ? "CSV export settings" : "CSV export settings (customised)";
+}
+
+function readCsvDialectControls() {
+  const delimiter = document.getElementById("csvDelimiter").value;
+  let headerLabels = csvDialect.headerLabels;
+  try {
+    headerLabels = parseCsvHeaderLabels(document.getElementById("csvHeaderLabels").value);
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Invalid header labels.", { error: true });
+  }
+  csvDialect = normalizeCsvDialect({
+    delimiter: delimiter === "tab" ? "\t" : delimiter,
+    decimalComma: document.getElementById("csvDecimal").value === ",",
+    lineEnding: document.getElementById("csvLineEnding").value === "lf" ? "\n" : "\r\n",
+    bom: document.getElementById("csvBom").checked,
+    quoteAll: document.getElementById("csvQuoteAll").checked,
+    header: document.getElementById("csvHeader").checked,
+    headerLabels,
+  });
+  storeCsvDialect();
+  renderCsvDialectControls();
+}
 
-    recomputeGroups();
-    renderGroupButtons();
-    renderTable();
-    renderLongPreview();
+function setCsvDialect(dialect) {
+  csvDialect = normalizeCsvDialect(dialect);
+  storeCsvDialect();
+  renderCsvDialectControls();
+}
 
-    previewWideDetails.style.display = activeGroupKey === "station_id" ? "" : "none";
-    previewWideDownload.style.display = activeGroupKey === "station_id" ? "" : "none";
+// User fuel mappings, as [{ raw, canonical }]; they override the built-in taxonomy (canonicalFuelTypes in core.js).
+let fuelMappingEntries = [];
 
-    results.appendChild(card);
+function currentFuelMapping() {
+  const mapping = {};
+  for (const { raw, canonical } of fuelMappingEntries) {
+    if (raw.trim() && canonical.trim()) mapping[raw.trim()] = canonical.trim();
   }
+  return mapping;
+}
 
-  if (hasOverrides) {
-    const byStation = groupBy(overrideRows, (r) => r.station_id || "(missing station_id)");
-    const stations = Array.from(byStation.keys()).sort();
+// Re-labels the current results without decoding again.
+function applyFuelMapping() {
+  renderFuelMappingEditor();
+  if (!lastExtracted) return;
+  const key = fuelPriceTable.key;
+  lastExtracted.tables[key] = withCanonicalFuel(lastExtracted.tables[key] || [], currentFuelMapping());
+  renderPublicationsFromItems(lastDecodedItems, lastExtracted);
+}
 
-    const card = document.createElement("div");
-    card.className = "result";
-    card.innerHTML = `
-      <h3>Override open periods</h3>
-      <div class="meta">
-        <div><code>rows</code>: ${overrideRows.length}</div>
-        <div><code>stations</code>: ${stations.length}</div>
-      </div>
-      <div class="downloads">
-        <button class="btn primary" data-action="download-ov-all">Download all (CSV)</button>
-      </div>
+function renderFuelMappingEditor() {
+  const tbody = document.querySelector("#fuelMappingTable tbody");
+  tbody.innerHTML = "";
+
+  const observed = new Set(((lastExtracted && lastExtracted.tables[fuelPriceTable.key]) || []).map((r) => r.fuel).filter(Boolean));
+  const mapped = new Set(fuelMappingEntries.map((e) => e.raw.trim()));
+  const unmappedObserved = Array.from(observed).filter((raw) => !mapped.has(raw)).sort();
+
+  const addRow = (entry, { editableRaw }) => {
+    const builtin = canonicalFuel(entry.raw.trim());
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${
+        editableRaw
+          ? `<input type="text" spellcheck="false" data-kind="raw" placeholder="e.g. SuperE5" value="${escapeHtml(entry.raw)}">`
+          : `<code>${escapeHtml(entry.raw)}</code>`
+      }</td>
+      <td><input type="text" spellcheck="false" data-kind="canonical" list="canonicalFuelList" placeholder="${escapeHtml(builtin)}" value="${escapeHtml(entry.canonical)}"></td>
+      <td class="muted small">${observed.has(entry.raw.trim()) ? "in data" : ""}${entry.canonical.trim() ? " · custom" : builtin && builtin !== entry.raw.trim() ? " · built-in" : ""}</td>
+      <td class="actions-cell">${editableRaw ? `<button class="btn" type="button" data-action="remove">Remove</button>` : ""}</td>
     `;
-    card.querySelector('[data-action="download-ov-all"]').addEventListener("click", () => {
-      const sorted = [...overrideRows].sort((a, b) => String(a.start_of_period).localeCompare(String(b.start_of_period)));
-      downloadCsv("override_open.csv", sorted, [
-        "station_id",
-        "station_version",
-        "start_of_period",
-        "end_of_period",
-        "creator_country",
-        "creator_national_identifier",
-        "publication_id",
-        "publication_type",
-        "binary_id",
-      ]);
+    const rawInput = tr.querySelector('[data-kind="raw"]');
+    if (rawInput) rawInput.addEventListener("change", (e) => ((entry.raw = e.target.value), applyFuelMapping()));
+    tr.querySelector('[data-kind="canonical"]').addEventListener("change", (e) => {
+      entry.canonical = e.target.value;
+      if (!fuelMappingEntries.includes(entry)) fuelMappingEntries.push(entry);
+      applyFuelMapping();
     });
+    const remove = tr.querySelector('[data-action="remove"]');
+    if (remove) {
+      remove.addEventListener("click", () => {
+        fuelMappingEntries = fuelMappingEntries.filter((e) => e !== entry);
+        applyFuelMapping();
+      });
+    }
+    tbody.appendChild(tr);
+  };
 
-    results.appendChild(card);
+  for (const entry of fuelMappingEntries) addRow(entry, { editableRaw: true });
+  for (const raw of unmappedObserved) addRow({ raw, canonical: "" }, { editableRaw: false });
+  if (tbody.children.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="4" class="muted small">Decode a response to list its fuels, or add a mapping.</td></tr>`;
   }
 
-  const rawDetails = document.createElement("details");
-  rawDetails.className = "details";
-  rawDetails.open = false;
-  rawDetails.innerHTML = `<summary>Raw binaries (${items.length})</summary><div id="rawResults" class="results"></div>`;
-  results.appendChild(rawDetails);
-  renderRawBinaries(items, rawDetails.querySelector("#rawResults"));
+  const count = Object.keys(currentFuelMapping()).length;
+  document.querySelector("#fuelMapping summary").textContent = count ? `Fuel mapping (${count} custom)` : "Fuel mapping";
+}
+
+function saveFuelMapping() {
+  const mapping = currentFuelMapping();
+  if (Object.keys(mapping).length === 0) {
+    setStatus("Add at least one fuel mapping first.", { error: true });
+    return;
+  }
+  triggerDownload("fuel_mapping.json", new TextEncoder().encode(fuelMappingToJson(mapping)), "application/json");
+}
 
-  return { fuelRows: fuelRows.length, overrideRows: overrideRows.length, parsedXmlBinaries, fuelBinaries };
+async function importFuelMapping(file) {
+  const mapping = parseFuelMappingJson(await readFileAsText(file));
+  fuelMappingEntries = Object.entries(mapping).map(([raw, canonical]) => ({ raw, canonical }));
+  document.getElementById("fuelMapping").open = true;
+  applyFuelMapping();
+  setStatus(`Imported ${fuelMappingEntries.length} fuel mapping(s).`);
 }
 
 function setXmlText(value) {
@@ -1020,27 +2126,151 @@ async function tryFetchEndpoint() {
   }
 }
 
-async function decodeAndRender(xmlText) {
-  const normalized = String(xmlText || "").trim();
-  if (!normalized) {
+let activeDecode = null;
+
+function decodeProgressMessage({ stage, done, total, id, source, sourceIndex, sourceCount }) {
+  const verb = stage === "extract" ? "Extracting time series from" : "Decoding";
+  const file = sourceCount > 1 ? `File ${sourceIndex + 1}/${sourceCount} (${source}): ` : "";
+  return `${file}${verb} binary ${Math.min(done + 1, total)}/${total}${id ? ` (${id})` : ""}…`;
+}
+
+function decodeOnMainThread(sources, { onProgress, signal, customColumns, fuelMapping }) {
+  // Yield to the event loop between binaries so status updates paint and Cancel stays clickable.
+  const progress = (p) => {
+    onProgress(p);
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  };
+  const decoding = decodeSources(sources, { onProgress: progress, signal, customColumns, fuelMapping });
+  // The same shape the worker sends back.
+  return decoding.then(({ items, extracted }) => ({ items: items.map(itemWithoutBytes), extracted }));
+}
+
+function decodeInWorker(sources, { onProgress, signal, customColumns, fuelMapping }) {
+  let worker;
+  try {
+    worker = new Worker("./decode-worker.js");
+  } catch {
+    // e.g. Chrome refuses workers on file:// pages.
+    return decodeOnMainThread(sources, { onProgress, signal, customColumns, fuelMapping });
+  }
+
+  return new Promise((resolve, reject) => {
+    let started = false;
+    const finish = () => {
+      signal.removeEventListener("abort", onAbort);
+      worker.terminate();
+    };
+    const onAbort = () => {
+      finish();
+      reject(new DecodeCancelledError());
+    };
+    signal.addEventListener("abort", onAbort);
+
+    worker.addEventListener("message", (e) => {
+      const msg = e.data || {};
+      started = true;
+      if (msg.type === "progress") {
+        onProgress(msg);
+      } else if (msg.type === "done") {
+        finish();
+        resolve({ items: msg.items, extracted: msg.extracted });
+      } else if (msg.type === "error") {
+        finish();
+        reject(new Error(msg.message));
+      }
+    });
+    worker.addEventListener("error", (e) => {
+      e.preventDefault();
+      finish();
+      if (started) reject(new Error(e.message || "Decode worker failed."));
+      else decodeOnMainThread(sources, { onProgress, signal, customColumns, fuelMapping }).then(resolve, reject);
+    });
+    worker.postMessage({ type: "decode", sources, customColumns, fuelMapping });
+  });
+}
+
+function cancelDecode() {
+  if (activeDecode) activeDecode.abort();
+}
+
+// sources: [{ name, text }], one per response file (a pasted or fetched response is a single source).
+async function decodeAndRender(sourcesInput, { endpoint = "" } = {}) {
+  const sources = (sourcesInput || [])
+    .map((s) => ({ name: s.name || "response.xml", text: String(s.text || "").trim() }))
+    .filter((s) => s.text);
+  if (sources.length === 0) {
     setStatus("Paste or load an XML response first.", { error: true });
-    renderTimeSeriesFromItems([]);
+    renderPublicationsFromItems([]);
     return;
   }
-  setStatus("Extracting <binary> blocks…");
-  const items = await decodeXmlToItems(normalized);
-  lastResponseXml = normalized;
-  lastDecodedItems = items;
+  const customColumns = activeCustomColumns();
+  try {
+    normalizeCustomColumns(customColumns);
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Invalid custom columns.", { error: true });
+    return;
+  }
+  cancelDecode();
+  const controller = new AbortController();
+  activeDecode = controller;
 
-  setStatus(`Decoded ${items.length} binary item(s). Building time series…`);
-  const summary = renderTimeSeriesFromItems(items);
-  if (summary.fuelRows || summary.overrideRows) {
-    setStatus(
-      `Fuel rows: ${summary.fuelRows || 0} · Overrides: ${summary.overrideRows || 0} · Parsed XML: ${summary.parsedXmlBinaries}/${items.length}`,
-    );
-  } else {
-    setStatus(`Decoded ${items.length} binary item(s).`);
+  const decodeBtn = document.getElementById("decode");
+  const cancelBtn = document.getElementById("cancelDecode");
+  decodeBtn.disabled = true;
+  cancelBtn.hidden = false;
+
+  setStatus(sources.length > 1 ? `Extracting <binary> blocks from ${sources.length} files…` : "Extracting <binary> blocks…");
+  let result;
+  try {
+    result = await decodeInWorker(sources, {
+      signal: controller.signal,
+      customColumns,
+      fuelMapping: currentFuelMapping(),
+      onProgress: (p) => setStatus(decodeProgressMessage(p)),
+    });
+  } catch (err) {
+    if (err instanceof DecodeCancelledError) setStatus("Decode cancelled.");
+    else setStatus(err && err.message ? err.message : "Failed to decode.", { error: true });
+    return;
+  } finally {
+    if (activeDecode === controller) activeDecode = null;
+    decodeBtn.disabled = false;
+    cancelBtn.hidden = true;
   }
+
+  const { items, extracted } = result;
+  lastResponseXml = sources.length === 1 ? sources[0].text : "";
+  lastDecodedItems = items;
+  lastDecodeSources = sources;
+  lastExtracted = extracted;
+  rememberDecodeSnapshot(sources, extracted);
+  renderFuelMappingEditor();
+
+  setStatus(`Decoded ${items.length} binary item(s). Building tables…`);
+  const summary = renderPublicationsFromItems(items, extracted);
+  const files = sources.length > 1 ? ` · Files: ${sources.length}` : "";
+  const duplicateCount = Object.values(extracted.duplicates || {}).reduce((sum, n) => sum + n, 0);
+  const duplicates = duplicateCount ? ` · Duplicates collapsed: ${duplicateCount}` : "";
+  const skipped = extracted.unrecognizedTypes.length ? ` · Unsupported types: ${extracted.unrecognizedTypes.join(", ")}` : "";
+  const counts = publicationTables()
+    .filter((table) => summary.rows[table.key])
+    .map((table) => `${table.statusLabel}: ${summary.rows[table.key]}`);
+  lastDecodeStatus = counts.length
+    ? `${counts.join(" · ")} · Parsed XML: ${summary.parsedXmlBinaries}/${items.length}${files}${duplicates}${skipped}`
+    : `Decoded ${items.length} binary item(s)${files}${skipped}.`;
+  setStatus(decodeStatusWithFilter(summary));
+
+  const pruned = await keepInHistory(sources, { endpoint, counts: summary.rows });
+  if (pruned) setStatus(`${decodeStatusWithFilter(summary)} · ${historyPrunedText(pruned)}`);
+}
+
+// The decode summary plus, while a row filter is active, how many rows it left of each table it applies to.
+function decodeStatusWithFilter(summary) {
+  if (!isRowFilterActive(rowFilter)) return lastDecodeStatus;
+  const left = publicationTables()
+    .filter((table) => summary.filtered[table.key] !== undefined)
+    .map((table) => `${table.statusLabel} ${summary.filtered[table.key]}/${summary.rows[table.key]}`);
+  return `${lastDecodeStatus} · Filter: ${describeRowFilter(rowFilter)}${left.length ? ` · Filtered: ${left.join(", ")}` : ""}`;
 }
 
 function downloadResponseXml() {
@@ -1078,19 +2308,33 @@ function requireDecodedItems() {
   return lastDecodedItems;
 }
 
-function downloadDecodedJson() {
+// The bytes of decoded items, read again from the decoded response(s); null after reporting why that failed.
+async function itemBytesOrStatus(items) {
+  try {
+    return await decodeItemBytes(lastDecodeSources, items);
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Failed to read the binaries again.", { error: true });
+    return null;
+  }
+}
+
+// Both exports carry every decoded binary, so they read all the bytes again.
+async function downloadDecodedJson() {
   const items = requireDecodedItems();
   if (!items) return;
+  const bytes = await itemBytesOrStatus(items);
+  if (!bytes) return;
 
   const decoder = new TextDecoder("utf-8", { fatal: false });
-  const exported = items.map((it) => {
+  const exported = items.map((it, i) => {
+    const { decodedBytes } = bytes[i];
     const raw = {
-      bytes: it.rawBytes ? it.rawBytes.length : 0,
+      bytes: it.rawSize || 0,
       ext: it.rawInfo ? it.rawInfo.ext : "",
       mime: it.rawInfo ? it.rawInfo.mime : "",
     };
     const decoded = {
-      bytes: it.decodedBytes ? it.decodedBytes.length : 0,
+      bytes: it.decodedSize || 0,
       ext: it.decodedInfo ? it.decodedInfo.ext : "",
       mime: it.decodedInfo ? it.decodedInfo.mime : "",
       isText: it.decodedInfo ? Boolean(it.decodedInfo.isText) : false,
@@ -1100,17 +2344,21 @@ function downloadDecodedJson() {
       id: it.id || "",
       type: it.type || "",
       wasGunzipped: Boolean(it.wasGunzipped),
+      sourceFile: it.sourceFile || null,
+      archiveId: it.archiveId || null,
+      zipEntry: it.zipEntry || null,
       error: it.error || null,
       gunzipError: it.gunzipError || null,
+      unzipError: it.unzipError || null,
       raw,
       decoded,
       preview: it.preview || "",
     };
 
-    if (!it.error && it.decodedBytes && decoded.isText) {
-      out.decodedText = decoder.decode(it.decodedBytes);
-    } else if (!it.error && it.decodedBytes) {
-      out.decodedBase64 = bytesToBase64(it.decodedBytes);
+    if (!it.error && decodedBytes && decoded.isText) {
+      out.decodedText = decoder.decode(decodedBytes);
+    } else if (!it.error && decodedBytes) {
+      out.decodedBase64 = bytesToBase64(decodedBytes);
     }
 
     return out;
@@ -1119,6 +2367,7 @@ function downloadDecodedJson() {
   const payload = {
     generatedAt: new Date().toISOString(),
     responseXmlLength: lastResponseXml ? lastResponseXml.length : 0,
+    sourceFiles: Array.from(new Set(items.map((it) => it.sourceFile).filter(Boolean))),
     items: exported,
   };
 
@@ -1129,37 +2378,43 @@ function downloadDecodedJson() {
   );
 }
 
-function downloadDecodedXml() {
+async function downloadDecodedXml() {
   const items = requireDecodedItems();
   if (!items) return;
+  const bytes = await itemBytesOrStatus(items);
+  if (!bytes) return;
 
   const decoder = new TextDecoder("utf-8", { fatal: false });
   let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
   xml += `<decodedBinaries generatedAt="${escapeXmlAttr(new Date().toISOString())}">\n`;
 
-  for (const it of items) {
+  for (const [i, it] of items.entries()) {
     const id = it.id || "";
     const type = it.type || "";
-    const rawBytes = it.rawBytes ? it.rawBytes.length : 0;
-    const decodedBytes = it.decodedBytes ? it.decodedBytes.length : 0;
+    const rawBytes = it.rawSize || 0;
+    const decodedBytes = it.decodedSize || 0;
     const rawExt = it.rawInfo ? it.rawInfo.ext : "";
     const decodedExt = it.decodedInfo ? it.decodedInfo.ext : "";
     const rawMime = it.rawInfo ? it.rawInfo.mime : "";
     const decodedMime = it.decodedInfo ? it.decodedInfo.mime : "";
 
-    xml += `  <binary id="${escapeXmlAttr(id)}" type="${escapeXmlAttr(type)}" rawBytes="${rawBytes}" decodedBytes="${decodedBytes}" rawExt="${escapeXmlAttr(rawExt)}" decodedExt="${escapeXmlAttr(decodedExt)}" rawMime="${escapeXmlAttr(rawMime)}" decodedMime="${escapeXmlAttr(decodedMime)}" wasGunzipped="${it.wasGunzipped ? "true" : "false"}">\n`;
+    xml += `  <binary id="${escapeXmlAttr(id)}" type="${escapeXmlAttr(type)}" rawBytes="${rawBytes}" decodedBytes="${decodedBytes}" rawExt="${escapeXmlAttr(rawExt)}" decodedExt="${escapeXmlAttr(decodedExt)}" rawMime="${escapeXmlAttr(rawMime)}" decodedMime="${escapeXmlAttr(decodedMime)}" wasGunzipped="${it.wasGunzipped ? "true" : "false"}"${it.sourceFile ? ` sourceFile="${escapeXmlAttr(it.sourceFile)}"` : ""}${it.zipEntry ? ` archiveId="${escapeXmlAttr(it.archiveId)}" zipEntry="${escapeXmlAttr(it.zipEntry)}"` : ""}>\n`;
 
     if (it.error) {
       xml += `    <error><![CDATA[${safeCdataText(it.error)}]]></error>\n`;
     } else if (it.gunzipError) {
       xml += `    <gunzipError><![CDATA[${safeCdataText(it.gunzipError)}]]></gunzipError>\n`;
     }
+    if (it.unzipError) {
+      xml += `    <unzipError><![CDATA[${safeCdataText(it.unzipError)}]]></unzipError>\n`;
+    }
 
-    if (!it.error && it.decodedBytes && it.decodedInfo && it.decodedInfo.isText) {
-      const text = decoder.decode(it.decodedBytes);
+    const decoded = bytes[i].decodedBytes;
+    if (!it.error && decoded && it.decodedInfo && it.decodedInfo.isText) {
+      const text = decoder.decode(decoded);
       xml += `    <decoded><![CDATA[${safeCdataText(text)}]]></decoded>\n`;
-    } else if (!it.error && it.decodedBytes) {
-      xml += `    <decodedBase64><![CDATA[${bytesToBase64(it.decodedBytes)}]]></decodedBase64>\n`;
+    } else if (!it.error && decoded) {
+      xml += `    <decodedBase64><![CDATA[${bytesToBase64(decoded)}]]></decodedBase64>\n`;
     }
 
     xml += "  </binary>\n";
@@ -1169,13 +2424,530 @@ function downloadDecodedXml() {
   triggerDownload("decoded_binaries.xml", new TextEncoder().encode(xml), "application/xml");
 }
 
+function downloadSessionSqlite() {
+  const items = requireDecodedItems();
+  if (!items || !lastExtracted) return;
+  try {
+    triggerDownload("decoded_session.sqlite", sessionToSqlite(items, lastExtracted), "application/vnd.sqlite3");
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Failed to build the SQLite file.", { error: true });
+  }
+}
+
+// Decoded responses kept in IndexedDB: an "entries" store with the metadata the history table lists and a "responses"
+// store with the source texts under the same id, so listing the history doesn't load every response into memory.
+const historyDbName = "mobilithek-to-csv";
+const historyQuotaStorageKey = "mobilithek-to-csv.historyQuotaMb";
+const defaultHistoryQuotaMb = 100;
+let historyDb = null;
+let historyEntries = [];
+
+function loadHistoryQuotaMb() {
+  try {
+    const mb = Number(localStorage.getItem(historyQuotaStorageKey));
+    return Number.isFinite(mb) && mb >= 1 ? mb : defaultHistoryQuotaMb;
+  } catch {
+    return defaultHistoryQuotaMb;
+  }
+}
+
+let historyQuotaMb = loadHistoryQuotaMb();
+
+function openHistoryDb() {
+  if (!historyDb) {
+    historyDb = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") throw new Error("This browser has no IndexedDB, so no history is kept.");
+      const request = indexedDB.open(historyDbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore("entries", { keyPath: "id", autoIncrement: true });
+        request.result.createObjectStore("responses", { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error("Failed to open the history database."));
+    });
+  }
+  return historyDb;
+}
+
+// Runs fn(transaction) and resolves with the result of the request fn returns once the transaction has committed.
+async function historyTransaction(mode, fn) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["entries", "responses"], mode);
+    const request = fn(tx);
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error || new Error("Failed to update the history."));
+    tx.onabort = () => reject(tx.error || new Error("The history update was aborted (storage full?)."));
+  });
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function historyCountsText(counts) {
+  const parts = publicationTables()
+    .filter((table) => counts[table.key])
+    .map((table) => `${table.statusLabel}: ${counts[table.key]}`);
+  return parts.join(" · ") || "—";
+}
+
+// Stores a fetched, loaded or decoded response, or refreshes the entry holding the same texts (loading or decoding it
+// again doesn't add a copy), then prunes the least recently decoded entries beyond the quota. Responses are kept before
+// they are decoded so one that fails to decode (or a fetch that can't be repeated) isn't lost; decoded: false leaves
+// decodedAt and the row counts as they are.
+async function saveToHistory(sources, { endpoint = "", counts = {}, decoded = true } = {}) {
+  const encoder = new TextEncoder();
+  const bytes = sources.map((source) => encoder.encode(`${source.name}\n${source.text}`));
+  const size = bytes.reduce((sum, b) => sum + b.length, 0);
+  const fingerprint = `${size}:${bytes.map((b) => crc32(b).toString(16)).join(":")}`;
+  const now = new Date().toISOString();
+
+  const existing = historyEntries.find((entry) => entry.fingerprint === fingerprint);
+  if (existing) {
+    const updated = { ...existing, endpoint: endpoint || existing.endpoint };
+    if (decoded) Object.assign(updated, { decodedAt: now, counts });
+    await historyTransaction("readwrite", (tx) => tx.objectStore("entries").put(updated));
+  } else {
+    let name = sources.length > 1 ? `${sources.length} files` : sources[0].name;
+    try {
+      const url = new URL(endpoint);
+      name = [url.hostname, url.searchParams.get("subscriptionID")].filter(Boolean).join(" · ");
+    } catch {
+      // Not fetched from an endpoint: named after the file(s).
+    }
+    const sourceNames = sources.map((source) => source.name);
+    const decodedAt = decoded ? now : "";
+    const entry = { name, savedAt: now, decodedAt, endpoint, size, counts, fingerprint, sourceNames };
+    await historyTransaction("readwrite", (tx) => {
+      const add = tx.objectStore("entries").add(entry);
+      add.onsuccess = () => tx.objectStore("responses").put({ id: add.result, sources });
+      return add;
+    });
+  }
+  return pruneHistory();
+}
+
+// saveToHistory that doesn't fail the caller: the response is still decoded and the history panel says why it wasn't
+// kept. Returns how many entries were pruned.
+async function keepInHistory(sources, options) {
+  try {
+    return await saveToHistory(sources, options);
+  } catch (err) {
+    const info = document.getElementById("historyInfo");
+    info.textContent = err && err.message ? err.message : "Failed to save to the history.";
+    return 0;
+  }
+}
+
+const historyPrunedText = (pruned) => `History: ${pruned} least recently used entr${pruned === 1 ? "y" : "ies"} pruned`;
+
+// When an entry was last used: decoded, or saved for entries not decoded yet.
+const historyLastUsed = (entry) => entry.decodedAt || entry.savedAt;
+
+// Deletes the least recently used entries until the history fits the quota, always keeping the most recent one; returns
+// how many were deleted.
+async function pruneHistory() {
+  await refreshHistory();
+  const quota = historyQuotaMb * 1024 * 1024;
+  const oldestFirst = [...historyEntries].sort((a, b) => historyLastUsed(a).localeCompare(historyLastUsed(b)));
+  let total = oldestFirst.reduce((sum, entry) => sum + entry.size, 0);
+  const doomed = [];
+  for (const entry of oldestFirst.slice(0, -1)) {
+    if (total <= quota) break;
+    doomed.push(entry.id);
+    total -= entry.size;
+  }
+  if (doomed.length) {
+    await historyTransaction("readwrite", (tx) => {
+      for (const id of doomed) {
+        tx.objectStore("entries").delete(id);
+        tx.objectStore("responses").delete(id);
+      }
+    });
+    await refreshHistory();
+  }
+  return doomed.length;
+}
+
+async function historySources(id) {
+  const record = await historyTransaction("readonly", (tx) => tx.objectStore("responses").get(id));
+  if (!record) throw new Error("This history entry has no stored response.");
+  return record.sources;
+}
+
+async function refreshHistory() {
+  historyEntries = await historyTransaction("readonly", (tx) => tx.objectStore("entries").getAll());
+  historyEntries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  renderHistoryTable();
+  renderCompareSources();
+}
+
+function renderHistoryTable() {
+  const tbody = document.querySelector("#historyTable tbody");
+  tbody.innerHTML = "";
+  for (const entry of historyEntries) {
+    const tr = document.createElement("tr");
+    const decodedAt = entry.decodedAt ? new Date(entry.decodedAt).toLocaleString() : "";
+    const decodedText = decodedAt ? `Last decoded ${decodedAt}` : "Not decoded yet";
+    tr.innerHTML = `
+      <td title="${escapeHtml(decodedText)}">${escapeHtml(new Date(entry.savedAt).toLocaleString())}</td>
+      <td><input type="text" spellcheck="false" data-kind="history-name" value="${escapeHtml(entry.name)}"></td>
+      <td><code class="truncate" title="${escapeHtml([entry.endpoint, ...entry.sourceNames].filter(Boolean).join("\n"))}">${escapeHtml(
+        entry.endpoint || entry.sourceNames.join(", "),
+      )}</code></td>
+      <td>${formatBytes(entry.size)}</td>
+      <td>${escapeHtml(historyCountsText(entry.counts))}</td>
+      <td class="actions-cell">
+        <button class="btn" type="button" data-action="history-reopen">Reopen</button>
+        <button class="btn" type="button" data-action="history-decode">Decode</button>
+        <button class="btn" type="button" data-action="history-export">Export</button>
+        <button class="btn" type="button" data-action="history-delete">Delete</button>
+      </td>
+    `;
+    const run = (action) => async () => {
+      try {
+        await action();
+      } catch (err) {
+        setStatus(err && err.message ? err.message : "History action failed.", { error: true });
+      }
+    };
+    tr.querySelector('[data-kind="history-name"]').addEventListener(
+      "change",
+      run(async () => {
+        const name = tr.querySelector('[data-kind="history-name"]').value.trim() || entry.name;
+        await historyTransaction("readwrite", (tx) => tx.objectStore("entries").put({ ...entry, name }));
+        await refreshHistory();
+      }),
+    );
+    tr.querySelector('[data-action="history-reopen"]').addEventListener(
+      "click",
+      run(async () => {
+        reopenSources(await historySources(entry.id));
+        setStatus(`Reopened “${entry.name}”. Ready to decode.`);
+      }),
+    );
+    tr.querySelector('[data-action="history-decode"]').addEventListener(
+      "click",
+      run(async () => {
+        const sources = await historySources(entry.id);
+        reopenSources(sources);
+        await decodeAndRender(sources, { endpoint: entry.endpoint });
+      }),
+    );
+    tr.querySelector('[data-action="history-export"]').addEventListener(
+      "click",
+      run(async () => {
+        const sources = await historySources(entry.id);
+        if (sources.length === 1) {
+          triggerDownload(safeFileName(sources[0].name), new TextEncoder().encode(sources[0].text), "application/xml");
+          return;
+        }
+        const bytes = await createZipBytes(sources.map((source) => ({ name: source.name, data: source.text })));
+        triggerDownload(`${safeFileName(entry.name)}.zip`, bytes, "application/zip");
+      }),
+    );
+    tr.querySelector('[data-action="history-delete"]').addEventListener(
+      "click",
+      run(async () => {
+        await historyTransaction("readwrite", (tx) => {
+          tx.objectStore("entries").delete(entry.id);
+          tx.objectStore("responses").delete(entry.id);
+        });
+        await refreshHistory();
+      }),
+    );
+    tbody.appendChild(tr);
+  }
+  renderHistoryInfo();
+}
+
+async function renderHistoryInfo() {
+  const info = document.getElementById("historyInfo");
+  const total = historyEntries.reduce((sum, entry) => sum + entry.size, 0);
+  const entries = `${historyEntries.length} entr${historyEntries.length === 1 ? "y" : "ies"}`;
+  let text = `${entries}, ${formatBytes(total)} of ${historyQuotaMb} MB.`;
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      text += ` The browser grants this page ${formatBytes(quota)} (${formatBytes(usage)} used).`;
+    } catch {
+      // The estimate is informational only.
+    }
+  }
+  info.textContent = text;
+}
+
+// Puts stored sources back into the decode input, like loading the files again.
+function reopenSources(sources) {
+  loadedResponseFiles = sources.map((source) => ({ ...source }));
+  setXmlText(sources.length === 1 ? sources[0].text : "");
+  renderLoadedFilesInfo();
+}
+
+// Named presets (localStorage) and the ?view= parameter that always mirrors the current view (see normalizeViewState in
+// core.js). A view from a link, or a preset applied before anything was decoded, waits in pendingView for the cards.
+const viewPresetsStorageKey = "mobilithek-to-csv.viewPresets";
+let pendingView = null;
+
+function loadViewPresets() {
+  try {
+    const presets = JSON.parse(localStorage.getItem(viewPresetsStorageKey) || "[]");
+    return Array.isArray(presets) ? presets.filter((p) => p && typeof p.name === "string" && p.name) : [];
+  } catch {
+    return [];
+  }
+}
+
+let viewPresets = loadViewPresets();
+
+function storeViewPresets() {
+  try {
+    localStorage.setItem(viewPresetsStorageKey, JSON.stringify(viewPresets));
+  } catch {
+    setStatus("This browser doesn't allow storing presets; they last until the page is closed.", { error: true });
+  }
+}
+
+function renderViewPresets() {
+  const select = document.getElementById("presetSelect");
+  const selected = select.value;
+  select.innerHTML = viewPresets.length
+    ? viewPresets.map((p) => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join("")
+    : `<option value="">No presets saved</option>`;
+  if (viewPresets.some((p) => p.name === selected)) select.value = selected;
+  document.getElementById("applyPreset").disabled = !viewPresets.length;
+  document.getElementById("deletePreset").disabled = !viewPresets.length;
+}
+
+// Cards that aren't rendered (yet) keep the state a pending view has for them.
+function currentViewState() {
+  const endpointInput = document.getElementById("endpoint");
+  const cards = { ...(pendingView ? pendingView.cards : {}) };
+  for (const [id, view] of tableViews) cards[id] = view.state();
+  return normalizeViewState({
+    endpoint: endpointInput.value === endpointInput.defaultValue ? "" : endpointInput.value,
+    rowFilter,
+    normalize: normalizeSettings,
+    csvDialect,
+    cards,
+  });
+}
+
+// The endpoint, row filter and settings apply right away, the card state with the next render (now if a response is
+// decoded already).
+function applyViewState(state) {
+  if (state.endpoint) document.getElementById("endpoint").value = state.endpoint;
+  rowFilter = state.rowFilter;
+  Object.assign(normalizeSettings, state.normalize);
+  setCsvDialect(state.csvDialect);
+  pendingView = state;
+  if (lastExtracted) {
+    const summary = renderPublicationsFromItems(lastDecodedItems, lastExtracted);
+    setStatus(decodeStatusWithFilter(summary));
+  }
+  scheduleViewUrlUpdate();
+}
+
+// The page URL with the current view in ?view=; other parameters such as ?helper= stay as they are.
+function viewLink() {
+  const url = new URL(window.location.href);
+  const state = currentViewState();
+  if (Object.keys(compactViewState(state)).length) url.searchParams.set("view", encodeViewState(state));
+  else url.searchParams.delete("view");
+  return url.toString();
+}
+
+let viewUrlTimer = null;
+
+function scheduleViewUrlUpdate() {
+  clearTimeout(viewUrlTimer);
+  viewUrlTimer = setTimeout(() => {
+    try {
+      window.history.replaceState(window.history.state, "", viewLink());
+    } catch {
+      // Some browsers refuse to change file:// URLs; "Copy link" still works.
+    }
+  }, 300);
+}
+
+// Decodes of this session that the compare section offers as baseline or current, newest first.
+const decodeSnapshots = [];
+const maxDecodeSnapshots = 5;
+let decodeSnapshotCount = 0;
+let compareResult = null;
+
+function rememberDecodeSnapshot(sources, extracted) {
+  const at = new Date();
+  const name = sources.length > 1 ? `${sources.length} files` : sources[0].name;
+  decodeSnapshots.unshift({
+    id: String(++decodeSnapshotCount),
+    label: `${at.toLocaleTimeString()} · ${name} · ${(extracted.tables[fuelPriceTable.key] || []).length} fuel rows`,
+    fileName: `${sources[0].name.replace(/\.(xml|txt)$/i, "")}_${at.toTimeString().slice(0, 8).replaceAll(":", "")}`,
+    extracted,
+  });
+  decodeSnapshots.length = Math.min(decodeSnapshots.length, maxDecodeSnapshots);
+  renderCompareSources();
+}
+
+// After every decode the baseline is the previous decode and current the latest one, unless files or a saved entry were
+// chosen.
+function renderCompareSources() {
+  [
+    ["Baseline", decodeSnapshots[1]],
+    ["Current", decodeSnapshots[0]],
+  ].forEach(([side, fallback]) => {
+    const select = document.getElementById(`compare${side}`);
+    const files = document.getElementById(`compare${side}File`).files;
+    const keepFiles = select.value === "file" && files && files.length > 0;
+    const previous = select.value;
+    const keepHistory = historyEntries.some((entry) => `history:${entry.id}` === previous);
+    select.innerHTML = `
+      ${decodeSnapshots.map((snap) => `<option value="${snap.id}">Decode ${escapeHtml(snap.label)}</option>`).join("")}
+      ${historyEntries
+        .map((entry) => {
+          const label = `${new Date(entry.savedAt).toLocaleString()} · ${entry.name}`;
+          return `<option value="history:${entry.id}">Saved ${escapeHtml(label)}</option>`;
+        })
+        .join("")}
+      <option value="file">Response file(s) chosen below</option>
+    `;
+    select.value = keepHistory ? previous : keepFiles || !fallback ? "file" : fallback.id;
+  });
+}
+
+// { name, fuelRows, overrideRows } for one side, with the row filter applied.
+async function compareSide(side, signal) {
+  const select = document.getElementById(`compare${side}`);
+  let extracted;
+  let name;
+  if (select.value === "file" || select.value.startsWith("history:")) {
+    let sources = [];
+    if (select.value === "file") {
+      const files = Array.from(document.getElementById(`compare${side}File`).files || []);
+      if (!files.length) throw new Error(`Choose the ${side.toLowerCase()} response file(s) or a decode of this session.`);
+      for (const file of files) sources.push({ name: file.name, text: (await readFileAsText(file)).trim() });
+      name = files[0].name.replace(/\.(xml|txt)$/i, "");
+    } else {
+      const entry = historyEntries.find((e) => `history:${e.id}` === select.value);
+      if (!entry) throw new Error(`The ${side.toLowerCase()} history entry no longer exists; choose another response.`);
+      sources = await historySources(entry.id);
+      name = `${entry.name}_${entry.savedAt.slice(0, 19).replace(/[-:]/g, "")}`;
+    }
+    ({ extracted } = await decodeInWorker(sources, {
+      signal,
+      customColumns: activeCustomColumns(),
+      fuelMapping: currentFuelMapping(),
+      onProgress: (p) => setStatus(`${side}: ${decodeProgressMessage(p)}`, { id: "compareStatus" }),
+    }));
+  } else {
+    const snapshot = decodeSnapshots.find((snap) => snap.id === select.value);
+    if (!snapshot) throw new Error(`The ${side.toLowerCase()} decode is no longer available; choose another response.`);
+    ({ extracted } = snapshot);
+    name = snapshot.fileName;
+  }
+  const rows = (table) => applyRowFilter(table, extracted.tables[table.key] || [], rowFilter, { timeZone: activeTimeZone() }).rows;
+  return { name, fuelRows: rows(fuelPriceTable), overrideRows: rows(overrideOpenTable) };
+}
+
+let activeCompare = null;
+
+async function runCompare() {
+  if (activeCompare) activeCompare.abort();
+  const controller = new AbortController();
+  activeCompare = controller;
+  const button = document.getElementById("compare");
+  button.disabled = true;
+  document.getElementById("downloadCompare").disabled = true;
+  document.getElementById("compareResults").innerHTML = "";
+  compareResult = null;
+  try {
+    setStatus("Reading the baseline…", { id: "compareStatus" });
+    const baseline = await compareSide("Baseline", controller.signal);
+    setStatus("Reading the current response…", { id: "compareStatus" });
+    const current = await compareSide("Current", controller.signal);
+    const diff = compareSnapshots(baseline, current, { timeZone: activeTimeZone() });
+    const tag = isRowFilterActive(rowFilter) ? `_${rowFilterFileTag(rowFilter, { timeZone: activeTimeZone() })}` : "";
+    compareResult = { ...diff, fileBase: `changes_${safeFileName(baseline.name)}_to_${safeFileName(current.name)}${tag}` };
+    renderCompareResult();
+    const filter = isRowFilterActive(rowFilter) ? ` · Filter: ${describeRowFilter(rowFilter)}` : "";
+    setStatus(
+      `${diff.rows.length} change(s) between ${baseline.fuelRows.length} and ${current.fuelRows.length} fuel rows · Unchanged prices: ${diff.unchangedPrices}${filter}`,
+      { id: "compareStatus" },
+    );
+  } catch (err) {
+    if (err instanceof DecodeCancelledError) return;
+    setStatus(err && err.message ? err.message : "Failed to compare.", { error: true, id: "compareStatus" });
+  } finally {
+    if (activeCompare === controller) activeCompare = null;
+    button.disabled = false;
+  }
+}
+
+function renderCompareResult() {
+  const container = document.getElementById("compareResults");
+  const { rows, counts } = compareResult;
+  container.innerHTML = `
+    <div class="meta">
+      ${snapshotChangeTypes.map((t) => `<div><code>${escapeHtml(t.label)}</code>: ${counts[t.key]}</div>`).join("")}
+    </div>
+    <div class="field">
+      <label for="compareChange">Show</label>
+      <select id="compareChange">
+        <option value="">All changes (${rows.length})</option>
+        ${snapshotChangeTypes
+          .filter((t) => counts[t.key])
+          .map((t) => `<option value="${t.key}">${escapeHtml(t.label)} (${counts[t.key]})</option>`)
+          .join("")}
+      </select>
+    </div>
+    <div class="table-wrap"><table class="table" data-kind="compare">
+      <thead></thead>
+      <tbody></tbody>
+    </table></div>
+  `;
+  const select = container.querySelector("#compareChange");
+  const thead = container.querySelector("thead");
+  const tbody = container.querySelector("tbody");
+  const render = () => {
+    const shown = compareShownRows();
+    // Price and override columns stay empty for the other kinds of change; only columns with values are previewed.
+    const columns = snapshotDiffColumns.filter((c) => c === "change" || shown.some((r) => r[c] !== ""));
+    resetPreviewTable(thead, tbody);
+    fillPreviewTable(thead, tbody, shown, columns, 200);
+    const button = document.getElementById("downloadCompare");
+    button.disabled = shown.length === 0;
+    button.textContent = `Download ${compareFileName()}`;
+  };
+  select.addEventListener("change", render);
+  render();
+}
+
+function compareShownRows() {
+  const select = document.getElementById("compareChange");
+  const change = select ? select.value : "";
+  return change ? compareResult.rows.filter((r) => r.change === change) : compareResult.rows;
+}
+
+function compareFileName() {
+  const select = document.getElementById("compareChange");
+  return `${compareResult.fileBase}${select && select.value ? `_${select.value}` : ""}.csv`;
+}
+
 document.getElementById("fetch-form").addEventListener("submit", async (e) => {
   e.preventDefault();
   setStatus("");
   try {
     const xml = await tryFetchEndpoint();
+    loadedResponseFiles = [];
+    renderLoadedFilesInfo();
     setXmlText(xml);
-    await decodeAndRender(xml);
+    const endpoint = (document.getElementById("endpoint").value || "").trim();
+    const sources = [{ name: "response.xml", text: xml }];
+    await keepInHistory(sources, { endpoint, decoded: false });
+    await decodeAndRender(sources, { endpoint });
   } catch (err) {
     const msg = err && err.message ? err.message : "Failed to fetch.";
     setStatus(msg, { error: true });
@@ -1194,30 +2966,194 @@ document.getElementById("open").addEventListener("click", () => {
 document.getElementById("clear").addEventListener("click", () => {
   document.getElementById("fetch-form").reset();
   setXmlText("");
+  cancelDecode();
   setStatus("");
+  loadedResponseFiles = [];
+  renderLoadedFilesInfo();
   lastResponseXml = "";
   lastDecodedItems = [];
-  renderTimeSeriesFromItems([]);
+  lastDecodeSources = [];
+  lastExtracted = null;
+  renderPublicationsFromItems([]);
+  renderFuelMappingEditor();
 });
 
-document.getElementById("xmlFile").addEventListener("change", async (e) => {
-  const file = e.target.files && e.target.files[0];
-  if (!file) return;
-  setStatus("Reading response file…");
+async function onResponseFilesChange(e, options) {
   try {
-    const text = await readFileAsText(file);
-    setXmlText(text);
-    setStatus("Loaded file. Ready to decode.");
+    await loadResponseFiles(e.target.files, options);
   } catch (err) {
     setStatus(err && err.message ? err.message : "Failed to read file.", { error: true });
   }
+  e.target.value = "";
+}
+
+document.getElementById("xmlFile").addEventListener("change", (e) => onResponseFilesChange(e));
+document.getElementById("xmlFolder").addEventListener("change", (e) => onResponseFilesChange(e, { onlyXml: true }));
+
+document.getElementById("xmlText").addEventListener("input", () => {
+  // Editing the textarea makes it the decode source again.
+  if (loadedResponseFiles.length > 1) {
+    loadedResponseFiles = [];
+    renderLoadedFilesInfo();
+  }
 });
 
 document.getElementById("decode").addEventListener("click", async () => {
   setStatus("");
-  await decodeAndRender(getXmlText());
+  await decodeAndRender(currentDecodeSources());
+});
+
+document.getElementById("cancelDecode").addEventListener("click", cancelDecode);
+
+document.getElementById("compare").addEventListener("click", runCompare);
+document.getElementById("downloadCompare").addEventListener("click", () => {
+  if (compareResult) downloadCsv(compareFileName(), compareShownRows(), snapshotDiffColumns, snapshotDiffColumnTypes);
+});
+for (const side of ["Baseline", "Current"]) {
+  document.getElementById(`compare${side}File`).addEventListener("change", (e) => {
+    if (e.target.files && e.target.files.length) document.getElementById(`compare${side}`).value = "file";
+  });
+}
+renderCompareSources();
+
+document.getElementById("historyQuota").value = String(historyQuotaMb);
+document.getElementById("historyQuota").addEventListener("change", async (e) => {
+  const mb = Number(e.target.value);
+  if (!Number.isFinite(mb) || mb < 1) {
+    e.target.value = String(historyQuotaMb);
+    return;
+  }
+  historyQuotaMb = mb;
+  try {
+    localStorage.setItem(historyQuotaStorageKey, String(mb));
+  } catch {
+    // Without localStorage the quota only holds for this visit.
+  }
+  try {
+    const pruned = await pruneHistory();
+    if (pruned) setStatus(`${historyPrunedText(pruned)} to fit ${mb} MB.`);
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Failed to prune the history.", { error: true });
+  }
+});
+document.getElementById("clearHistory").addEventListener("click", async () => {
+  try {
+    await historyTransaction("readwrite", (tx) => {
+      tx.objectStore("entries").clear();
+      tx.objectStore("responses").clear();
+    });
+    await refreshHistory();
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Failed to clear the history.", { error: true });
+  }
+});
+refreshHistory().catch((err) => {
+  document.getElementById("historyInfo").textContent = err && err.message ? err.message : "The history is unavailable.";
+});
+
+document.getElementById("addCustomColumn").addEventListener("click", () => {
+  customColumnMappings.push({ name: "", context: "station", path: "" });
+  renderCustomColumnsEditor();
+});
+document.getElementById("saveCustomColumns").addEventListener("click", saveCustomColumns);
+document.getElementById("importCustomColumns").addEventListener("click", () => document.getElementById("customColumnsFile").click());
+document.getElementById("customColumnsFile").addEventListener("change", async (e) => {
+  const file = e.target.files && e.target.files[0];
+  e.target.value = "";
+  if (!file) return;
+  try {
+    await importCustomColumns(file);
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Failed to import custom columns.", { error: true });
+  }
+});
+renderCustomColumnsEditor();
+
+document.getElementById("addFuelMapping").addEventListener("click", () => {
+  fuelMappingEntries.push({ raw: "", canonical: "" });
+  renderFuelMappingEditor();
+});
+document.getElementById("saveFuelMapping").addEventListener("click", saveFuelMapping);
+document.getElementById("importFuelMapping").addEventListener("click", () => document.getElementById("fuelMappingFile").click());
+document.getElementById("fuelMappingFile").addEventListener("change", async (e) => {
+  const file = e.target.files && e.target.files[0];
+  e.target.value = "";
+  if (!file) return;
+  try {
+    await importFuelMapping(file);
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Failed to import fuel mapping.", { error: true });
+  }
+});
+document.getElementById("canonicalFuelList").innerHTML = canonicalFuelTypes
+  .map((t) => `<option value="${escapeHtml(t.key)}">${escapeHtml(t.label)}</option>`)
+  .join("");
+renderFuelMappingEditor();
+
+for (const id of ["csvDelimiter", "csvDecimal", "csvLineEnding", "csvBom", "csvQuoteAll", "csvHeader", "csvHeaderLabels"]) {
+  document.getElementById(id).addEventListener("change", readCsvDialectControls);
+}
+document.getElementById("csvDialectExcel").addEventListener("click", () => {
+  setCsvDialect({ ...csvDialect, delimiter: ";", decimalComma: true, bom: true, lineEnding: "\r\n" });
 });
+document.getElementById("csvDialectReset").addEventListener("click", () => setCsvDialect(null));
+renderCsvDialectControls();
 
 document.getElementById("downloadResponse").addEventListener("click", downloadResponseXml);
 document.getElementById("downloadDecodedJson").addEventListener("click", downloadDecodedJson);
 document.getElementById("downloadDecodedXml").addEventListener("click", downloadDecodedXml);
+document.getElementById("downloadSessionSqlite").addEventListener("click", downloadSessionSqlite);
+
+renderViewPresets();
+document.getElementById("savePreset").addEventListener("click", () => {
+  const input = document.getElementById("presetName");
+  const name = input.value.trim() || document.getElementById("presetSelect").value;
+  if (!name) {
+    setStatus("Name the preset first.", { error: true });
+    return;
+  }
+  const preset = { name, state: compactViewState(currentViewState()) };
+  const index = viewPresets.findIndex((p) => p.name === name);
+  if (index === -1) viewPresets.push(preset);
+  else viewPresets[index] = preset;
+  viewPresets.sort((a, b) => a.name.localeCompare(b.name));
+  storeViewPresets();
+  renderViewPresets();
+  document.getElementById("presetSelect").value = name;
+  input.value = "";
+  setStatus(`${index === -1 ? "Saved" : "Updated"} preset “${name}”.`);
+});
+document.getElementById("applyPreset").addEventListener("click", () => {
+  const preset = viewPresets.find((p) => p.name === document.getElementById("presetSelect").value);
+  if (!preset) return;
+  applyViewState(normalizeViewState(preset.state));
+  setStatus(lastExtracted ? `Applied preset “${preset.name}”.` : `Applied preset “${preset.name}”; its tables follow with the next decode.`);
+});
+document.getElementById("deletePreset").addEventListener("click", () => {
+  const name = document.getElementById("presetSelect").value;
+  viewPresets = viewPresets.filter((p) => p.name !== name);
+  storeViewPresets();
+  renderViewPresets();
+});
+document.getElementById("copyViewLink").addEventListener("click", async () => {
+  const link = viewLink();
+  try {
+    await navigator.clipboard.writeText(link);
+    setStatus("Copied the link to this view.");
+  } catch {
+    setStatus("Copying was refused; the address bar holds the same link.", { error: true });
+  }
+});
+for (const type of ["input", "change", "click"]) document.addEventListener(type, scheduleViewUrlUpdate);
+
+const viewParam = new URLSearchParams(window.location.search).get("view");
+if (viewParam) {
+  try {
+    const ignored = [];
+    applyViewState(decodeViewState(viewParam, ignored));
+    if (ignored.length) setStatus(`Restored the view from the link. ${ignored.join(" ")}`, { error: true });
+    else setStatus("Restored the view from the link; it applies to the tables once a response is decoded.");
+  } catch (err) {
+    setStatus(err && err.message ? err.message : "Failed to read the view from the link.", { error: true });
+  }
+}
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// Headless converter: reads a Mobilithek response (file or stdin) and writes the same CSVs the page offers.
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const {
+  applyRowFilter,
+  buildQualityReport,
+  combineGroupOptions,
+  compareSnapshots,
+  decodeSources,
+  describeRowFilter,
+  fuelPriceTable,
+  groupBy,
+  isRowFilterActive,
+  itemWithoutBytes,
+  normalizeRowFilter,
+  normalizeTable,
+  overrideOpenTable,
+  parseCustomColumnsJson,
+  parseFuelMappingJson,
+  publicationExtractors,
+  publicationTables,
+  qualityReportColumns,
+  resampleIntervals,
+  rowFilterFileTag,
+  rowsToCsv,
+  rowsToParquet,
+  safeFileName,
+  sessionToSqlite,
+  snapshotDiffColumns,
+  sortRowsBy,
+  stationJoinColumns,
+  stationJoinColumnTypes,
+  stationLookup,
+  stationTable,
+  tableWithCustomColumns,
+  wideRowsForAllGroups,
+  withStationColumns,
+} = require("./core.js");
+
+const groupKeys = Array.from(new Set(publicationTables().flatMap((t) => (t.groupOptions || []).map((o) => o.key))));
+
+const usage = `Usage: mobilithek-to-csv [options] [response.xml ...]
+
+Reads Mobilithek responses from the given files (or stdin when omitted or "-") and writes the
+tables of every recognised publication type to the output directory, e.g. fuel_prices_long.csv,
+fuel_prices_wide.csv and override_open.csv for FuelPricePublication, stations.csv for petrol
+station master data, parking_status_long.csv and parking_status_wide.csv for parking status,
+situation_records.csv for situations. Several files are merged (tagged with source_file, duplicates collapsed).
+Supported publication types: ${publicationExtractors.flatMap((e) => e.publicationTypes).join(", ")}
+
+Options:
+  -o, --out <dir>       Output directory (default: current directory)
+  -g, --group-by <key>  Additionally write one long CSV per group (and one wide CSV per station or
+                        parking site when grouping by station_id or parking_record_id).
+                        Combine keys with commas, e.g. station_id,fuel_canonical.
+                        Keys: ${groupKeys.join(", ")}
+  -s, --join-stations   Add ${stationJoinColumns.join(", ")} to CSVs keyed by station_id
+  -c, --columns <file>  Custom column mappings (JSON, as saved by the page's "Custom columns" editor)
+  -f, --fuel-mapping <file>
+                        Raw → canonical fuel names (JSON, as saved by the page's "Fuel mapping" editor)
+  -n, --normalize       Numeric prices (plus unit/currency columns when present), timestamps in UTC,
+                        epoch-ms columns and chronological sorting
+  -z, --time-zone <tz>  Time zone for --normalize, e.g. Europe/Berlin (default: UTC; implies --normalize);
+                        timestamps without an offset are read as wall-clock time in it
+  -q, --quality-report  Also write quality_report.csv (missing/unparsable/implausible prices, conflicting
+                        duplicates, stale stations, override periods ending before they start)
+  -p, --parquet         Also write every long CSV as Parquet (typed prices, numbers and timestamps)
+  -r, --resample <interval>
+                        Also write hourly or daily series per station and fuel (last, min, max, time-weighted
+                        mean, changes), e.g. fuel_prices_hourly_long.csv. Intervals: ${resampleIntervals.map((i) => i.key).join(", ")};
+                        buckets follow --time-zone
+      --station-pivot <fuel>
+                        Also write one fuel with a column per station, e.g. fuel_prices_E5_by_station.csv
+      --forward-fill    Carry each station's last price forward in --station-pivot
+      --sqlite          Also write decoded_session.sqlite (binaries, publications, stations, fuel_prices,
+                        override_open with foreign keys and indexes)
+      --compare <file>  Also write changes_<file>_to_<input>.csv: new and disappeared stations, price changes
+                        per station and fuel with delta, and changed overrideOpen periods since this baseline
+  -h, --help            Show this help
+
+Filter (narrows every table that has the column; the filter is added to the file names):
+      --fuels <list>    Canonical or raw fuel names, e.g. E5,E10
+      --price-min <n>, --price-max <n>
+                        Price range (inclusive)
+      --from <time>, --to <time>
+                        date_of_price range as instants, e.g. 2025-01-01T06:00:00Z (inclusive)
+      --stations <file> Station ids, one per line (or separated by commas or spaces)
+      --creator <list>  creator_national_identifier values
+      --country <list>  creator_country values, e.g. DE
+`;
+
+function parseArgs(argv) {
+  const args = { inputs: [], out: ".", groupBy: "", joinStations: false, columns: "", fuelMapping: "", normalize: false, timeZone: "UTC", qualityReport: false, parquet: false, resample: "", stationPivot: "", forwardFill: false, sqlite: false, compare: "", filter: {}, stationsFile: "", help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith("--") ? arg.split(/=(.*)/s) : [arg, undefined];
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${flag}.`);
+      return argv[++i];
+    };
+
+    if (flag === "-h" || flag === "--help") args.help = true;
+    else if (flag === "-o" || flag === "--out") args.out = value();
+    else if (flag === "-g" || flag === "--group-by") args.groupBy = value().split(",").map((key) => key.trim()).filter(Boolean);
+    else if (flag === "-s" || flag === "--join-stations") args.joinStations = true;
+    else if (flag === "-c" || flag === "--columns") args.columns = value();
+    else if (flag === "-f" || flag === "--fuel-mapping") args.fuelMapping = value();
+    else if (flag === "-n" || flag === "--normalize") args.normalize = true;
+    else if (flag === "-q" || flag === "--quality-report") args.qualityReport = true;
+    else if (flag === "-p" || flag === "--parquet") args.parquet = true;
+    else if (flag === "-r" || flag === "--resample") args.resample = value();
+    else if (flag === "--station-pivot") args.stationPivot = value();
+    else if (flag === "--forward-fill") args.forwardFill = true;
+    else if (flag === "--sqlite") args.sqlite = true;
+    else if (flag === "--compare") args.compare = value();
+    else if (flag === "--fuels") args.filter.fuels = value();
+    else if (flag === "--price-min") args.filter.priceMin = value();
+    else if (flag === "--price-max") args.filter.priceMax = value();
+    else if (flag === "--from") args.filter.from = value();
+    else if (flag === "--to") args.filter.to = value();
+    else if (flag === "--stations") args.stationsFile = value();
+    else if (flag === "--creator") args.filter.creators = value();
+    else if (flag === "--country") args.filter.countries = value();
+    else if (flag === "-z" || flag === "--time-zone") {
+      args.timeZone = value();
+      args.normalize = true;
+    }
+    else if (flag.startsWith("-") && flag !== "-") throw new Error(`Unknown option ${flag}.`);
+    else args.inputs.push(arg);
+  }
+  return args;
+}
+
+async function readSource(input) {
+  if (input && input !== "-") return { name: path.basename(input), text: await fs.readFile(input, "utf8") };
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return { name: "stdin", text: Buffer.concat(chunks).toString("utf8") };
+}
+
+async function writeCsv(dir, filename, rows, columns) {
+  const file = path.join(dir, filename);
+  await fs.writeFile(file, rowsToCsv(rows, columns));
+  return file;
+}
+
+async function writeParquet(dir, filename, rows, columns, columnTypes) {
+  const file = path.join(dir, filename);
+  await fs.writeFile(file, rowsToParquet(rows, columns, columnTypes));
+  return file;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    process.stdout.write(usage);
+    return;
+  }
+
+  const unknownGroupKey = args.groupBy && args.groupBy.find((key) => !groupKeys.includes(key));
+  if (unknownGroupKey) throw new Error(`Unknown group key “${unknownGroupKey}”. Use one of: ${groupKeys.join(", ")}.`);
+  const resampleInterval = args.resample && resampleIntervals.find((i) => i.key === args.resample);
+  if (args.resample && !resampleInterval) {
+    throw new Error(`Unknown interval “${args.resample}”. Use one of: ${resampleIntervals.map((i) => i.key).join(", ")}.`);
+  }
+  if (args.inputs.length === 0 && process.stdin.isTTY) {
+    process.stdout.write(usage);
+    return;
+  }
+  // The zone timestamps without an offset are read in: the normalisation zone, UTC without --normalize.
+  const inputTimeZone = args.normalize ? args.timeZone : "UTC";
+  const filterOptions = { timeZone: inputTimeZone };
+
+  const filter = normalizeRowFilter({
+    ...args.filter,
+    stations: args.stationsFile ? await fs.readFile(args.stationsFile, "utf8") : [],
+  }, filterOptions);
+
+  const customColumns = args.columns ? parseCustomColumnsJson(await fs.readFile(args.columns, "utf8")) : [];
+  const fuelMapping = args.fuelMapping ? parseFuelMappingJson(await fs.readFile(args.fuelMapping, "utf8")) : {};
+
+  const sources = [];
+  for (const input of args.inputs.length ? args.inputs : ["-"]) {
+    const source = await readSource(input);
+    source.text = source.text.trim();
+    if (!source.text) throw new Error(`${source.name}: the response is empty.`);
+    sources.push(source);
+  }
+
+  const decoded = await decodeSources(sources, { customColumns, fuelMapping });
+  const items = decoded.items.map(itemWithoutBytes);
+  const { extracted } = decoded;
+  const { tables, duplicates, matchedBinaries, parsedXmlBinaries, unrecognizedTypes } = extracted;
+  const duplicateCount = Object.values(duplicates).reduce((sum, n) => sum + n, 0);
+  const counts = publicationTables()
+    .filter((t) => tables[t.key].length)
+    .map((t) => `${t.statusLabel}: ${tables[t.key].length}`);
+  process.stderr.write(
+    `${counts.length ? `${counts.join(" · ")} · ` : ""}Parsed XML: ${parsedXmlBinaries}/${items.length}` +
+      `${sources.length > 1 ? ` · Files: ${sources.length}` : ""}${duplicateCount ? ` · Duplicates collapsed: ${duplicateCount}` : ""}\n`,
+  );
+  if (unrecognizedTypes.length) process.stderr.write(`Unsupported publication type(s): ${unrecognizedTypes.join(", ")}\n`);
+  if (isRowFilterActive(filter)) process.stderr.write(`Filter: ${describeRowFilter(filter)}\n`);
+  for (const item of items) {
+    for (const message of [item.error, item.gunzipError, item.unzipError]) {
+      if (message) process.stderr.write(`${item.id}: ${message}\n`);
+    }
+  }
+
+  await fs.mkdir(args.out, { recursive: true });
+  const written = [];
+
+  const stationsById = stationLookup(tables[stationTable.key]);
+
+  // Every table of a matched publication type is written, even when empty (e.g. override_open.csv without overrides).
+  for (const extractor of publicationExtractors) {
+    if (!matchedBinaries[extractor.key]) continue;
+    for (const baseTable of extractor.tables) {
+      let table = tableWithCustomColumns(baseTable, extracted.customColumns[baseTable.key]);
+      let rows = tables[table.key];
+      ({ table, rows } = applyRowFilter(table, rows, filter, filterOptions));
+      if (args.normalize) ({ table, rows } = normalizeTable(table, rows, { timeZone: args.timeZone }));
+      const joinColumns = args.joinStations && table.stationJoin ? stationJoinColumns : [];
+      const withJoin = (out) => (joinColumns.length ? withStationColumns(out, stationsById) : out);
+      const columnTypes = joinColumns.length ? { ...table.columnTypes, ...stationJoinColumnTypes } : table.columnTypes;
+      const writeLong = async (filename, groupRows) => {
+        const sorted = withJoin(table.sortColumn ? sortRowsBy(groupRows, table.sortColumn) : groupRows);
+        const columns = [...table.columns, ...joinColumns];
+        const csv = await writeCsv(args.out, filename, sorted, columns);
+        if (!args.parquet) return [csv];
+        return [csv, await writeParquet(args.out, filename.replace(/\.csv$/, ".parquet"), sorted, columns, columnTypes)];
+      };
+      const writeWide = (filename, { columns, rows: wideRows }) => writeCsv(args.out, filename, withJoin(wideRows), columns);
+
+      written.push(...(await writeLong(table.allFilename, rows)));
+      if (table.wide) written.push(await writeWide(table.wide.allFilename, wideRowsForAllGroups(table, rows, joinColumns)));
+      if (resampleInterval && table.resample) {
+        const resampled = table.resample.rows(rows, { interval: resampleInterval.key, timeZone: args.timeZone, inputTimeZone });
+        const filename = `${table.filePrefix}_${resampleInterval.label.toLowerCase()}_long.csv`;
+        written.push(await writeCsv(args.out, filename, withJoin(resampled.rows), [...table.resample.columns, ...joinColumns]));
+      }
+      if (args.stationPivot && table.crossPivot) {
+        const pivot = table.crossPivot.pivot(rows, args.stationPivot, { forwardFill: args.forwardFill, timeZone: inputTimeZone });
+        if (!pivot.rows.length) process.stderr.write(`No ${args.stationPivot} rows for --station-pivot.\n`);
+        const filename = `${table.filePrefix}_${safeFileName(args.stationPivot)}_${table.crossPivot.fileSuffix}${args.forwardFill ? "_filled" : ""}.csv`;
+        written.push(await writeCsv(args.out, filename, pivot.rows, pivot.columns));
+      }
+
+      const tableGroupKeys = (table.groupOptions || []).map((o) => o.key);
+      const groupOption =
+        args.groupBy && args.groupBy.every((key) => tableGroupKeys.includes(key)) && combineGroupOptions(table.groupOptions, args.groupBy);
+      if (!groupOption) continue;
+      for (const [key, groupRows] of groupBy(rows, (r) => groupOption.get(r))) {
+        const base = `${table.filePrefix}_${safeFileName(groupOption.key)}_${safeFileName(key)}`;
+        written.push(...(await writeLong(`${base}_long.csv`, groupRows)));
+        if (table.wide && groupOption.key === table.wide.groupKey) {
+          const { valueColumns, rows: wideRows } = table.wide.pivot(groupRows);
+          written.push(await writeWide(`${base}_wide.csv`, { columns: table.wide.columns(valueColumns, joinColumns), rows: wideRows }));
+        }
+      }
+    }
+  }
+
+  if (args.qualityReport) {
+    const fuelRows = applyRowFilter(fuelPriceTable, tables.fuelPrices, filter, filterOptions).rows;
+    const overrideRows = applyRowFilter(overrideOpenTable, tables.overrideOpen, filter, filterOptions).rows;
+    const report = buildQualityReport(fuelRows, overrideRows, { timeZone: inputTimeZone });
+    process.stderr.write(`Quality issues: ${report.issues.length}\n`);
+    const tag = isRowFilterActive(filter) ? rowFilterFileTag(filter, filterOptions) : "";
+    written.push(await writeCsv(args.out, `quality_report${tag ? `_${tag}` : ""}.csv`, report.issues, qualityReportColumns));
+  }
+
+  if (args.compare) {
+    const baselineSource = await readSource(args.compare);
+    const { extracted: baseline } = await decodeSources([baselineSource], { customColumns, fuelMapping });
+    const side = (sideTables) => ({
+      fuelRows: applyRowFilter(fuelPriceTable, sideTables.fuelPrices, filter, filterOptions).rows,
+      overrideRows: applyRowFilter(overrideOpenTable, sideTables.overrideOpen, filter, filterOptions).rows,
+    });
+    const diff = compareSnapshots(side(baseline.tables), side(tables), { timeZone: inputTimeZone });
+    process.stderr.write(`Changes since ${baselineSource.name}: ${diff.rows.length}\n`);
+    const stem = (name) => safeFileName(name.replace(/\.(xml|txt)$/i, ""));
+    const tag = isRowFilterActive(filter) ? `_${rowFilterFileTag(filter, filterOptions)}` : "";
+    const filename = `changes_${stem(baselineSource.name)}_to_${stem(sources[0].name)}${tag}.csv`;
+    written.push(await writeCsv(args.out, filename, diff.rows, snapshotDiffColumns));
+  }
+
+  if (args.sqlite) {
+    const file = path.join(args.out, "decoded_session.sqlite");
+    await fs.writeFile(file, sessionToSqlite(items, extracted));
+    written.push(file);
+  }
+
+  process.stderr.write(`Wrote ${written.length} file(s) to ${path.resolve(args.out)}\n`);
+}
+
+main().catch((err) => {
+  process.stderr.write(`mobilithek-to-csv: ${err && err.message ? err.message : err}\n`);
+  process.exitCode = 1;
+});
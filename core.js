@@ -0,0 +1,3878 @@
+// Decoding and extraction logic shared by the page (app.js) and the decode worker (decode-worker.js).
+// Nothing in here may touch `document` or `window`: workers have neither.
+
+function csvEscape(value, delimiter = ",", quoteAll = false) {
+  const str = value === null || value === undefined ? "" : String(value);
+  if (quoteAll || str.includes(delimiter) || /["\r\n]/.test(str)) return `"${str.replaceAll('"', '""')}"`;
+  return str;
+}
+
+// How CSV files are written. headerLabels renames columns in the header row ({ price: "Preis" }); decimalComma turns
+// "1.659" into "1,659" in the columns passed as decimalColumns (prices, coordinates, …).
+const defaultCsvDialect = {
+  delimiter: ",",
+  decimalComma: false,
+  bom: false,
+  lineEnding: "\r\n",
+  quoteAll: false,
+  header: true,
+  headerLabels: {},
+};
+
+const csvDelimiters = [",", ";", "\t"];
+const csvLineEndings = ["\r\n", "\n"];
+
+// Fills in defaults and drops unknown values, e.g. for settings read back from storage.
+function normalizeCsvDialect(input) {
+  const dialect = { ...defaultCsvDialect };
+  if (!input || typeof input !== "object") return dialect;
+  if (csvDelimiters.includes(input.delimiter)) dialect.delimiter = input.delimiter;
+  if (csvLineEndings.includes(input.lineEnding)) dialect.lineEnding = input.lineEnding;
+  for (const key of ["decimalComma", "bom", "quoteAll", "header"]) {
+    if (typeof input[key] === "boolean") dialect[key] = input[key];
+  }
+  if (input.headerLabels && typeof input.headerLabels === "object") {
+    dialect.headerLabels = Object.fromEntries(
+      Object.entries(input.headerLabels).filter(([column, label]) => column && typeof label === "string" && label),
+    );
+  }
+  return dialect;
+}
+
+// "column=Label" per line; blank lines are skipped.
+function parseCsvHeaderLabels(text) {
+  const labels = {};
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      const eq = line.indexOf("=");
+      if (eq <= 0) throw new Error(`Header labels, line ${i + 1}: expected column=Label.`);
+      labels[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+    });
+  return labels;
+}
+
+function csvHeaderLabelsToText(labels) {
+  return Object.entries(labels || {})
+    .map(([column, label]) => `${column}=${label}`)
+    .join("\n");
+}
+
+const decimalListPattern = /^[-+]?\d*\.?\d+(?:; [-+]?\d*\.?\d+)*$/;
+
+// options: a CSV dialect (see defaultCsvDialect) plus decimalColumns.
+function rowsToCsv(rows, columns, options = {}) {
+  const { delimiter, decimalComma, bom, lineEnding, quoteAll, header, headerLabels } = { ...defaultCsvDialect, ...options };
+  const decimalColumns = new Set(decimalComma ? options.decimalColumns || [] : []);
+  const cell = (row, c) => {
+    const value = row[c];
+    if (!decimalColumns.has(c) || value === null || value === undefined) return csvEscape(value, delimiter, quoteAll);
+    const str = String(value);
+    return csvEscape(decimalListPattern.test(str) ? str.replaceAll(".", ",") : str, delimiter, quoteAll);
+  };
+
+  const lines = header ? [columns.map((c) => csvEscape(headerLabels[c] || c, delimiter, quoteAll)).join(delimiter)] : [];
+  for (const row of rows) {
+    lines.push(columns.map((c) => cell(row, c)).join(delimiter));
+  }
+  return `${bom ? "\uFEFF" : ""}${lines.join(lineEnding)}${lines.length ? lineEnding : ""}`;
+}
+
+function safeFileName(value) {
+  const base = String(value || "file").trim() || "file";
+  return base.replace(/[^a-zA-Z0-9._-]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 180) || "file";
+}
+
+function bytesToHex(bytes, max = 16) {
+  const slice = bytes.subarray(0, Math.min(bytes.length, max));
+  return Array.from(slice)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function bytesToBase64(bytes) {
+  const chunkSize = 0x8000;
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    const chunk = bytes.subarray(i, i + chunkSize);
+    binary += String.fromCharCode(...chunk);
+  }
+  return btoa(binary);
+}
+
+function looksGzip(bytes) {
+  return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+function looksZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+function looksLikeText(bytes) {
+  const sample = bytes.subarray(0, Math.min(bytes.length, 2048));
+  if (sample.length === 0) return false;
+  let controlish = 0;
+  for (const b of sample) {
+    if (b === 0) return false;
+    if (b < 0x09) controlish++;
+    else if (b > 0x0d && b < 0x20) controlish++;
+  }
+  return controlish / sample.length < 0.05;
+}
+
+function describeBytes(bytes) {
+  if (looksGzip(bytes)) return { ext: "gz", mime: "application/gzip", isText: false };
+  if (looksZip(bytes)) return { ext: "zip", mime: "application/zip", isText: false };
+  const isText = looksLikeText(bytes);
+  if (!isText) return { ext: "bin", mime: "application/octet-stream", isText: false };
+
+  const decoder = new TextDecoder("utf-8", { fatal: false });
+  const text = decoder.decode(bytes.subarray(0, Math.min(bytes.length, 64 * 1024))).trimStart();
+  if (text.startsWith("<?xml") || text.startsWith("<")) return { ext: "xml", mime: "application/xml", isText: true };
+  if (text.includes("\n") && (text.includes(",") || text.includes(";"))) return { ext: "csv", mime: "text/csv", isText: true };
+  return { ext: "txt", mime: "text/plain", isText: true };
+}
+
+function makePreview(bytes) {
+  const info = describeBytes(bytes);
+  if (!info.isText) {
+    return `Binary preview (hex): ${bytesToHex(bytes, 64)}${bytes.length > 64 ? "…" : ""}`;
+  }
+  const decoder = new TextDecoder("utf-8", { fatal: false });
+  const text = decoder.decode(bytes.subarray(0, Math.min(bytes.length, 48 * 1024)));
+  const maxChars = 4000;
+  const trimmed = text.length > maxChars ? `${text.slice(0, maxChars)}\n…` : text;
+  return trimmed;
+}
+
+function base64ToBytes(base64Input) {
+  let base64 = String(base64Input || "")
+    .replace(/\s+/g, "")
+    .replace(/-/g, "+")
+    .replace(/_/g, "/");
+  if (!base64) return new Uint8Array();
+  const mod = base64.length % 4;
+  if (mod) base64 += "=".repeat(4 - mod);
+
+  const chunkSize = 32768; // must be a multiple of 4
+  const parts = [];
+  let total = 0;
+  for (let i = 0; i < base64.length; i += chunkSize) {
+    const chunk = base64.slice(i, i + chunkSize);
+    const bin = atob(chunk);
+    const bytes = new Uint8Array(bin.length);
+    for (let j = 0; j < bin.length; j++) bytes[j] = bin.charCodeAt(j);
+    parts.push(bytes);
+    total += bytes.length;
+  }
+
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+async function gunzipBytes(bytes) {
+  if (!looksGzip(bytes)) return null;
+  if (!("DecompressionStream" in globalThis)) {
+    throw new Error("This browser cannot gunzip (DecompressionStream not supported).");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+  const ab = await new Response(stream).arrayBuffer();
+  return new Uint8Array(ab);
+}
+
+async function inflateRawBytes(bytes) {
+  if (!("DecompressionStream" in globalThis)) {
+    throw new Error("This browser cannot inflate ZIP entries (DecompressionStream not supported).");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  const ab = await new Response(stream).arrayBuffer();
+  return new Uint8Array(ab);
+}
+
+function readUint16(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function readUint32(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function findZipEndOfCentralDirectory(bytes) {
+  // The EOCD record is 22 bytes plus an optional comment of up to 65535 bytes.
+  const minOffset = Math.max(0, bytes.length - 22 - 0xffff);
+  for (let i = bytes.length - 22; i >= minOffset; i--) {
+    if (readUint32(bytes, i) === 0x06054b50) return i;
+  }
+  return -1;
+}
+
+async function unzipBytes(bytes) {
+  if (!looksZip(bytes)) return null;
+
+  const eocd = findZipEndOfCentralDirectory(bytes);
+  if (eocd === -1) throw new Error("Invalid ZIP (end of central directory not found).");
+
+  const entryCount = readUint16(bytes, eocd + 10);
+  const cdOffset = readUint32(bytes, eocd + 16);
+  if (entryCount === 0xffff || cdOffset === 0xffffffff) throw new Error("ZIP64 archives are not supported.");
+
+  const nameDecoder = new TextDecoder("utf-8", { fatal: false });
+  const entries = [];
+  let p = cdOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (p + 46 > bytes.length || readUint32(bytes, p) !== 0x02014b50) {
+      throw new Error("Invalid ZIP (corrupt central directory).");
+    }
+    const flags = readUint16(bytes, p + 8);
+    const method = readUint16(bytes, p + 10);
+    const compressedSize = readUint32(bytes, p + 20);
+    const size = readUint32(bytes, p + 24);
+    const nameLen = readUint16(bytes, p + 28);
+    const extraLen = readUint16(bytes, p + 30);
+    const commentLen = readUint16(bytes, p + 32);
+    const localOffset = readUint32(bytes, p + 42);
+    const name = nameDecoder.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/")) continue;
+    if (flags & 0x1) throw new Error(`ZIP entry “${name}” is encrypted.`);
+    if (readUint32(bytes, localOffset) !== 0x04034b50) throw new Error(`Invalid ZIP (bad local header for “${name}”).`);
+
+    const dataStart = localOffset + 30 + readUint16(bytes, localOffset + 26) + readUint16(bytes, localOffset + 28);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let entryBytes;
+    if (method === 0) entryBytes = data;
+    else if (method === 8) entryBytes = await inflateRawBytes(data);
+    else throw new Error(`ZIP entry “${name}” uses unsupported compression method ${method}.`);
+    if (entryBytes.length !== size) throw new Error(`ZIP entry “${name}” has unexpected size after decompression.`);
+
+    entries.push({ name, bytes: entryBytes, compressedSize, method });
+  }
+  return entries;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function deflateRawBytes(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// entries: [{ name, data }] with data as string (UTF-8) or bytes. Entries are deflated when the runtime has
+// CompressionStream and that makes them smaller, stored otherwise. No ZIP64: at most 65535 entries and 4 GiB.
+async function createZipBytes(entries, { date = new Date() } = {}) {
+  if (entries.length > 0xffff) throw new Error(`Too many files for one ZIP archive (${entries.length}).`);
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const dosDate = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const canDeflate = "CompressionStream" in globalThis;
+
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.data === "string" ? encoder.encode(entry.data) : entry.data;
+    const deflated = canDeflate && data.length > 0 ? await deflateRawBytes(data) : null;
+    const method = deflated && deflated.length < data.length ? 8 : 0;
+    const stored = method === 8 ? deflated : data;
+    const crc = crc32(data);
+
+    // Local file header and central directory record share most fields; 0x0800 marks UTF-8 names.
+    const header = (size, signature) => {
+      const h = new DataView(new ArrayBuffer(size));
+      h.setUint32(0, signature, true);
+      const base = signature === 0x02014b50 ? 6 : 4;
+      if (base === 6) h.setUint16(4, 20, true);
+      h.setUint16(base, 20, true);
+      h.setUint16(base + 2, 0x0800, true);
+      h.setUint16(base + 4, method, true);
+      h.setUint16(base + 6, dosTime, true);
+      h.setUint16(base + 8, dosDate, true);
+      h.setUint32(base + 10, crc, true);
+      h.setUint32(base + 14, stored.length, true);
+      h.setUint32(base + 18, data.length, true);
+      h.setUint16(base + 22, name.length, true);
+      return h;
+    };
+    const local = header(30, 0x04034b50);
+    const record = header(46, 0x02014b50);
+    record.setUint32(42, offset, true);
+
+    parts.push(new Uint8Array(local.buffer), name, stored);
+    central.push(new Uint8Array(record.buffer), name);
+    offset += 30 + name.length + stored.length;
+    if (offset > 0xffffffff) throw new Error("The ZIP archive would exceed 4 GiB.");
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  parts.push(...central, new Uint8Array(end.buffer));
+
+  const out = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    out.set(part, position);
+    position += part.length;
+  }
+  return out;
+}
+
+// Minimal XML reader for contexts without DOMParser (Web Workers). It implements just the DOM
+// surface the extractors use: documentElement, children, localName, getAttribute, textContent and
+// getElementsByTagName(NS). DTDs are skipped and only the predefined/numeric entities are decoded.
+
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+function decodeXmlEntities(text) {
+  if (!text.includes("&")) return text;
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, ref) => {
+    if (ref[0] === "#") {
+      const code = ref[1] === "x" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[ref] !== undefined ? XML_ENTITIES[ref] : match;
+  });
+}
+
+class XmlLiteNode {
+  constructor(nodeName, parentNode) {
+    this.nodeName = nodeName;
+    this.parentNode = parentNode;
+    this.childNodes = [];
+    this.children = [];
+  }
+
+  get textContent() {
+    if (this.childNodes.length === 1 && typeof this.childNodes[0] === "string") return this.childNodes[0];
+    let out = "";
+    for (const child of this.childNodes) out += typeof child === "string" ? child : child.textContent;
+    return out;
+  }
+
+  getElementsByTagNameNS(namespaceURI, localName) {
+    return this._collect((el) =>
+      (localName === "*" || el.localName === localName) &&
+      (namespaceURI === "*" || el.namespaceURI === (namespaceURI || null)),
+    );
+  }
+
+  getElementsByTagName(qualifiedName) {
+    return this._collect((el) => qualifiedName === "*" || el.nodeName === qualifiedName);
+  }
+
+  _collect(match) {
+    const out = [];
+    const stack = [...this.children].reverse();
+    while (stack.length) {
+      const el = stack.pop();
+      if (match(el)) out.push(el);
+      for (let i = el.children.length - 1; i >= 0; i--) stack.push(el.children[i]);
+    }
+    return out;
+  }
+}
+
+class XmlLiteElement extends XmlLiteNode {
+  constructor(nodeName, parentNode, attributes, namespaces) {
+    super(nodeName, parentNode);
+    const colon = nodeName.indexOf(":");
+    this.prefix = colon === -1 ? null : nodeName.slice(0, colon);
+    this.localName = colon === -1 ? nodeName : nodeName.slice(colon + 1);
+    this.attributes = attributes;
+    this.namespaces = namespaces;
+    this.namespaceURI = namespaces.get(this.prefix || "") || null;
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+}
+
+class XmlLiteDocument extends XmlLiteNode {
+  constructor() {
+    super("#document", null);
+  }
+
+  get documentElement() {
+    return this.children[0] || null;
+  }
+}
+
+function parseXmlLite(text) {
+  const doc = new XmlLiteDocument();
+  const rootNamespaces = new Map([["xml", "http://www.w3.org/XML/1998/namespace"]]);
+  let current = doc;
+  let i = 0;
+  const len = text.length;
+  const attrRe = /\s*([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+  const appendText = (value) => {
+    if (current === doc) {
+      if (value.trim()) throw new Error("Text outside of the root element.");
+      return;
+    }
+    current.childNodes.push(value);
+  };
+  const indexOrThrow = (needle, from) => {
+    const idx = text.indexOf(needle, from);
+    if (idx === -1) throw new Error(`Unterminated markup (expected “${needle}”).`);
+    return idx;
+  };
+
+  while (i < len) {
+    const lt = text.indexOf("<", i);
+    if (lt === -1) {
+      appendText(decodeXmlEntities(text.slice(i)));
+      break;
+    }
+    if (lt > i) appendText(decodeXmlEntities(text.slice(i, lt)));
+
+    if (text.startsWith("<!--", lt)) {
+      i = indexOrThrow("-->", lt + 4) + 3;
+    } else if (text.startsWith("<![CDATA[", lt)) {
+      const end = indexOrThrow("]]>", lt + 9);
+      appendText(text.slice(lt + 9, end));
+      i = end + 3;
+    } else if (text.startsWith("<?", lt)) {
+      i = indexOrThrow("?>", lt + 2) + 2;
+    } else if (text.startsWith("<!", lt)) {
+      const close = indexOrThrow(">", lt + 2);
+      const bracket = text.indexOf("[", lt + 2);
+      i = bracket !== -1 && bracket < close ? indexOrThrow("]", bracket) + 1 : close;
+      i = indexOrThrow(">", i) + 1;
+    } else if (text[lt + 1] === "/") {
+      const end = indexOrThrow(">", lt + 2);
+      const name = text.slice(lt + 2, end).trim();
+      if (current === doc || current.nodeName !== name) throw new Error(`Mismatched closing tag “${name}”.`);
+      current = current.parentNode;
+      i = end + 1;
+    } else {
+      let p = lt + 1;
+      while (p < len && !/[\s/>]/.test(text[p])) p++;
+      const name = text.slice(lt + 1, p);
+      if (!name) throw new Error("Empty tag name.");
+
+      const attributes = new Map();
+      attrRe.lastIndex = p;
+      let m;
+      while ((m = attrRe.exec(text))) {
+        attributes.set(m[1], decodeXmlEntities(m[2] !== undefined ? m[2] : m[3]));
+        p = attrRe.lastIndex;
+      }
+      while (p < len && /\s/.test(text[p])) p++;
+      const selfClosing = text[p] === "/";
+      if (selfClosing) p++;
+      if (text[p] !== ">") throw new Error(`Malformed tag “${name}”.`);
+
+      const inherited = current === doc ? rootNamespaces : current.namespaces;
+      let namespaces = inherited;
+      for (const [attr, value] of attributes) {
+        if (attr !== "xmlns" && !attr.startsWith("xmlns:")) continue;
+        if (namespaces === inherited) namespaces = new Map(inherited);
+        namespaces.set(attr === "xmlns" ? "" : attr.slice(6), value);
+      }
+
+      if (current === doc && doc.children.length) throw new Error("Multiple root elements.");
+      const el = new XmlLiteElement(name, current, attributes, namespaces);
+      current.childNodes.push(el);
+      current.children.push(el);
+      if (!selfClosing) current = el;
+      i = p + 1;
+    }
+  }
+
+  if (current !== doc) throw new Error(`Unclosed element “${current.nodeName}”.`);
+  if (!doc.documentElement) throw new Error("No root element.");
+  return doc;
+}
+
+// Returns a DOM document (DOMParser when available, the minimal reader otherwise) or null on parse errors.
+function parseXmlDocument(text) {
+  if (typeof DOMParser !== "undefined") {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror")[0]) return null;
+    return doc;
+  }
+  try {
+    return parseXmlLite(text);
+  } catch {
+    return null;
+  }
+}
+
+function extractBinaryItems(xmlText) {
+  const doc = parseXmlDocument(xmlText);
+  if (!doc) {
+    throw new Error("Invalid XML (parser error).");
+  }
+
+  const binaries = Array.from(doc.getElementsByTagNameNS("*", "binary"));
+  return binaries.map((el, index) => {
+    const id = el.getAttribute("id") || `binary-${index + 1}`;
+    const type = el.getAttribute("type") || "binary";
+    const base64 = (el.textContent || "").trim().replace(/\s+/g, "");
+    return { index, id, type, base64 };
+  });
+}
+
+function tryParseXmlText(text) {
+  const normalized = String(text || "").trim();
+  if (!normalized) return null;
+  if (!normalized.startsWith("<") && !normalized.startsWith("<?xml")) return null;
+  return parseXmlDocument(normalized);
+}
+
+function getText(el) {
+  if (!el) return "";
+  return (el.textContent || "").trim();
+}
+
+function groupBy(rows, keyFn) {
+  const map = new Map();
+  for (const row of rows) {
+    const key = keyFn(row);
+    const list = map.get(key);
+    if (list) list.push(row);
+    else map.set(key, [row]);
+  }
+  return map;
+}
+
+const fuelLongColumns = [
+  "station_id",
+  "station_version",
+  "fuel",
+  "fuel_canonical",
+  "price",
+  "date_of_price",
+  "creator_country",
+  "creator_national_identifier",
+  "publication_id",
+  "publication_type",
+  "binary_id",
+  "source_file",
+];
+
+const overrideColumns = [
+  "station_id",
+  "station_version",
+  "start_of_period",
+  "end_of_period",
+  "creator_country",
+  "creator_national_identifier",
+  "publication_id",
+  "publication_type",
+  "binary_id",
+  "source_file",
+];
+
+const stationColumns = [
+  "station_id",
+  "station_version",
+  "name",
+  "brand",
+  "street",
+  "house_number",
+  "postcode",
+  "city",
+  "country",
+  "latitude",
+  "longitude",
+  "publication_id",
+  "binary_id",
+  "source_file",
+];
+
+// Optional columns joined onto fuel rows (long and wide) from station master data.
+const stationJoinColumns = ["station_name", "station_city", "station_latitude", "station_longitude"];
+const stationJoinColumnTypes = { station_latitude: "double", station_longitude: "double" };
+
+const fuelGroupOptions = [
+  { key: "station_id", label: "station_id", get: (r) => r.station_id || "(missing station_id)" },
+  { key: "station_version", label: "station_version", get: (r) => r.station_version || "(missing station_version)" },
+  { key: "fuel", label: "fuel", get: (r) => r.fuel || "(missing fuel)" },
+  { key: "fuel_canonical", label: "fuel_canonical", get: (r) => r.fuel_canonical || "(missing fuel_canonical)" },
+  { key: "price", label: "price", get: (r) => r.price || "(missing price)" },
+  { key: "date_day", label: "date (day)", get: (r) => (r.date_of_price || "").split("T")[0] || "(missing date)" },
+  { key: "date_of_price", label: "date_of_price", get: (r) => r.date_of_price || "(missing date_of_price)" },
+  { key: "creator_country", label: "creator_country", get: (r) => r.creator_country || "(missing creator_country)" },
+  {
+    key: "creator_national_identifier",
+    label: "creator_national_identifier",
+    get: (r) => r.creator_national_identifier || "(missing creator_national_identifier)",
+  },
+  { key: "publication_id", label: "publication_id", get: (r) => r.publication_id || "(missing publication_id)" },
+  { key: "publication_type", label: "publication_type", get: (r) => r.publication_type || "(missing publication_type)" },
+  { key: "binary_id", label: "binary_id", get: (r) => r.binary_id || "(missing binary_id)" },
+  { key: "source_file", label: "source_file", get: (r) => r.source_file || "(missing source_file)" },
+];
+
+// Several group options nested into one, e.g. station_id + fuel: key "station_id+fuel", values like "ST-A · E5".
+const groupValueSeparator = " · ";
+
+function combineGroupOptions(options, keys) {
+  const picked = keys.map((key) => {
+    const option = options.find((o) => o.key === key);
+    if (!option) throw new Error(`Unknown group key “${key}”. Use one of: ${options.map((o) => o.key).join(", ")}.`);
+    return option;
+  });
+  if (picked.length === 1) return picked[0];
+  return {
+    key: keys.join("+"),
+    label: picked.map((o) => o.label).join(" + "),
+    get: (r) => picked.map((o) => o.get(r)).join(groupValueSeparator),
+  };
+}
+
+function fuelWideColumns(fuels, extraColumns = [], customColumns = []) {
+  return [
+    "station_id",
+    ...extraColumns,
+    "creator_country",
+    "creator_national_identifier",
+    "date_of_price",
+    ...customColumns,
+    ...fuels,
+  ];
+}
+
+function collapseDuplicateRows(rows, keyFn) {
+  const seen = new Set();
+  const out = [];
+  for (const row of rows) {
+    const key = keyFn(row);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(row);
+  }
+  return { rows: out, duplicates: rows.length - out.length };
+}
+
+// Numbers (e.g. normalised epoch-ms columns) compare numerically and sort before empty values; the rest lexically.
+function sortRowsBy(rows, column) {
+  return [...rows].sort((a, b) => {
+    const av = a[column];
+    const bv = b[column];
+    if (typeof av === "number" || typeof bv === "number") {
+      if (typeof av !== "number") return 1;
+      if (typeof bv !== "number") return -1;
+      return av - bv;
+    }
+    return String(av).localeCompare(String(bv));
+  });
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Fuel taxonomy
+//
+// `fuel` is the raw element name without "fuelPrice"; creators spell the same product differently (SuperE5, Super,
+// Benzin95 …). `fuel_canonical` maps it onto a small built-in taxonomy, with user mappings taking precedence. Raw
+// names the taxonomy doesn't know are kept as their own canonical name.
+// ---------------------------------------------------------------------------------------------------------------------
+
+const canonicalFuelTypes = [
+  { key: "Diesel", label: "Diesel", aliases: ["diesel", "dieselb7", "b7", "gasoil"] },
+  { key: "PremiumDiesel", label: "Premium diesel", aliases: ["premiumdiesel", "dieselpremium", "ultimatediesel", "dieselplus"] },
+  { key: "HVO", label: "HVO", aliases: ["hvo", "hvo100", "xtl", "dieselxtl"] },
+  { key: "E5", label: "E5 / Super", aliases: ["e5", "supere5", "super", "superbenzin", "benzin", "petrol", "unleaded", "unleaded95", "ron95", "benzin95"] },
+  { key: "E10", label: "E10", aliases: ["e10", "supere10", "unleaded95e10", "ron95e10"] },
+  { key: "SuperPlus", label: "Super Plus (98+)", aliases: ["superplus", "plus", "ron98", "super98", "e5plus", "premium", "ron100", "super100"] },
+  { key: "E85", label: "E85", aliases: ["e85", "bioethanol"] },
+  { key: "LPG", label: "LPG / Autogas", aliases: ["lpg", "autogas", "gpl"] },
+  { key: "CNG", label: "CNG", aliases: ["cng", "erdgas", "naturalgas", "biomethane", "biocng"] },
+  { key: "LNG", label: "LNG", aliases: ["lng", "biolng"] },
+  { key: "H2", label: "Hydrogen", aliases: ["h2", "hydrogen", "wasserstoff"] },
+  { key: "AdBlue", label: "AdBlue", aliases: ["adblue", "def", "ureasolution"] },
+];
+
+const fuelAliasKey = (raw) => String(raw || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const builtinFuelMapping = new Map(canonicalFuelTypes.flatMap((t) => t.aliases.map((alias) => [alias, t.key])));
+
+// mapping: { rawName: canonicalName } from the editor or a JSON file; matched exactly first, then case-insensitively.
+function canonicalFuel(raw, mapping = {}) {
+  if (!raw) return "";
+  if (mapping[raw]) return mapping[raw];
+  const key = fuelAliasKey(raw);
+  for (const [name, canonical] of Object.entries(mapping)) {
+    if (canonical && fuelAliasKey(name) === key) return canonical;
+  }
+  return builtinFuelMapping.get(key) || raw;
+}
+
+function withCanonicalFuel(rows, mapping = {}) {
+  return rows.map((r) => ({ ...r, fuel_canonical: canonicalFuel(r.fuel, mapping) }));
+}
+
+function normalizeFuelMapping(mapping) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new Error("Fuel mapping must be an object of { rawName: canonicalName }.");
+  }
+  const out = {};
+  for (const [raw, canonical] of Object.entries(mapping)) {
+    const name = String(raw).trim();
+    const target = String(canonical === null || canonical === undefined ? "" : canonical).trim();
+    if (name && target) out[name] = target;
+  }
+  return out;
+}
+
+// Accepts the saved file format ({ fuels: { … } }) or a bare object.
+function parseFuelMappingJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Fuel mapping file is not valid JSON.");
+  }
+  return normalizeFuelMapping(data && data.fuels && typeof data.fuels === "object" ? data.fuels : data);
+}
+
+function fuelMappingToJson(mapping) {
+  return JSON.stringify({ version: 1, fuels: normalizeFuelMapping(mapping) }, null, 2);
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Normalisation (opt-in)
+//
+// Prices become numbers (with unit/currency when the feed or the price text carries them) and timestamps are converted
+// to UTC or an IANA time zone, with an epoch-ms column for chronological sorting. Values that don't parse are kept as
+// they are so nothing is lost silently.
+// ---------------------------------------------------------------------------------------------------------------------
+
+const commonTimeZones = ["UTC", "Europe/Berlin", "Europe/Vienna", "Europe/Zurich", "Europe/London", "Europe/Paris"];
+
+function assertTimeZone(timeZone) {
+  if (timeZone === "UTC") return;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw new Error(`Unknown time zone “${timeZone}”. Use UTC or an IANA name such as Europe/Berlin.`);
+  }
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Creating a DateTimeFormat is far slower than using one, and resampling formats every bucket boundary.
+const zoneFormatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+// Wall-clock fields (year … second, as strings) of an instant in the zone and the zone's UTC offset in minutes.
+function zonedWallClock(ms, timeZone) {
+  const date = new Date(ms);
+  const parts = {};
+  for (const part of zoneFormatter(timeZone).formatToParts(date)) parts[part.type] = part.value;
+  const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return { parts, offsetMinutes: Math.round((wallClock - (ms - date.getUTCMilliseconds())) / 60000) };
+}
+
+// ISO 8601 in the given zone: "2025-01-01T08:00:00Z" for UTC, "2025-01-01T09:00:00+01:00" for Europe/Berlin.
+function formatTimestampInZone(ms, timeZone) {
+  const date = new Date(ms);
+  const millis = date.getUTCMilliseconds() ? `.${String(date.getUTCMilliseconds()).padStart(3, "0")}` : "";
+  if (timeZone === "UTC") return `${date.toISOString().slice(0, 19)}${millis}Z`;
+
+  const { parts, offsetMinutes } = zonedWallClock(ms, timeZone);
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  const offset = `${sign}${pad2(Math.floor(abs / 60))}:${pad2(abs % 60)}`;
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${millis}${offset}`;
+}
+
+// "2026-10-01T10:00:00", "2026-10-01 10:00" or "2026-10-01": ISO 8601 without "Z" or an offset.
+const offsetlessTimestampPattern = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?$/;
+
+// Epoch ms of a timestamp, NaN when it doesn't parse. Timestamps without an offset are wall-clock times in timeZone
+// (UTC unless one is chosen), never in the zone of the machine that happens to run this.
+function parseTimestampInZone(text, timeZone = "UTC") {
+  const raw = String(text || "").trim();
+  const m = offsetlessTimestampPattern.exec(raw);
+  if (!m) return raw ? Date.parse(raw) : NaN;
+  const [year, month, day, hour, minute, second] = m.slice(1, 7).map((v) => Number(v || 0));
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, Math.round(Number(`0.${m[7] || 0}`) * 1000));
+  const check = new Date(wall);
+  // Date.UTC rolls 2026-02-31 over into March.
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) return NaN;
+  if (timeZone === "UTC") return wall;
+  // The offset at the wall clock read as UTC is off by the DST shift near a change; a second pass settles it.
+  const first = wall - zonedWallClock(wall, timeZone).offsetMinutes * 60000;
+  return wall - zonedWallClock(first, timeZone).offsetMinutes * 60000;
+}
+
+function normalizeTimestamp(text, timeZone) {
+  const raw = String(text || "").trim();
+  const ms = parseTimestampInZone(raw, timeZone);
+  if (!Number.isFinite(ms)) return { text: raw, ms: "" };
+  return { text: formatTimestampInZone(ms, timeZone), ms };
+}
+
+// "1.659", "1,659", "1.659 EUR", "€ 1,659/l" → { value: 1.659, unit, currency }; value is null when nothing parses.
+// Numbers with more than one separator ("1.234,5", "1,234.5") are ambiguous and don't parse either.
+function parsePriceValue(text) {
+  const raw = String(text || "").trim();
+  const number = /[-+]?\d+(?:[.,]\d+)*/.exec(raw);
+  const separators = number ? (number[0].match(/[.,]/g) || []).length : 0;
+  const value = number && separators <= 1 ? Number(number[0].replace(",", ".")) : null;
+  const rest = number ? raw.replace(number[0], " ") : raw;
+  const currency = /€|\bEUR\b/i.test(rest) ? "EUR" : (/\b(CHF|USD|GBP|PLN|CZK|DKK)\b/i.exec(rest) || [])[1] || "";
+  const unit = (/(?:\/|\bper\s+)\s*(l|litre|liter|kg|kwh)\b/i.exec(rest) || [])[1] || "";
+  return {
+    value: Number.isFinite(value) ? value : null,
+    unit: unit ? { litre: "l", liter: "l" }[unit.toLowerCase()] || unit.toLowerCase() : "",
+    currency: currency.toUpperCase(),
+  };
+}
+
+function normalizeFuelRows(rows, { timeZone = "UTC" } = {}) {
+  assertTimeZone(timeZone);
+  return rows.map((r) => {
+    const price = parsePriceValue(r.price);
+    const date = normalizeTimestamp(r.date_of_price, timeZone);
+    return {
+      ...r,
+      price: price.value === null ? r.price : price.value,
+      price_unit: r.price_unit || price.unit,
+      currency: r.currency || price.currency,
+      date_of_price: date.text,
+      date_of_price_epoch_ms: date.ms,
+    };
+  });
+}
+
+function normalizeOverrideRows(rows, { timeZone = "UTC" } = {}) {
+  assertTimeZone(timeZone);
+  return rows.map((r) => {
+    const start = normalizeTimestamp(r.start_of_period, timeZone);
+    return {
+      ...r,
+      start_of_period: start.text,
+      start_of_period_epoch_ms: start.ms,
+      end_of_period: normalizeTimestamp(r.end_of_period, timeZone).text,
+    };
+  });
+}
+
+function insertColumnsAfter(columns, after, added) {
+  const i = columns.indexOf(after);
+  return i === -1 ? [...columns, ...added] : [...columns.slice(0, i + 1), ...added, ...columns.slice(i + 1)];
+}
+
+// Applies table.normalize (when the table has one) to rows and column list; other tables pass through unchanged.
+function normalizeTable(table, rows, options) {
+  if (!table.normalize) return { table, rows };
+  const normalized = table.normalize.rows(rows, options);
+  return {
+    table: {
+      ...table,
+      columns: table.normalize.columns(table.columns, normalized),
+      sortColumn: table.normalize.sortColumn,
+      timeOrderColumn: table.normalize.sortColumn,
+    },
+    rows: normalized,
+  };
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Custom columns
+//
+// A custom column is { name, context, path }: the path is evaluated relative to the <petrolStationInformation>
+// ("station") or the <fuelPrice…> element ("price") of every row. Paths are XPath-like but namespace-agnostic:
+// "petrolStationReference/@id", "*/dateOfPrice", "..", "//openingTimes[1]". Prefixes in steps are ignored.
+// ---------------------------------------------------------------------------------------------------------------------
+
+const customColumnContexts = [
+  { key: "station", label: "petrolStationInformation" },
+  { key: "price", label: "fuelPrice… element" },
+];
+
+function parseLocalPath(path) {
+  const text = String(path || "").trim();
+  if (!text) throw new Error("Path is empty.");
+  if (text.startsWith("/") && !text.startsWith("//")) throw new Error(`Path “${text}” must be relative (no leading “/”).`);
+
+  const parts = text.split("/");
+  const steps = [];
+  let descendant = false;
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i].trim();
+    if (part === "") {
+      if (i === parts.length - 1 || descendant) throw new Error(`Path “${text}” has an empty step.`);
+      descendant = true;
+      continue;
+    }
+    if (part.startsWith("@")) {
+      if (i !== parts.length - 1 || part.length === 1) throw new Error(`Path “${text}”: an attribute must be the last step.`);
+      steps.push({ attribute: part.slice(1).replace(/^.*:/, "") });
+      continue;
+    }
+    const match = /^([^[\]@]+)(?:\[(\d+)\])?$/.exec(part);
+    if (!match) throw new Error(`Path “${text}”: cannot read step “${part}”.`);
+    steps.push({ axis: descendant ? "descendant" : "child", name: match[1].replace(/^.*:/, ""), index: Number(match[2] || 0) });
+    descendant = false;
+  }
+  return steps;
+}
+
+function attributeByLocalName(el, name) {
+  const direct = el.getAttribute(name);
+  if (direct !== null) return direct;
+  const entries = el.attributes instanceof Map ? Array.from(el.attributes) : Array.from(el.attributes || []).map((a) => [a.name, a.value]);
+  for (const [qualified, value] of entries) {
+    if (qualified.replace(/^.*:/, "") === name) return value;
+  }
+  return null;
+}
+
+// Unique non-empty values of all nodes the path selects, joined with "; ".
+function evaluateLocalPath(el, steps) {
+  let nodes = [el];
+  for (const step of steps) {
+    if (step.attribute) {
+      const values = nodes.map((n) => attributeByLocalName(n, step.attribute)).filter((v) => v !== null);
+      return Array.from(new Set(values.map((v) => v.trim()).filter(Boolean))).join("; ");
+    }
+    const next = [];
+    for (const node of nodes) {
+      let candidates;
+      if (step.name === "..") candidates = node.parentNode && node.parentNode.localName ? [node.parentNode] : [];
+      else if (step.name === ".") candidates = [node];
+      else if (step.axis === "descendant") candidates = Array.from(node.getElementsByTagNameNS("*", step.name));
+      else candidates = Array.from(node.children || []).filter((c) => step.name === "*" || c.localName === step.name);
+      if (step.index) candidates = candidates[step.index - 1] ? [candidates[step.index - 1]] : [];
+      for (const c of candidates) next.push(c);
+    }
+    nodes = next;
+  }
+  return Array.from(new Set(nodes.map(getText).filter(Boolean))).join("; ");
+}
+
+// Names a custom column can't take: the columns of fuel and override rows, the ones normalisation adds and the station
+// join columns.
+const reservedCustomColumnNames = Array.from(
+  new Set([
+    ...fuelLongColumns,
+    ...overrideColumns,
+    "price_unit",
+    "currency",
+    "date_of_price_epoch_ms",
+    "start_of_period_epoch_ms",
+    "end_of_period_epoch_ms",
+    ...stationJoinColumns,
+  ]),
+);
+
+// Validates a list of mappings (from the editor, a JSON file or the CLI) and compiles their paths.
+function normalizeCustomColumns(list, reservedColumns = reservedCustomColumnNames) {
+  if (!Array.isArray(list)) throw new Error("Custom columns must be a list of { name, context, path }.");
+  const seen = new Set(reservedColumns);
+  return list.map((entry, i) => {
+    const name = String((entry && entry.name) || "").trim();
+    const context = String((entry && entry.context) || "station").trim();
+    const path = String((entry && entry.path) || "").trim();
+    const label = `Custom column ${i + 1}${name ? ` (“${name}”)` : ""}`;
+    if (!name) throw new Error(`${label}: name is empty.`);
+    if (seen.has(name)) throw new Error(`${label}: a column with this name already exists.`);
+    if (!customColumnContexts.some((c) => c.key === context)) {
+      throw new Error(`${label}: context must be one of ${customColumnContexts.map((c) => c.key).join(", ")}.`);
+    }
+    let steps;
+    try {
+      steps = parseLocalPath(path);
+    } catch (e) {
+      throw new Error(`${label}: ${e.message}`);
+    }
+    seen.add(name);
+    return { name, context, path, steps };
+  });
+}
+
+// Accepts the saved file format ({ columns: [...] }) or a bare list.
+function parseCustomColumnsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Custom columns file is not valid JSON.");
+  }
+  const list = Array.isArray(data) ? data : data && data.columns;
+  return normalizeCustomColumns(list).map(({ name, context, path }) => ({ name, context, path }));
+}
+
+function customColumnsToJson(list) {
+  return JSON.stringify({ version: 1, columns: list.map(({ name, context, path }) => ({ name, context, path })) }, null, 2);
+}
+
+function customColumnValues(el, columns, context) {
+  const values = {};
+  for (const column of columns) {
+    if (column.context === context) values[column.name] = evaluateLocalPath(el, column.steps);
+  }
+  return values;
+}
+
+// Returns a copy of `table` whose long columns (and wide pivot) carry the given custom column names.
+function tableWithCustomColumns(table, names) {
+  if (!names || names.length === 0) return table;
+  return {
+    ...table,
+    columns: [...table.columns, ...names],
+    wide: table.wide && {
+      ...table.wide,
+      pivot: (rows) => table.wide.pivot(rows, names),
+      columns: (valueColumns, extraColumns = []) => table.wide.columns(valueColumns, extraColumns, names),
+      previewColumns: (valueColumns) => table.wide.previewColumns(valueColumns, names),
+    },
+  };
+}
+
+function extractFuelPricePublication(doc, { binaryId, sourceFile = "", customColumns = [] }) {
+  const root = doc.documentElement;
+  const extensionName = root ? root.getAttribute("extensionName") || "" : "";
+
+  const payloads = Array.from(doc.getElementsByTagNameNS("*", "payloadPublication"));
+  const isFuelPrice =
+    extensionName === "FuelPricePublication" ||
+    payloads.some((p) => (p.getAttribute("xsi:type") || "").includes("FuelPricePublication"));
+  if (!isFuelPrice) return null;
+
+  const fuelRows = [];
+  const overrideRows = [];
+
+  for (const payload of payloads) {
+    const publicationId = payload.getAttribute("id") || "";
+    const publicationType = payload.getAttribute("xsi:type") || extensionName || "";
+
+    const publicationCreator = payload.getElementsByTagNameNS("*", "publicationCreator")[0] || null;
+    const creatorCountry = getText(publicationCreator?.getElementsByTagNameNS("*", "country")[0] || null);
+    const creatorNationalIdentifier = getText(
+      publicationCreator?.getElementsByTagNameNS("*", "nationalIdentifier")[0] || null,
+    );
+
+    const stationInfos = Array.from(payload.getElementsByTagNameNS("*", "petrolStationInformation"));
+    for (const info of stationInfos) {
+      const stationRef = info.getElementsByTagNameNS("*", "petrolStationReference")[0] || null;
+      const stationId = stationRef ? stationRef.getAttribute("id") || "" : "";
+      const stationVersion = stationRef ? stationRef.getAttribute("version") || "" : "";
+      const stationValues = customColumnValues(info, customColumns, "station");
+
+      for (const child of Array.from(info.children || [])) {
+        const local = child.localName || "";
+        if (!local.startsWith("fuelPrice")) continue;
+        const fuel = local.replace(/^fuelPrice/, "") || "Unknown";
+        const price = getText(child.getElementsByTagNameNS("*", "price")[0]);
+        const dateOfPrice = getText(child.getElementsByTagNameNS("*", "dateOfPrice")[0]);
+        if (!price && !dateOfPrice) continue;
+        // Not part of fuelLongColumns; surfaced by normalizeFuelRows when present.
+        const priceUnit = firstDescendantText(child, ["unitOfMeasure", "unit"]) || child.getAttribute("unit") || "";
+        const currency = firstDescendantText(child, ["currency", "currencyCode"]) || child.getAttribute("currency") || "";
+
+        // Custom values first: they can never replace a built-in field.
+        fuelRows.push({
+          ...stationValues,
+          ...customColumnValues(child, customColumns, "price"),
+          station_id: stationId,
+          station_version: stationVersion,
+          fuel,
+          price,
+          date_of_price: dateOfPrice,
+          creator_country: creatorCountry,
+          creator_national_identifier: creatorNationalIdentifier,
+          publication_id: publicationId,
+          publication_type: publicationType,
+          binary_id: binaryId,
+          source_file: sourceFile,
+          price_unit: priceUnit,
+          currency,
+        });
+      }
+
+      const overrides = Array.from(info.getElementsByTagNameNS("*", "overrideOpen"));
+      for (const ov of overrides) {
+        const startOfPeriod = getText(ov.getElementsByTagNameNS("*", "startOfPeriod")[0]);
+        const endOfPeriod = getText(ov.getElementsByTagNameNS("*", "endOfPeriod")[0]);
+        if (!startOfPeriod && !endOfPeriod) continue;
+        overrideRows.push({
+          ...stationValues,
+          station_id: stationId,
+          station_version: stationVersion,
+          start_of_period: startOfPeriod,
+          end_of_period: endOfPeriod,
+          creator_country: creatorCountry,
+          creator_national_identifier: creatorNationalIdentifier,
+          publication_id: publicationId,
+          publication_type: publicationType,
+          binary_id: binaryId,
+          source_file: sourceFile,
+        });
+      }
+    }
+  }
+
+  return { fuelRows, overrideRows };
+}
+
+function firstDescendantText(el, localNames) {
+  for (const name of localNames) {
+    const found = el.getElementsByTagNameNS("*", name)[0];
+    const text = getText(found);
+    if (text) return text;
+  }
+  return "";
+}
+
+// DATEX II v3 addresses carry street/house number as typed <addressLine> elements instead of dedicated fields.
+function addressLineText(el, type) {
+  for (const line of Array.from(el.getElementsByTagNameNS("*", "addressLine"))) {
+    const lineType = firstDescendantText(line, ["addressLineType", "type"]);
+    if (lineType === type) return firstDescendantText(line, ["text"]);
+  }
+  return "";
+}
+
+function extractPetrolStations(doc, { binaryId, sourceFile = "" }) {
+  const stations = Array.from(doc.getElementsByTagNameNS("*", "petrolStation")).filter((el) => el.getAttribute("id"));
+  if (stations.length === 0) return null;
+
+  const rows = [];
+  for (const station of stations) {
+    let payload = station.parentNode;
+    while (payload && payload.localName !== "payloadPublication") payload = payload.parentNode;
+
+    rows.push({
+      station_id: station.getAttribute("id") || "",
+      station_version: station.getAttribute("version") || "",
+      name: firstDescendantText(station, ["name", "petrolStationName"]),
+      brand: firstDescendantText(station, ["brand", "brandName"]),
+      street: firstDescendantText(station, ["street", "streetName"]) || addressLineText(station, "street"),
+      house_number: firstDescendantText(station, ["houseNumber"]) || addressLineText(station, "houseNumber"),
+      postcode: firstDescendantText(station, ["postcode", "postalCode", "zipCode"]),
+      city: firstDescendantText(station, ["city", "town"]),
+      country: firstDescendantText(station, ["countryCode"]),
+      latitude: firstDescendantText(station, ["latitude"]),
+      longitude: firstDescendantText(station, ["longitude"]),
+      publication_id: payload ? payload.getAttribute("id") || "" : "",
+      binary_id: binaryId,
+      source_file: sourceFile,
+    });
+  }
+  return rows;
+}
+
+// Station master data by station_id; the highest version wins when a station shows up more than once.
+function stationLookup(stationRows) {
+  const map = new Map();
+  for (const row of stationRows) {
+    const existing = map.get(row.station_id);
+    if (!existing || (Number(row.station_version) || 0) >= (Number(existing.station_version) || 0)) {
+      map.set(row.station_id, row);
+    }
+  }
+  return map;
+}
+
+function withStationColumns(rows, lookup) {
+  return rows.map((r) => {
+    const station = lookup.get(r.station_id);
+    return {
+      ...r,
+      station_name: station ? station.name : "",
+      station_city: station ? station.city : "",
+      station_latitude: station ? station.latitude : "",
+      station_longitude: station ? station.longitude : "",
+    };
+  });
+}
+
+// Custom columns are carried per date; values that differ between fuels of the same date are joined with "; ".
+function wideFuelRowsForStation(rows, customColumns = []) {
+  const uniqueJoin = (key) => {
+    const set = new Set();
+    for (const r of rows) {
+      const v = r && r[key] !== undefined && r[key] !== null ? String(r[key]).trim() : "";
+      if (v) set.add(v);
+    }
+    return Array.from(set).sort((a, b) => a.localeCompare(b)).join("; ");
+  };
+
+  // Columns follow the canonical fuel, so creators' spellings of the same product share one column.
+  const fuelOf = (r) => r.fuel_canonical || r.fuel;
+  const fuels = Array.from(new Set(rows.map(fuelOf))).filter(Boolean).sort();
+  const byDate = groupBy(rows, (r) => r.date_of_price || "");
+  const dates = Array.from(byDate.keys()).filter(Boolean).sort();
+  // Normalised rows carry epoch ms; order by instant so DST changes in a named zone don't reorder rows.
+  const epoch = (date) => byDate.get(date)[0].date_of_price_epoch_ms;
+  if (dates.every((d) => typeof epoch(d) === "number")) dates.sort((a, b) => epoch(a) - epoch(b));
+
+  const stationId = rows[0] ? rows[0].station_id || "" : "";
+  const creatorCountry = uniqueJoin("creator_country");
+  const creatorNationalIdentifier = uniqueJoin("creator_national_identifier");
+
+  const out = [];
+  for (const date of dates) {
+    const row = {
+      station_id: stationId,
+      creator_country: creatorCountry,
+      creator_national_identifier: creatorNationalIdentifier,
+      date_of_price: date,
+    };
+    const dateRows = byDate.get(date) || [];
+    for (const column of customColumns) {
+      row[column] = Array.from(new Set(dateRows.map((r) => r[column]).filter(Boolean))).join("; ");
+    }
+    for (const fuel of fuels) row[fuel] = "";
+    for (const r of dateRows) {
+      const fuel = fuelOf(r);
+      // Two raw fuels mapped onto one canonical fuel can disagree; keep both prices visible.
+      row[fuel] = row[fuel] !== "" && row[fuel] !== r.price ? `${row[fuel]}; ${r.price}` : r.price;
+    }
+    out.push(row);
+  }
+
+  return { fuels, rows: out };
+}
+
+// The instant of a fuel row: the normalised epoch-ms column when present, otherwise date_of_price parsed with
+// timestamps without an offset read in timeZone (the normalisation zone; UTC when normalisation is off).
+const priceObservationMs = (r, timeZone = "UTC") =>
+  typeof r.date_of_price_epoch_ms === "number" ? r.date_of_price_epoch_ms : parseTimestampInZone(r.date_of_price, timeZone);
+
+// One fuel across stations: a row per observation time (ordered by instant), a column per station_id. With forwardFill
+// every cell holds the price in effect at that station at that moment (empty before its first observation). Rows
+// without a parsable date_of_price are skipped and counted. Stations with a joined "a; b" cell get a string column.
+function crossStationPivot(rows, fuel, { forwardFill = false, timeZone = "UTC" } = {}) {
+  const fuelRows = rows.filter((r) => (r.fuel_canonical || r.fuel) === fuel && r.station_id);
+  const stations = Array.from(new Set(fuelRows.map((r) => r.station_id))).sort((a, b) => a.localeCompare(b));
+  const byInstant = new Map();
+  const joined = new Set();
+  let skipped = 0;
+  for (const r of fuelRows) {
+    const ms = priceObservationMs(r, timeZone);
+    if (!Number.isFinite(ms)) {
+      skipped++;
+      continue;
+    }
+    if (!byInstant.has(ms)) byInstant.set(ms, { date_of_price: r.date_of_price, prices: new Map() });
+    const prices = byInstant.get(ms).prices;
+    const previous = prices.get(r.station_id);
+    // Two raw fuels mapped onto one canonical fuel can disagree; keep both prices visible.
+    if (previous !== undefined && previous !== r.price) {
+      prices.set(r.station_id, `${previous}; ${r.price}`);
+      joined.add(r.station_id);
+    } else {
+      prices.set(r.station_id, r.price);
+    }
+  }
+
+  const current = new Map();
+  const out = Array.from(byInstant.keys())
+    .sort((a, b) => a - b)
+    .map((ms) => {
+      const { date_of_price, prices } = byInstant.get(ms);
+      const row = { date_of_price };
+      for (const station of stations) {
+        if (prices.has(station)) current.set(station, prices.get(station));
+        row[station] = prices.has(station) ? prices.get(station) : forwardFill && current.has(station) ? current.get(station) : "";
+      }
+      return row;
+    });
+  return {
+    stations,
+    columns: ["date_of_price", ...stations],
+    columnTypes: {
+      date_of_price: "timestamp",
+      ...Object.fromEntries(stations.map((s) => [s, joined.has(s) ? "string" : "double"])),
+    },
+    rows: out,
+    skipped,
+  };
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Resampling
+//
+// Turns the irregular price observations of every station and fuel into a regular hourly or daily series. A price
+// stays in effect until the next observation, so buckets without observations carry the previous price and the mean is
+// weighted by how long each price was in effect (from the first observation up to the newest one in the data). Buckets
+// follow the wall clock of the chosen time zone, so daily buckets start at local midnight, also across DST changes.
+// ---------------------------------------------------------------------------------------------------------------------
+
+const resampleIntervals = [
+  { key: "hour", label: "Hourly", ms: 3600000 },
+  { key: "day", label: "Daily", ms: 86400000 },
+];
+
+const resampleStatistics = [
+  { key: "last", label: "Last price" },
+  { key: "min", label: "Minimum" },
+  { key: "max", label: "Maximum" },
+  { key: "mean", label: "Time-weighted mean" },
+  { key: "changes", label: "Number of changes" },
+];
+
+const resampledLongColumns = [
+  "station_id",
+  "fuel_canonical",
+  "bucket_start",
+  "bucket_start_epoch_ms",
+  "bucket_end",
+  "last",
+  "min",
+  "max",
+  "mean",
+  "changes",
+  "observations",
+];
+
+const resampledColumnTypes = {
+  bucket_start: "timestamp",
+  bucket_start_epoch_ms: "int64",
+  bucket_end: "timestamp",
+  last: "double",
+  min: "double",
+  max: "double",
+  mean: "double",
+  changes: "int64",
+  observations: "int64",
+};
+
+const maxResampledRows = 1000000;
+
+function resampleBucketStart(ms, interval, timeZone) {
+  const offset = timeZone === "UTC" ? 0 : zonedWallClock(ms, timeZone).offsetMinutes * 60000;
+  const wall = ms + offset;
+  const wallStart = wall - (((wall % interval.ms) + interval.ms) % interval.ms);
+  if (!offset) return wallStart;
+  // On DST change days the offset at local midnight differs from the one at `ms`.
+  const startOffset = zonedWallClock(wallStart - offset, timeZone).offsetMinutes * 60000;
+  return wallStart - startOffset;
+}
+
+// points: [{ ms, value }] in time order. Returns one bucket per interval from the first observation up to `until`;
+// bucketStart(ms) is resampleBucketStart for the interval and time zone.
+function resampleSeries(points, { interval, bucketStart, until }) {
+  const out = [];
+  if (!points.length) return out;
+  const end = Math.max(until, points[points.length - 1].ms);
+  let i = 0;
+  let current = null;
+  for (let start = bucketStart(points[0].ms); start < end || i < points.length; ) {
+    // 1.5 intervals always land in the next bucket, whether the day has 23, 24 or 25 hours.
+    const next = bucketStart(start + interval.ms * 1.5);
+    let since = start;
+    let weighted = 0;
+    let covered = 0;
+    let changes = 0;
+    let observations = 0;
+    let min = current === null ? Infinity : current;
+    let max = current === null ? -Infinity : current;
+    for (; i < points.length && points[i].ms < next; i++) {
+      const { ms, value } = points[i];
+      if (current !== null) {
+        weighted += current * (ms - since);
+        covered += ms - since;
+        if (value !== current) changes++;
+      }
+      current = value;
+      since = ms;
+      observations++;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+    const stop = Math.min(next, end);
+    if (stop > since) {
+      weighted += current * (stop - since);
+      covered += stop - since;
+    }
+    out.push({ start, end: next, last: current, min, max, mean: covered ? weighted / covered : current, changes, observations });
+    start = next;
+  }
+  return out;
+}
+
+// Works on raw or normalised fuel rows (one series per station_id and fuel_canonical). Rows without a parsable price
+// or timestamp are skipped and counted. Series end at the newest observation in `allRows` (default: `rows`), e.g. the
+// whole dataset when resampling a single group. Buckets follow timeZone; timestamps without an offset are read in
+// inputTimeZone (see priceObservationMs).
+function resampleFuelRows(rows, { interval = "hour", timeZone = "UTC", inputTimeZone = "UTC", allRows = rows } = {}) {
+  assertTimeZone(timeZone);
+  const spec = resampleIntervals.find((i) => i.key === interval);
+  if (!spec) throw new Error(`Unknown interval “${interval}”. Use ${resampleIntervals.map((i) => i.key).join(" or ")}.`);
+
+  const points = [];
+  let skipped = 0;
+  for (const r of rows) {
+    const ms = priceObservationMs(r, inputTimeZone);
+    const value = typeof r.price === "number" ? r.price : parsePriceValue(r.price).value;
+    if (!Number.isFinite(ms) || value === null || !r.station_id) {
+      skipped++;
+      continue;
+    }
+    points.push({ station_id: r.station_id, fuel: r.fuel_canonical || r.fuel || "", ms, value });
+  }
+  const until = allRows.reduce((newest, r) => {
+    const ms = priceObservationMs(r, inputTimeZone);
+    return Number.isFinite(ms) && ms > newest ? ms : newest;
+  }, -Infinity);
+
+  const series = Array.from(groupBy(points, (p) => `${p.station_id}\u0000${p.fuel}`).values());
+  series.sort((a, b) => a[0].station_id.localeCompare(b[0].station_id) || a[0].fuel.localeCompare(b[0].fuel));
+  const round = (n) => Math.round(n * 10000) / 10000;
+  // All series share their bucket boundaries; looking up zone offsets and formatting them once saves most of the time.
+  const memo = (fn) => {
+    const cache = new Map();
+    return (ms) => {
+      if (!cache.has(ms)) cache.set(ms, fn(ms));
+      return cache.get(ms);
+    };
+  };
+  const bucketStart = memo((ms) => resampleBucketStart(ms, spec, timeZone));
+  const format = memo((ms) => formatTimestampInZone(ms, timeZone));
+  const out = [];
+  for (const list of series) {
+    list.sort((a, b) => a.ms - b.ms);
+    for (const bucket of resampleSeries(list, { interval: spec, bucketStart, until })) {
+      if (out.length >= maxResampledRows) {
+        throw new Error(`Resampling yields more than ${maxResampledRows} rows; use a longer interval or a single group.`);
+      }
+      out.push({
+        station_id: list[0].station_id,
+        fuel_canonical: list[0].fuel,
+        bucket_start: format(bucket.start),
+        bucket_start_epoch_ms: bucket.start,
+        bucket_end: format(bucket.end),
+        last: bucket.last,
+        min: bucket.min,
+        max: bucket.max,
+        mean: round(bucket.mean),
+        changes: bucket.changes,
+        observations: bucket.observations,
+      });
+    }
+  }
+  return { rows: out, skipped };
+}
+
+// One row per station and bucket with one column per fuel holding `statistic`.
+function resampledWideRows(longRows, statistic) {
+  const fuels = Array.from(new Set(longRows.map((r) => r.fuel_canonical))).sort();
+  const byBucket = groupBy(longRows, (r) => `${r.station_id}\u0000${r.bucket_start_epoch_ms}`);
+  const rows = Array.from(byBucket.values()).map((bucketRows) => {
+    const { station_id, bucket_start, bucket_start_epoch_ms, bucket_end } = bucketRows[0];
+    const row = { station_id, bucket_start, bucket_start_epoch_ms, bucket_end };
+    for (const fuel of fuels) row[fuel] = "";
+    for (const r of bucketRows) row[r.fuel_canonical] = r[statistic];
+    return row;
+  });
+  rows.sort((a, b) => a.station_id.localeCompare(b.station_id) || a.bucket_start_epoch_ms - b.bucket_start_epoch_ms);
+  const type = statistic === "changes" ? "int64" : "double";
+  return {
+    valueColumns: fuels,
+    columns: ["station_id", "bucket_start", "bucket_end", ...fuels],
+    columnTypes: { bucket_start: "timestamp", bucket_end: "timestamp", ...Object.fromEntries(fuels.map((f) => [f, type])) },
+    rows,
+  };
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Row filter
+//
+// { fuels, priceMin, priceMax, from, to, stations, creators, countries } narrows every table that has the filtered
+// column: fuel and price only touch fuel prices, station, creator and country also the override periods (and station
+// ids the master data). The date range compares date_of_price as instants, both bounds included. Empty criteria match
+// all rows.
+// ---------------------------------------------------------------------------------------------------------------------
+
+// The column each criterion filters on.
+const rowFilterColumns = {
+  fuels: "fuel_canonical",
+  price: "price",
+  date: "date_of_price",
+  stations: "station_id",
+  creators: "creator_national_identifier",
+  countries: "creator_country",
+};
+
+const emptyRowFilter = { fuels: [], priceMin: null, priceMax: null, from: "", to: "", stations: [], creators: [], countries: [] };
+
+// "E5, E10", "E5\nE10" or ["E5", "E10"] → ["E5", "E10"] (trimmed, unique).
+function filterValueList(value) {
+  const values = Array.isArray(value) ? value : String(value ?? "").split(/[\s,;]+/);
+  return Array.from(new Set(values.map((v) => String(v ?? "").trim()).filter(Boolean)));
+}
+
+// Validates and normalises a filter; throws on numbers or instants that don't parse and on inverted ranges. Bounds
+// without an offset are instants in timeZone, like the rows they are compared with (see priceObservationMs).
+function normalizeRowFilter(input = {}, { timeZone = "UTC" } = {}) {
+  const number = (value, name) => {
+    if (value === null || value === undefined || String(value).trim() === "") return null;
+    const n = typeof value === "number" ? value : Number(String(value).trim().replace(",", "."));
+    if (!Number.isFinite(n)) throw new Error(`${name} “${value}” is not a number.`);
+    return n;
+  };
+  const instant = (value, name) => {
+    const text = String(value ?? "").trim();
+    if (text && !Number.isFinite(parseTimestampInZone(text, timeZone))) throw new Error(`${name} “${text}” is not a timestamp (e.g. 2025-01-01T06:00:00Z).`);
+    return text;
+  };
+  const filter = {
+    fuels: filterValueList(input.fuels),
+    priceMin: number(input.priceMin, "Minimum price"),
+    priceMax: number(input.priceMax, "Maximum price"),
+    from: instant(input.from, "From"),
+    to: instant(input.to, "To"),
+    stations: filterValueList(input.stations),
+    creators: filterValueList(input.creators),
+    countries: filterValueList(input.countries),
+  };
+  if (filter.priceMin !== null && filter.priceMax !== null && filter.priceMin > filter.priceMax) {
+    throw new Error("The minimum price is above the maximum price.");
+  }
+  if (filter.from && filter.to && parseTimestampInZone(filter.from, timeZone) > parseTimestampInZone(filter.to, timeZone)) {
+    throw new Error("“From” is after “To”.");
+  }
+  return filter;
+}
+
+function isRowFilterActive(filter) {
+  return Boolean(
+    filter &&
+      (filter.fuels.length ||
+        filter.priceMin !== null ||
+        filter.priceMax !== null ||
+        filter.from ||
+        filter.to ||
+        filter.stations.length ||
+        filter.creators.length ||
+        filter.countries.length),
+  );
+}
+
+// The criteria of `filter` that concern a table with `columns`; the others are emptied.
+function rowFilterForColumns(filter, columns) {
+  const has = (criterion) => columns.includes(rowFilterColumns[criterion]);
+  return {
+    fuels: has("fuels") ? filter.fuels : [],
+    priceMin: has("price") ? filter.priceMin : null,
+    priceMax: has("price") ? filter.priceMax : null,
+    from: has("date") ? filter.from : "",
+    to: has("date") ? filter.to : "",
+    stations: has("stations") ? filter.stations : [],
+    creators: has("creators") ? filter.creators : [],
+    countries: has("countries") ? filter.countries : [],
+  };
+}
+
+function rowFilterPredicate(filter, { timeZone = "UTC" } = {}) {
+  const tests = [];
+  const inList = (values, column) => {
+    const set = new Set(values);
+    tests.push((r) => set.has(String(r[column] ?? "").trim()));
+  };
+  if (filter.fuels.length) {
+    const fuels = new Set(filter.fuels);
+    tests.push((r) => fuels.has(r.fuel_canonical) || fuels.has(r.fuel));
+  }
+  if (filter.priceMin !== null || filter.priceMax !== null) {
+    tests.push((r) => {
+      const price = typeof r.price === "number" ? r.price : parsePriceValue(r.price).value;
+      return price !== null && (filter.priceMin === null || price >= filter.priceMin) && (filter.priceMax === null || price <= filter.priceMax);
+    });
+  }
+  if (filter.from || filter.to) {
+    const from = filter.from ? parseTimestampInZone(filter.from, timeZone) : -Infinity;
+    const to = filter.to ? parseTimestampInZone(filter.to, timeZone) : Infinity;
+    tests.push((r) => {
+      const ms = priceObservationMs(r, timeZone);
+      return ms >= from && ms <= to;
+    });
+  }
+  if (filter.stations.length) inList(filter.stations, "station_id");
+  if (filter.creators.length) inList(filter.creators, "creator_national_identifier");
+  if (filter.countries.length) inList(filter.countries, "creator_country");
+  return (r) => tests.every((test) => test(r));
+}
+
+const priceRangeText = (filter, [between, atLeast, atMost]) => {
+  if (filter.priceMin !== null && filter.priceMax !== null) return `${between}${filter.priceMin}-${filter.priceMax}`;
+  return filter.priceMin !== null ? `${atLeast}${filter.priceMin}` : `${atMost}${filter.priceMax}`;
+};
+
+// For the status line: "fuel E5, E10 · price 1.5-2 · date_of_price 2025-01-01 → … · 3 stations".
+function describeRowFilter(filter) {
+  const list = (values, one, many) => (values.length > 3 ? `${values.length} ${many}` : `${one} ${values.join(", ")}`);
+  const parts = [];
+  if (filter.fuels.length) parts.push(list(filter.fuels, "fuel", "fuels"));
+  if (filter.priceMin !== null || filter.priceMax !== null) parts.push(priceRangeText(filter, ["price ", "price ≥ ", "price ≤ "]));
+  if (filter.from || filter.to) parts.push(`date_of_price ${filter.from || "…"} → ${filter.to || "…"}`);
+  if (filter.stations.length) parts.push(list(filter.stations, "station", "stations"));
+  if (filter.creators.length) parts.push(list(filter.creators, "creator", "creators"));
+  if (filter.countries.length) parts.push(list(filter.countries, "country", "countries"));
+  return parts.join(" · ");
+}
+
+// For file names: "E5-E10_price1.5-2_from20250101T000000Z_3stations" ("price-max2" for an upper bound only).
+function rowFilterFileTag(filter, { timeZone = "UTC" } = {}) {
+  const list = (values, many) => (values.length > 3 ? `${values.length}${many}` : values.join("-"));
+  const compactInstant = (text) => new Date(parseTimestampInZone(text, timeZone)).toISOString().replace(/\.\d+Z$/, "Z").replace(/[-:]/g, "");
+  const parts = [];
+  if (filter.fuels.length) parts.push(list(filter.fuels, "fuels"));
+  if (filter.priceMin !== null || filter.priceMax !== null) parts.push(priceRangeText(filter, ["price", "price-min", "price-max"]));
+  if (filter.from) parts.push(`from${compactInstant(filter.from)}`);
+  if (filter.to) parts.push(`to${compactInstant(filter.to)}`);
+  if (filter.stations.length) parts.push(filter.stations.length === 1 ? `station-${filter.stations[0]}` : `${filter.stations.length}stations`);
+  if (filter.creators.length) parts.push(`creator-${list(filter.creators, "creators")}`);
+  if (filter.countries.length) parts.push(list(filter.countries, "countries"));
+  return parts.length ? safeFileName(parts.join("_")) : "";
+}
+
+// "fuel_prices_long.csv" → "fuel_prices_<tag>_long.csv": the tag follows the file prefix in every export of the table.
+function tableWithFileTag(table, tag) {
+  if (!tag) return table;
+  const tagged = (name) => (name.startsWith(table.filePrefix) ? `${table.filePrefix}_${tag}${name.slice(table.filePrefix.length)}` : name);
+  return {
+    ...table,
+    filePrefix: `${table.filePrefix}_${tag}`,
+    allFilename: tagged(table.allFilename),
+    ...(table.wide ? { wide: { ...table.wide, allFilename: tagged(table.wide.allFilename) } } : {}),
+  };
+}
+
+// Filters the rows of a table the filter concerns and tags its file names with the criteria that applied; other tables
+// pass through unchanged. options: { timeZone } as for rowFilterPredicate.
+function applyRowFilter(table, rows, filter, options = {}) {
+  const applicable = filter ? rowFilterForColumns(filter, table.columns) : null;
+  if (!isRowFilterActive(applicable)) return { table, rows };
+  return {
+    table: tableWithFileTag(table, rowFilterFileTag(applicable, options)),
+    rows: rows.filter(rowFilterPredicate(applicable, options)),
+  };
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// View state
+//
+// What a saved preset or a shared link restores: { endpoint, rowFilter, normalize: { enabled, timeZone }, csvDialect,
+// cards: { <table idPrefix>: { groupKeys, sort, filter, joinStations, previewGroup, preview, overlay } } }. Links
+// carry it as base64url JSON in ?view=, leaving out empty and default values; reading it back fills them in again.
+// ---------------------------------------------------------------------------------------------------------------------
+
+const defaultNormalizeSettings = { enabled: false, timeZone: "UTC" };
+
+// Fills in defaults and drops what doesn't validate (an unknown time zone, an unparsable filter, …) instead of
+// throwing, like normalizeCsvDialect: links and presets may come from an older or newer page. A message per dropped
+// setting is pushed to `ignored` so the page can say what the view lost.
+function normalizeViewState(input, ignored = []) {
+  const state = input && typeof input === "object" ? input : {};
+  const text = (value) => (typeof value === "string" ? value : "");
+
+  let rowFilter = { ...emptyRowFilter };
+  try {
+    rowFilter = normalizeRowFilter(state.rowFilter || {});
+  } catch (err) {
+    ignored.push(`The row filter was ignored: ${err.message}`);
+  }
+
+  const normalize = { ...defaultNormalizeSettings };
+  if (state.normalize && typeof state.normalize === "object") {
+    normalize.enabled = state.normalize.enabled === true;
+    const timeZone = text(state.normalize.timeZone) || "UTC";
+    try {
+      assertTimeZone(timeZone);
+      normalize.timeZone = timeZone;
+    } catch {
+      ignored.push(`The time zone “${timeZone}” is unknown here and was ignored; UTC is used instead.`);
+    }
+  }
+
+  const cards = {};
+  for (const [id, card] of Object.entries(state.cards && typeof state.cards === "object" ? state.cards : {})) {
+    if (!card || typeof card !== "object") continue;
+    const sort = card.sort && typeof card.sort === "object" && text(card.sort.key) ? card.sort : null;
+    cards[id] = {
+      groupKeys: Array.isArray(card.groupKeys) ? card.groupKeys.filter((key) => typeof key === "string" && key) : [],
+      sort: sort ? { key: sort.key, dir: sort.dir === -1 ? -1 : 1 } : null,
+      filter: text(card.filter),
+      joinStations: card.joinStations === true,
+      previewGroup: text(card.previewGroup),
+      preview: text(card.preview),
+      overlay: text(card.overlay),
+    };
+  }
+
+  return { endpoint: text(state.endpoint).trim(), rowFilter, normalize, csvDialect: normalizeCsvDialect(state.csvDialect), cards };
+}
+
+// Drops "", null, false, empty arrays and objects, and the CSV and normalisation settings when they equal the defaults
+// (when they don't, they are kept whole); normalizeViewState puts all of it back.
+function compactViewState(state) {
+  const compact = (value) => {
+    if (Array.isArray(value)) return value.length ? value : undefined;
+    if (value && typeof value === "object") {
+      const entries = Object.entries(value)
+        .map(([key, v]) => [key, compact(v)])
+        .filter(([, v]) => v !== undefined);
+      return entries.length ? Object.fromEntries(entries) : undefined;
+    }
+    return value === "" || value === null || value === false ? undefined : value;
+  };
+  const normalized = normalizeViewState(state);
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const { normalize, csvDialect, ...rest } = normalized;
+  return {
+    ...compact(rest),
+    ...(same(normalize, defaultNormalizeSettings) ? {} : { normalize }),
+    ...(same(csvDialect, defaultCsvDialect) ? {} : { csvDialect }),
+  };
+}
+
+function encodeViewState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(compactViewState(state)));
+  return bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// ignored: as for normalizeViewState.
+function decodeViewState(text, ignored = []) {
+  let parsed;
+  try {
+    parsed = JSON.parse(new TextDecoder().decode(base64ToBytes(text)));
+  } catch {
+    throw new Error("The view in this link is damaged (expected base64url-encoded JSON).");
+  }
+  return normalizeViewState(parsed, ignored);
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Parking status (DATEX II ParkingStatusPublication / v2 ParkingFacilityTableStatusPublication)
+// ---------------------------------------------------------------------------------------------------------------------
+
+const parkingStatusColumns = [
+  "parking_record_id",
+  "parking_record_version",
+  "level",
+  "record_type",
+  "parking_status_origin_time",
+  "occupancy",
+  "vacant_spaces",
+  "occupied_spaces",
+  "status",
+  "opening_status",
+  "creator_country",
+  "creator_national_identifier",
+  "publication_id",
+  "publication_type",
+  "binary_id",
+  "source_file",
+];
+
+// Columns the wide view spreads over time, in this order, when a site reports them.
+const parkingMetricColumns = ["occupancy", "vacant_spaces", "occupied_spaces", "status", "opening_status"];
+
+const parkingGroupOptions = [
+  {
+    key: "parking_record_id",
+    label: "parking_record_id",
+    get: (r) => r.parking_record_id || "(missing parking_record_id)",
+  },
+  { key: "level", label: "level", get: (r) => r.level || "(missing level)" },
+  { key: "record_type", label: "record_type", get: (r) => r.record_type || "(missing record_type)" },
+  { key: "status", label: "status", get: (r) => r.status || "(missing status)" },
+  { key: "date_day", label: "date (day)", get: (r) => (r.parking_status_origin_time || "").split("T")[0] || "(missing date)" },
+  {
+    key: "parking_status_origin_time",
+    label: "parking_status_origin_time",
+    get: (r) => r.parking_status_origin_time || "(missing parking_status_origin_time)",
+  },
+  { key: "creator_country", label: "creator_country", get: (r) => r.creator_country || "(missing creator_country)" },
+  {
+    key: "creator_national_identifier",
+    label: "creator_national_identifier",
+    get: (r) => r.creator_national_identifier || "(missing creator_national_identifier)",
+  },
+  { key: "publication_id", label: "publication_id", get: (r) => r.publication_id || "(missing publication_id)" },
+  { key: "binary_id", label: "binary_id", get: (r) => r.binary_id || "(missing binary_id)" },
+  { key: "source_file", label: "source_file", get: (r) => r.source_file || "(missing source_file)" },
+];
+
+const parkingColumnTypes = {
+  parking_status_origin_time: "timestamp",
+  occupancy: "double",
+  vacant_spaces: "int64",
+  occupied_spaces: "int64",
+};
+
+function parkingWideColumns(metrics, extraColumns = []) {
+  return [
+    "parking_record_id",
+    ...extraColumns,
+    "level",
+    "creator_country",
+    "creator_national_identifier",
+    "parking_status_origin_time",
+    ...parkingMetricColumns.filter((col) => metrics.includes(col)),
+  ];
+}
+
+function childElements(el, localName) {
+  return Array.from(el.children || []).filter((c) => c.localName === localName);
+}
+
+function childText(el, localNames) {
+  for (const name of localNames) {
+    const text = getText(childElements(el, name)[0] || null);
+    if (text) return text;
+  }
+  return "";
+}
+
+// v3 and the v2.3 parking extension report ParkingSiteStatus (and other ParkingRecordStatus types) as
+// <parkingRecordStatus>; their <parkingOccupancy> wraps the counts and a nested <parkingOccupancy> percentage.
+function parkingRecordStatusRow(el) {
+  const ref = childElements(el, "parkingRecordReference")[0] || null;
+  const recordType = (el.getAttribute("xsi:type") || "").replace(/^.*:/, "") || "ParkingRecordStatus";
+  const occupancy = childElements(el, "parkingOccupancy")[0] || null;
+  const nested = occupancy && (occupancy.children || []).length > 0;
+  return {
+    parking_record_id: ref ? ref.getAttribute("id") || "" : el.getAttribute("id") || "",
+    parking_record_version: ref ? ref.getAttribute("version") || "" : el.getAttribute("version") || "",
+    level: recordType === "ParkingSiteStatus" ? "site" : recordType.replace(/Status$/, ""),
+    record_type: recordType,
+    parking_status_origin_time: childText(el, ["parkingStatusOriginTime"]),
+    occupancy: nested ? childText(occupancy, ["parkingOccupancy"]) : getText(occupancy),
+    vacant_spaces: nested ? childText(occupancy, ["parkingNumberOfVacantSpaces"]) : "",
+    occupied_spaces: nested ? childText(occupancy, ["parkingNumberOfOccupiedSpaces"]) : "",
+    status: childText(el, ["parkingSiteStatus", "parkingSpaceStatus"]),
+    opening_status: childText(el, ["parkingSiteOpeningStatus"]),
+  };
+}
+
+// v2 <parkingFacilityStatus> records; the same element name is reused for the (repeatable) status values inside them.
+function parkingFacilityStatusRow(el) {
+  const ref = childElements(el, "parkingFacilityReference")[0] || null;
+  return {
+    parking_record_id: ref ? ref.getAttribute("id") || "" : "",
+    parking_record_version: ref ? ref.getAttribute("version") || "" : "",
+    level: "facility",
+    record_type: "ParkingFacilityStatus",
+    parking_status_origin_time: childText(el, ["parkingFacilityStatusTime"]),
+    occupancy: childText(el, ["parkingFacilityOccupancy"]),
+    vacant_spaces: childText(el, ["totalNumberOfVacantParkingSpaces"]),
+    occupied_spaces: childText(el, ["totalNumberOfOccupiedParkingSpaces"]),
+    status: childElements(el, "parkingFacilityStatus").map(getText).filter(Boolean).join("; "),
+    opening_status: childText(el, ["parkingFacilityOpeningStatus"]),
+  };
+}
+
+function extractParkingStatusPublication(doc, { binaryId, sourceFile = "" }) {
+  const rows = [];
+  for (const payload of Array.from(doc.getElementsByTagNameNS("*", "payloadPublication"))) {
+    const publicationCreator = payload.getElementsByTagNameNS("*", "publicationCreator")[0] || null;
+    const common = {
+      creator_country: getText(publicationCreator?.getElementsByTagNameNS("*", "country")[0] || null),
+      creator_national_identifier: getText(
+        publicationCreator?.getElementsByTagNameNS("*", "nationalIdentifier")[0] || null,
+      ),
+      publication_id: payload.getAttribute("id") || "",
+      publication_type: payload.getAttribute("xsi:type") || "",
+      binary_id: binaryId,
+      source_file: sourceFile,
+    };
+
+    for (const el of Array.from(payload.getElementsByTagNameNS("*", "parkingRecordStatus"))) {
+      rows.push({ ...parkingRecordStatusRow(el), ...common });
+    }
+    for (const el of Array.from(payload.getElementsByTagNameNS("*", "parkingFacilityStatus"))) {
+      if ((el.children || []).length === 0) continue;
+      rows.push({ ...parkingFacilityStatusRow(el), ...common });
+    }
+  }
+  return rows.length ? rows : null;
+}
+
+function wideParkingRowsForSite(rows) {
+  const uniqueJoin = (key) => {
+    const set = new Set();
+    for (const r of rows) {
+      const v = r && r[key] !== undefined && r[key] !== null ? String(r[key]).trim() : "";
+      if (v) set.add(v);
+    }
+    return Array.from(set).sort((a, b) => a.localeCompare(b)).join("; ");
+  };
+
+  const metrics = parkingMetricColumns.filter((col) => rows.some((r) => r[col]));
+  const byTime = groupBy(rows, (r) => r.parking_status_origin_time || "");
+  const times = Array.from(byTime.keys()).filter(Boolean).sort();
+
+  const siteId = rows[0] ? rows[0].parking_record_id || "" : "";
+  const level = uniqueJoin("level");
+  const creatorCountry = uniqueJoin("creator_country");
+  const creatorNationalIdentifier = uniqueJoin("creator_national_identifier");
+
+  const out = [];
+  for (const time of times) {
+    const row = {
+      parking_record_id: siteId,
+      level,
+      creator_country: creatorCountry,
+      creator_national_identifier: creatorNationalIdentifier,
+      parking_status_origin_time: time,
+    };
+    for (const metric of metrics) row[metric] = "";
+    // Later snapshots of the same origin time fill in what earlier ones left empty.
+    for (const r of byTime.get(time) || []) {
+      for (const metric of metrics) if (r[metric]) row[metric] = r[metric];
+    }
+    out.push(row);
+  }
+
+  return { metrics, rows: out };
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Situations (DATEX II SituationPublication: roadworks, accidents, closures, …)
+// ---------------------------------------------------------------------------------------------------------------------
+
+const situationColumns = [
+  "situation_id",
+  "situation_version",
+  "situation_record_id",
+  "situation_record_version",
+  "record_type",
+  "validity_status",
+  "validity_start",
+  "validity_end",
+  "severity",
+  "road_number",
+  "road_name",
+  "location_descriptors",
+  "latitude",
+  "longitude",
+  "comment",
+  "situation_record_creation_time",
+  "situation_record_version_time",
+  "creator_country",
+  "creator_national_identifier",
+  "publication_id",
+  "publication_type",
+  "binary_id",
+  "source_file",
+];
+
+const situationGroupOptions = [
+  { key: "situation_id", label: "situation_id", get: (r) => r.situation_id || "(missing situation_id)" },
+  { key: "record_type", label: "record_type", get: (r) => r.record_type || "(missing record_type)" },
+  { key: "severity", label: "severity", get: (r) => r.severity || "(missing severity)" },
+  { key: "validity_status", label: "validity_status", get: (r) => r.validity_status || "(missing validity_status)" },
+  { key: "road_number", label: "road_number", get: (r) => r.road_number || "(missing road_number)" },
+  { key: "date_day", label: "start (day)", get: (r) => (r.validity_start || "").split("T")[0] || "(missing date)" },
+  { key: "creator_country", label: "creator_country", get: (r) => r.creator_country || "(missing creator_country)" },
+  {
+    key: "creator_national_identifier",
+    label: "creator_national_identifier",
+    get: (r) => r.creator_national_identifier || "(missing creator_national_identifier)",
+  },
+  { key: "publication_id", label: "publication_id", get: (r) => r.publication_id || "(missing publication_id)" },
+  { key: "binary_id", label: "binary_id", get: (r) => r.binary_id || "(missing binary_id)" },
+  { key: "source_file", label: "source_file", get: (r) => r.source_file || "(missing source_file)" },
+];
+
+// Multilingual texts (<values><value lang="…">) yield their first value; plain elements their own text.
+function multilingualText(el) {
+  if (!el) return "";
+  return getText(el.getElementsByTagNameNS("*", "value")[0] || null) || getText(el);
+}
+
+function uniqueTexts(texts) {
+  return Array.from(new Set(texts.filter(Boolean))).join("; ");
+}
+
+function situationRecordRow(record, situation) {
+  const validity = record.getElementsByTagNameNS("*", "validity")[0] || null;
+  const comments = Array.from(record.getElementsByTagNameNS("*", "generalPublicComment")).map((c) =>
+    multilingualText(c.getElementsByTagNameNS("*", "comment")[0] || c),
+  );
+  const descriptors = ["descriptor", "alertCLocationName", "areaName"].flatMap((name) =>
+    Array.from(record.getElementsByTagNameNS("*", name)).map(multilingualText),
+  );
+
+  return {
+    situation_id: situation ? situation.getAttribute("id") || "" : "",
+    situation_version: situation ? situation.getAttribute("version") || "" : "",
+    situation_record_id: record.getAttribute("id") || "",
+    situation_record_version: record.getAttribute("version") || "",
+    record_type: (record.getAttribute("xsi:type") || "").replace(/^.*:/, ""),
+    validity_status: validity ? firstDescendantText(validity, ["validityStatus"]) : "",
+    validity_start: validity ? firstDescendantText(validity, ["overallStartTime"]) : "",
+    validity_end: validity ? firstDescendantText(validity, ["overallEndTime"]) : "",
+    severity: childText(record, ["severity"]) || (situation ? childText(situation, ["overallSeverity"]) : ""),
+    road_number: uniqueTexts(Array.from(record.getElementsByTagNameNS("*", "roadNumber")).map(getText)),
+    road_name: uniqueTexts(Array.from(record.getElementsByTagNameNS("*", "roadName")).map(multilingualText)),
+    location_descriptors: uniqueTexts(descriptors),
+    latitude: firstDescendantText(record, ["latitude"]),
+    longitude: firstDescendantText(record, ["longitude"]),
+    comment: uniqueTexts(comments),
+    situation_record_creation_time: childText(record, ["situationRecordCreationTime"]),
+    situation_record_version_time: childText(record, ["situationRecordVersionTime"]),
+  };
+}
+
+function extractSituationPublication(doc, { binaryId, sourceFile = "" }) {
+  const rows = [];
+  for (const payload of Array.from(doc.getElementsByTagNameNS("*", "payloadPublication"))) {
+    const publicationCreator = payload.getElementsByTagNameNS("*", "publicationCreator")[0] || null;
+    const common = {
+      creator_country: getText(publicationCreator?.getElementsByTagNameNS("*", "country")[0] || null),
+      creator_national_identifier: getText(
+        publicationCreator?.getElementsByTagNameNS("*", "nationalIdentifier")[0] || null,
+      ),
+      publication_id: payload.getAttribute("id") || "",
+      publication_type: payload.getAttribute("xsi:type") || "",
+      binary_id: binaryId,
+      source_file: sourceFile,
+    };
+
+    for (const record of Array.from(payload.getElementsByTagNameNS("*", "situationRecord"))) {
+      let situation = record.parentNode;
+      while (situation && situation.localName !== "situation") situation = situation.parentNode;
+      rows.push({ ...situationRecordRow(record, situation), ...common });
+    }
+  }
+  return rows.length ? rows : null;
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Snapshot comparison
+//
+// What changed between two decodes of the same feed. Prices are compared per station_id and raw fuel, the keys
+// extractFuelPricePublication writes, using the latest observation of each in either snapshot; a station is new or
+// disappeared by its fuel rows. overrideOpen periods are matched per station on their start.
+// ---------------------------------------------------------------------------------------------------------------------
+
+const snapshotDiffColumns = [
+  "change",
+  "station_id",
+  "fuel",
+  "fuel_canonical",
+  "old_price",
+  "new_price",
+  "delta",
+  "old_date_of_price",
+  "new_date_of_price",
+  "old_start_of_period",
+  "old_end_of_period",
+  "new_start_of_period",
+  "new_end_of_period",
+  "detail",
+];
+
+const snapshotDiffColumnTypes = { old_price: "double", new_price: "double", delta: "double" };
+
+const snapshotChangeTypes = [
+  { key: "new_station", label: "New stations" },
+  { key: "disappeared_station", label: "Disappeared stations" },
+  { key: "price_changed", label: "Price changes" },
+  { key: "fuel_added", label: "Fuels added" },
+  { key: "fuel_removed", label: "Fuels removed" },
+  { key: "override_added", label: "Override periods added" },
+  { key: "override_removed", label: "Override periods removed" },
+  { key: "override_changed", label: "Override periods changed" },
+];
+
+const stationFuelKey = (r) => `${r.station_id}\u0000${r.fuel}`;
+
+// Later observation first by instant, by date_of_price text when either doesn't parse.
+function compareObservations(a, b, timeZone) {
+  const ma = priceObservationMs(a, timeZone);
+  const mb = priceObservationMs(b, timeZone);
+  if (Number.isFinite(ma) && Number.isFinite(mb)) return ma - mb;
+  return String(a.date_of_price || "").localeCompare(String(b.date_of_price || ""));
+}
+
+function latestByStationFuel(fuelRows, timeZone) {
+  const latest = new Map();
+  for (const r of fuelRows) {
+    if (!r.station_id) continue;
+    const key = stationFuelKey(r);
+    const previous = latest.get(key);
+    if (!previous || compareObservations(r, previous, timeZone) > 0) latest.set(key, r);
+  }
+  return latest;
+}
+
+// baseline/current: { fuelRows, overrideRows } (raw rows). Returns { rows, counts: { changeKey: n }, unchangedPrices }.
+// Timestamps without an offset are read in timeZone (see priceObservationMs).
+function compareSnapshots(baseline, current, { timeZone = "UTC" } = {}) {
+  const rows = [];
+  const change = (key, fields) =>
+    rows.push({ ...Object.fromEntries(snapshotDiffColumns.map((c) => [c, ""])), change: key, ...fields });
+  const stationsOf = (fuelRows) => new Set(fuelRows.map((r) => r.station_id).filter(Boolean));
+  const fuelsOf = (latest, stationId) =>
+    Array.from(latest.values())
+      .filter((r) => r.station_id === stationId)
+      .map((r) => r.fuel)
+      .sort();
+
+  const oldStations = stationsOf(baseline.fuelRows);
+  const newStations = stationsOf(current.fuelRows);
+  const oldLatest = latestByStationFuel(baseline.fuelRows, timeZone);
+  const newLatest = latestByStationFuel(current.fuelRows, timeZone);
+
+  for (const id of Array.from(newStations).filter((id) => !oldStations.has(id)).sort()) {
+    change("new_station", { station_id: id, detail: fuelsOf(newLatest, id).join(", ") });
+  }
+  for (const id of Array.from(oldStations).filter((id) => !newStations.has(id)).sort()) {
+    change("disappeared_station", { station_id: id, detail: fuelsOf(oldLatest, id).join(", ") });
+  }
+
+  let unchangedPrices = 0;
+  const keys = Array.from(new Set([...oldLatest.keys(), ...newLatest.keys()])).sort();
+  for (const key of keys) {
+    const before = oldLatest.get(key);
+    const after = newLatest.get(key);
+    const row = after || before;
+    // Fuels of new or disappeared stations are already listed with the station.
+    if (!oldStations.has(row.station_id) || !newStations.has(row.station_id)) continue;
+    const fields = { station_id: row.station_id, fuel: row.fuel, fuel_canonical: row.fuel_canonical || "" };
+    if (!before) {
+      change("fuel_added", { ...fields, new_price: after.price, new_date_of_price: after.date_of_price });
+      continue;
+    }
+    if (!after) {
+      change("fuel_removed", { ...fields, old_price: before.price, old_date_of_price: before.date_of_price });
+      continue;
+    }
+    const oldValue = parsePriceValue(before.price).value;
+    const newValue = parsePriceValue(after.price).value;
+    const same = oldValue !== null && newValue !== null ? oldValue === newValue : String(before.price).trim() === String(after.price).trim();
+    if (same) {
+      unchangedPrices++;
+      continue;
+    }
+    change("price_changed", {
+      ...fields,
+      old_price: before.price,
+      new_price: after.price,
+      delta: oldValue !== null && newValue !== null ? Math.round((newValue - oldValue) * 1e6) / 1e6 : "",
+      old_date_of_price: before.date_of_price,
+      new_date_of_price: after.date_of_price,
+    });
+  }
+
+  const periodsByStation = (overrideRows) => {
+    const byStation = groupBy(overrideRows, (r) => r.station_id || "");
+    for (const [id, periods] of byStation) {
+      // The same period repeated in several publications counts once.
+      byStation.set(id, Array.from(new Map(periods.map((r) => [`${r.start_of_period}\u0000${r.end_of_period}`, r])).values()));
+    }
+    return byStation;
+  };
+  const oldPeriods = periodsByStation(baseline.overrideRows);
+  const newPeriods = periodsByStation(current.overrideRows);
+  for (const id of Array.from(new Set([...oldPeriods.keys(), ...newPeriods.keys()])).sort()) {
+    const before = oldPeriods.get(id) || [];
+    const after = newPeriods.get(id) || [];
+    const same = (a, b) => a.start_of_period === b.start_of_period && a.end_of_period === b.end_of_period;
+    const removed = before.filter((a) => !after.some((b) => same(a, b)));
+    const added = after.filter((b) => !before.some((a) => same(a, b)));
+    for (const a of removed) {
+      const b = added.find((p) => p.start_of_period === a.start_of_period);
+      const old = { old_start_of_period: a.start_of_period, old_end_of_period: a.end_of_period };
+      if (!b) {
+        change("override_removed", { station_id: id, ...old });
+        continue;
+      }
+      added.splice(added.indexOf(b), 1);
+      change("override_changed", { station_id: id, ...old, new_start_of_period: b.start_of_period, new_end_of_period: b.end_of_period });
+    }
+    for (const b of added) {
+      change("override_added", { station_id: id, new_start_of_period: b.start_of_period, new_end_of_period: b.end_of_period });
+    }
+  }
+
+  const order = snapshotChangeTypes.map((t) => t.key);
+  rows.sort((a, b) => order.indexOf(a.change) - order.indexOf(b.change) || a.station_id.localeCompare(b.station_id));
+  const counts = Object.fromEntries(order.map((key) => [key, rows.filter((r) => r.change === key).length]));
+  return { rows, counts, unchangedPrices };
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Data quality
+// ---------------------------------------------------------------------------------------------------------------------
+
+const qualityReportColumns = [
+  "check",
+  "station_id",
+  "fuel",
+  "date_of_price",
+  "start_of_period",
+  "end_of_period",
+  "value",
+  "detail",
+  "binary_id",
+  "source_file",
+];
+
+const qualityChecks = [
+  { key: "missing_price", label: "Missing price", description: "Fuel price element without a price value." },
+  { key: "unparsable_price", label: "Unparsable price", description: "Price text that is not a number." },
+  { key: "implausible_price", label: "Implausible price", description: "Price outside the plausible range." },
+  {
+    key: "conflicting_duplicate",
+    label: "Conflicting duplicates",
+    description: "Same station, fuel and timestamp with different prices.",
+  },
+  {
+    key: "stale_station",
+    label: "Stale station",
+    description: "Latest price of a station is older than the threshold, measured from the newest price in the data.",
+  },
+  { key: "override_end_before_start", label: "Override ends before start", description: "overrideOpen period with end < start." },
+];
+
+const defaultQualityOptions = { minPrice: 0.5, maxPrice: 4, staleHours: 24 };
+
+// Works on raw (not normalised) rows; returns { issues, counts: { checkKey: n }, newestPrice }. Timestamps without an
+// offset are read in options.timeZone (default UTC).
+function buildQualityReport(fuelRows, overrideRows, options = {}) {
+  const { minPrice, maxPrice, staleHours, timeZone = "UTC" } = { ...defaultQualityOptions, ...options };
+  const issues = [];
+  const issue = (check, row, fields) =>
+    issues.push({
+      check,
+      station_id: row.station_id || "",
+      fuel: "",
+      date_of_price: "",
+      start_of_period: "",
+      end_of_period: "",
+      value: "",
+      detail: "",
+      binary_id: row.binary_id || "",
+      source_file: row.source_file || "",
+      ...fields,
+    });
+
+  for (const r of fuelRows) {
+    const raw = String(r.price === null || r.price === undefined ? "" : r.price).trim();
+    const at = { fuel: r.fuel, date_of_price: r.date_of_price, value: raw };
+    if (!raw) {
+      issue("missing_price", r, at);
+      continue;
+    }
+    const { value } = parsePriceValue(raw);
+    if (value === null) issue("unparsable_price", r, at);
+    else if (value < minPrice || value > maxPrice) {
+      issue("implausible_price", r, { ...at, detail: `outside ${minPrice} – ${maxPrice}` });
+    }
+  }
+
+  // Timestamps compare as instants where they parse, so "09:00+01:00" and "08:00Z" are the same observation.
+  const instant = (text) => {
+    const ms = parseTimestampInZone(text, timeZone);
+    return Number.isFinite(ms) ? ms : null;
+  };
+  const byObservation = groupBy(fuelRows, (r) =>
+    [r.station_id, r.fuel, instant(r.date_of_price) ?? r.date_of_price].join("\u0000"),
+  );
+  for (const rows of byObservation.values()) {
+    const prices = Array.from(new Set(rows.map((r) => String(r.price || "").trim())));
+    if (prices.length < 2) continue;
+    const first = rows[0];
+    issue("conflicting_duplicate", first, {
+      fuel: first.fuel,
+      date_of_price: first.date_of_price,
+      value: prices.join(" | "),
+      detail: `${rows.length} rows from ${Array.from(new Set(rows.map((r) => r.source_file || r.binary_id))).join(", ")}`,
+    });
+  }
+
+  let newest = null;
+  const latestByStation = new Map();
+  for (const r of fuelRows) {
+    const ms = instant(r.date_of_price);
+    if (ms === null) continue;
+    if (newest === null || ms > newest.ms) newest = { ms, text: r.date_of_price };
+    const latest = latestByStation.get(r.station_id);
+    if (!latest || ms > latest.ms) latestByStation.set(r.station_id, { ms, row: r });
+  }
+  if (newest) {
+    for (const { ms, row } of latestByStation.values()) {
+      const hours = (newest.ms - ms) / 3600000;
+      if (hours <= staleHours) continue;
+      issue("stale_station", row, {
+        date_of_price: row.date_of_price,
+        value: hours.toFixed(1),
+        detail: `latest price ${hours.toFixed(1)} h before ${newest.text}`,
+      });
+    }
+  }
+
+  for (const r of overrideRows) {
+    const start = instant(r.start_of_period);
+    const end = instant(r.end_of_period);
+    if (start === null || end === null || end >= start) continue;
+    issue("override_end_before_start", r, { start_of_period: r.start_of_period, end_of_period: r.end_of_period });
+  }
+
+  const counts = {};
+  for (const check of qualityChecks) counts[check.key] = 0;
+  for (const i of issues) counts[i.check]++;
+  return { issues, counts, newestPrice: newest ? newest.text : "" };
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Parquet export
+//
+// A small writer for flat tables: one row group per `rowGroupSize` rows and one uncompressed PLAIN data page (v1) per
+// column chunk. Every column is OPTIONAL, so empty cells and values that don't parse become nulls. Column types are
+// "string" (UTF8), "double", "int64" and "timestamp" (INT64 milliseconds, UTC); file metadata is Thrift compact.
+// ---------------------------------------------------------------------------------------------------------------------
+
+// Growable little-endian byte buffer.
+class ByteBuffer {
+  constructor(capacity = 1024) {
+    this.buf = new Uint8Array(capacity);
+    this.view = new DataView(this.buf.buffer);
+    this.length = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n <= this.buf.length) return;
+    const next = new Uint8Array(Math.max(this.buf.length * 2, this.length + n));
+    next.set(this.buf.subarray(0, this.length));
+    this.buf = next;
+    this.view = new DataView(next.buffer);
+  }
+
+  byte(b) {
+    this.reserve(1);
+    this.buf[this.length++] = b;
+  }
+
+  bytes(bytes) {
+    this.reserve(bytes.length);
+    this.buf.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  // Unsigned LEB128; exact for integers up to 2^53.
+  varint(n) {
+    while (n >= 0x80) {
+      this.byte((n % 0x80) | 0x80);
+      n = Math.floor(n / 0x80);
+    }
+    this.byte(n);
+  }
+
+  int32(n) {
+    this.reserve(4);
+    this.view.setInt32(this.length, n, true);
+    this.length += 4;
+  }
+
+  int64(n) {
+    this.reserve(8);
+    this.view.setBigInt64(this.length, BigInt(n), true);
+    this.length += 8;
+  }
+
+  float64(n) {
+    this.reserve(8);
+    this.view.setFloat64(this.length, n, true);
+    this.length += 8;
+  }
+
+  toBytes() {
+    return this.buf.slice(0, this.length);
+  }
+}
+
+const parquetColumnTypes = ["string", "double", "int64", "timestamp"];
+
+const thriftTypeCodes = { bool: 1, i32: 5, i64: 6, binary: 8, list: 9, struct: 12 };
+
+const zigzag = (n) => (n >= 0 ? n * 2 : -n * 2 - 1);
+
+// Structs are lists of [fieldId, type, value, listElementType]; fields whose value is undefined are skipped.
+function writeThriftStruct(out, fields) {
+  let lastId = 0;
+  for (const [id, type, value, elementType] of fields) {
+    if (value === undefined) continue;
+    const code = type === "bool" ? (value ? 1 : 2) : thriftTypeCodes[type];
+    if (id > lastId && id - lastId <= 15) out.byte(((id - lastId) << 4) | code);
+    else {
+      out.byte(code);
+      out.varint(zigzag(id));
+    }
+    if (type !== "bool") writeThriftValue(out, type, value, elementType);
+    lastId = id;
+  }
+  out.byte(0);
+}
+
+function writeThriftValue(out, type, value, elementType) {
+  if (type === "i32" || type === "i64") out.varint(zigzag(value));
+  else if (type === "binary") {
+    const bytes = new TextEncoder().encode(value);
+    out.varint(bytes.length);
+    out.bytes(bytes);
+  } else if (type === "struct") writeThriftStruct(out, value);
+  else if (type === "list") {
+    const code = thriftTypeCodes[elementType];
+    if (value.length < 15) out.byte((value.length << 4) | code);
+    else {
+      out.byte(0xf0 | code);
+      out.varint(value.length);
+    }
+    for (const v of value) writeThriftValue(out, elementType, v);
+  }
+}
+
+// Parquet physical type, converted type and logical type per column type.
+const parquetTypeInfo = {
+  string: { physical: 6, converted: 0, logical: [[1, "struct", []]] },
+  double: { physical: 5 },
+  int64: { physical: 2 },
+  timestamp: { physical: 2, converted: 9, logical: [[8, "struct", [[1, "bool", true], [2, "struct", [[1, "struct", []]]]]]] },
+};
+
+function parquetValue(type, value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (type === "string") return String(value);
+  if (type === "timestamp") {
+    // Raw timestamps without an offset are UTC, as everywhere while normalisation is off; normalised rows carry one.
+    const ms = typeof value === "number" ? value : parseTimestampInZone(value);
+    return Number.isFinite(ms) ? Math.trunc(ms) : null;
+  }
+  const n = typeof value === "number" ? value : Number(String(value).trim().replace(",", "."));
+  if (!Number.isFinite(n)) return null;
+  return type === "int64" ? Math.trunc(n) : n;
+}
+
+// Definition levels (1 = value present) as bit-packed runs of width 1, then the present values, PLAIN encoded.
+function parquetDataPage(values, type) {
+  const levels = new ByteBuffer(Math.ceil(values.length / 8) + 8);
+  const groups = Math.ceil(values.length / 8);
+  levels.varint(groups * 2 + 1);
+  for (let g = 0; g < groups; g++) {
+    let bits = 0;
+    for (let i = 0; i < 8; i++) {
+      if (values[g * 8 + i] !== null && values[g * 8 + i] !== undefined) bits |= 1 << i;
+    }
+    levels.byte(bits);
+  }
+
+  const page = new ByteBuffer(levels.length + values.length * 8 + 4);
+  page.int32(levels.length);
+  page.bytes(levels.toBytes());
+  const encoder = new TextEncoder();
+  for (const value of values) {
+    if (value === null) continue;
+    if (type === "string") {
+      const bytes = encoder.encode(value);
+      page.int32(bytes.length);
+      page.bytes(bytes);
+    } else if (type === "double") page.float64(value);
+    else page.int64(value);
+  }
+  return page.toBytes();
+}
+
+// columnTypes: { column: "double" | "int64" | "timestamp" | "string" }; unlisted columns are strings.
+function rowsToParquet(rows, columns, columnTypes = {}, { rowGroupSize = 100000 } = {}) {
+  const types = columns.map((c) => {
+    const type = columnTypes[c] || "string";
+    if (!parquetColumnTypes.includes(type)) throw new Error(`Unknown Parquet column type “${type}” for ${c}.`);
+    return type;
+  });
+  const magic = new TextEncoder().encode("PAR1");
+  const out = new ByteBuffer(64 * 1024);
+  out.bytes(magic);
+
+  const rowGroups = [];
+  for (let start = 0; start < rows.length; start += rowGroupSize) {
+    const slice = rows.slice(start, start + rowGroupSize);
+    const groupOffset = out.length;
+    const chunks = columns.map((column, i) => {
+      const values = slice.map((r) => parquetValue(types[i], r[column]));
+      const data = parquetDataPage(values, types[i]);
+      const offset = out.length;
+      writeThriftStruct(out, [
+        [1, "i32", 0],
+        [2, "i32", data.length],
+        [3, "i32", data.length],
+        [5, "struct", [[1, "i32", values.length], [2, "i32", 0], [3, "i32", 3], [4, "i32", 3]]],
+      ]);
+      out.bytes(data);
+      const size = out.length - offset;
+      return [
+        [2, "i64", offset],
+        [
+          3,
+          "struct",
+          [
+            [1, "i32", parquetTypeInfo[types[i]].physical],
+            [2, "list", [0, 3], "i32"],
+            [3, "list", [column], "binary"],
+            [4, "i32", 0],
+            [5, "i64", values.length],
+            [6, "i64", size],
+            [7, "i64", size],
+            [9, "i64", offset],
+          ],
+        ],
+      ];
+    });
+    const groupSize = out.length - groupOffset;
+    rowGroups.push([
+      [1, "list", chunks, "struct"],
+      [2, "i64", groupSize],
+      [3, "i64", slice.length],
+      [5, "i64", groupOffset],
+      [6, "i64", groupSize],
+    ]);
+  }
+
+  const schema = [
+    [
+      [4, "binary", "schema"],
+      [5, "i32", columns.length],
+    ],
+    ...columns.map((column, i) => {
+      const info = parquetTypeInfo[types[i]];
+      return [
+        [1, "i32", info.physical],
+        [3, "i32", 1],
+        [4, "binary", column],
+        [6, "i32", info.converted],
+        [10, "struct", info.logical],
+      ];
+    }),
+  ];
+  const metaStart = out.length;
+  writeThriftStruct(out, [
+    [1, "i32", 1],
+    [2, "list", schema, "struct"],
+    [3, "i64", rows.length],
+    [4, "list", rowGroups, "struct"],
+    [6, "binary", "mobilithek-to-csv"],
+  ]);
+  out.int32(out.length - metaStart);
+  out.bytes(magic);
+  return out.toBytes();
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Excel workbooks
+//
+// A sheet is { name, columns, rows, columnTypes } with the same column types as the Parquet export: "double" and
+// "int64" become numeric cells, "timestamp" date cells (the wall-clock time as written in the data, since Excel has no
+// time zones) and everything else inline strings. Values that don't parse stay as text.
+// ---------------------------------------------------------------------------------------------------------------------
+
+const xlsxMaxRows = 1048576;
+
+function xmlText(value) {
+  return String(value)
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+// 0 → A, 25 → Z, 26 → AA.
+function xlsxColumnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// "2025-01-01T09:00:00+01:00" → serial day number of 2025-01-01 09:00 (1900 date system); null when it doesn't parse.
+function excelDateSerial(value) {
+  let ms;
+  if (typeof value === "number") ms = value;
+  else {
+    const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?/.exec(String(value).trim());
+    if (!m) return null;
+    ms = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), Math.round(Number(m[7] || 0) * 1000));
+  }
+  return Number.isFinite(ms) ? ms / 86400000 + 25569 : null;
+}
+
+// Excel forbids []:*?/\ in sheet names, limits them to 31 characters and compares them case-insensitively.
+function xlsxSheetNames(names) {
+  const used = new Set();
+  return names.map((raw) => {
+    const base = String(raw || "").replace(/[[\]:*?/\\]/g, "_").replace(/^'+|'+$/g, "").trim().slice(0, 31) || "Sheet";
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 31 - ` (${n})`.length)} (${n})`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function xlsxCell(ref, type, value) {
+  if (value === null || value === undefined || value === "") return "";
+  if (type === "timestamp") {
+    const serial = excelDateSerial(value);
+    if (serial !== null) return `<c r="${ref}" s="1"><v>${serial}</v></c>`;
+  } else if (type === "double" || type === "int64") {
+    const n = parquetValue(type, value);
+    if (n !== null) return `<c r="${ref}"><v>${n}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+}
+
+function xlsxWorksheet({ columns, rows, columnTypes = {} }) {
+  if (rows.length + 1 > xlsxMaxRows) throw new Error(`Too many rows for one Excel sheet (${rows.length}).`);
+  const types = columns.map((c) => columnTypes[c] || "string");
+  const refs = columns.map((_, i) => xlsxColumnName(i));
+
+  // Widths from the header and the first rows; date cells need room for "yyyy-mm-dd hh:mm:ss".
+  const widths = columns.map((c, i) => {
+    let width = types[i] === "timestamp" ? 19 : String(c).length;
+    for (const r of rows.slice(0, 200)) width = Math.max(width, String(r[c] ?? "").length);
+    return Math.min(60, width + 2);
+  });
+
+  const lines = [
+    `<row r="1">${columns.map((c, i) => `<c r="${refs[i]}1" s="2" t="inlineStr"><is><t>${xmlText(c)}</t></is></c>`).join("")}</row>`,
+  ];
+  rows.forEach((r, index) => {
+    const n = index + 2;
+    lines.push(`<row r="${n}">${columns.map((c, i) => xlsxCell(`${refs[i]}${n}`, types[i], r[c])).join("")}</row>`);
+  });
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+    `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join("")}</cols>` +
+    `<sheetData>${lines.join("")}</sheetData></worksheet>`
+  );
+}
+
+const xlsxStyles =
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+  `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+  `<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>` +
+  `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+  `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+  `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+  `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+  `<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+  `<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+  `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>` +
+  `<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`;
+
+// sheets: [{ name, columns, rows, columnTypes }] in tab order; names are made valid and unique.
+async function rowsToXlsx(sheets) {
+  if (sheets.length === 0) throw new Error("A workbook needs at least one sheet.");
+  const names = xlsxSheetNames(sheets.map((s) => s.name));
+  const main = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+  const rel = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  const xmlHeader = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n`;
+
+  const contentTypes =
+    `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+    `<Default Extension="xml" ContentType="application/xml"/>` +
+    `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+    `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+    names
+      .map(
+        (_, i) =>
+          `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`,
+      )
+      .join("") +
+    `</Types>`;
+  const rootRels =
+    `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+  const workbook =
+    `${xmlHeader}<workbook xmlns="${main}" xmlns:r="${rel}"><sheets>` +
+    names.map((name, i) => `<sheet name="${xmlText(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+    `</sheets></workbook>`;
+  const workbookRels =
+    `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    names.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${rel}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("") +
+    `<Relationship Id="rId${names.length + 1}" Type="${rel}/styles" Target="styles.xml"/></Relationships>`;
+
+  return createZipBytes([
+    { name: "[Content_Types].xml", data: contentTypes },
+    { name: "_rels/.rels", data: rootRels },
+    { name: "xl/workbook.xml", data: workbook },
+    { name: "xl/_rels/workbook.xml.rels", data: workbookRels },
+    { name: "xl/styles.xml", data: xlsxStyles },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xlsxWorksheet(sheet) })),
+  ]);
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// SQLite export
+//
+// Writes a database file (format 3, 4096-byte pages, UTF-8) directly: every table is a rowid b-tree and every index an
+// index b-tree, both built bottom-up from sorted records, with overflow pages for records too large for one cell. No
+// SQL engine is involved, so the schema is described as data (see sessionToSqlite) and indexes are filled here too.
+// ---------------------------------------------------------------------------------------------------------------------
+
+const sqlitePageSize = 4096;
+const sqliteMaxLocal = { table: sqlitePageSize - 35, index: Math.floor(((sqlitePageSize - 12) * 64) / 255) - 23 };
+const sqliteMinLocal = Math.floor(((sqlitePageSize - 12) * 32) / 255) - 23;
+
+function sqliteVarint(n) {
+  if (n < 0x80) return [n];
+  const bytes = [];
+  for (let rest = n; rest > 0; rest = Math.floor(rest / 0x80)) bytes.unshift(rest % 0x80);
+  return bytes.map((b, i) => (i < bytes.length - 1 ? b | 0x80 : b));
+}
+
+function concatByteArrays(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+const uint32Bytes = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+
+// Stored value for a column type: null, a number or a string (numbers in TEXT columns become text, as SQLite would).
+function sqliteValue(value, type) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (type === "TEXT") return String(value);
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const n = Number(value);
+  if (String(value).trim() && Number.isFinite(n) && (type === "REAL" || Number.isSafeInteger(n))) return n;
+  return String(value);
+}
+
+// Record format: header (size, one serial type per value) then the values. REAL columns always store 8-byte floats.
+function sqliteRecord(values, types) {
+  const encoder = new TextEncoder();
+  const serials = [];
+  const bodies = [];
+  values.forEach((value, i) => {
+    if (value === null) serials.push(0);
+    else if (typeof value === "string") {
+      const bytes = encoder.encode(value);
+      serials.push(bytes.length * 2 + 13);
+      bodies.push(bytes);
+    } else if (types[i] === "REAL" || !Number.isSafeInteger(value)) {
+      const body = new Uint8Array(8);
+      new DataView(body.buffer).setFloat64(0, value);
+      serials.push(7);
+      bodies.push(body);
+    } else if (value === 0 || value === 1) serials.push(8 + value);
+    else {
+      const [serial, size] = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]].find(([, size]) => {
+        const limit = 2 ** (size * 8 - 1);
+        return value >= -limit && value < limit;
+      });
+      const body = new Uint8Array(8);
+      new DataView(body.buffer).setBigInt64(0, BigInt(value));
+      serials.push(serial);
+      bodies.push(body.subarray(8 - size));
+    }
+  });
+  const serialBytes = serials.flatMap(sqliteVarint);
+  let headerSize = serialBytes.length + 1;
+  while (sqliteVarint(headerSize).length + serialBytes.length > headerSize) headerSize++;
+  return concatByteArrays([Uint8Array.from([...sqliteVarint(headerSize), ...serialBytes]), ...bodies]);
+}
+
+// UTF-16 code unit order differs from UTF-8 byte order (SQLite's BINARY collation) only around surrogates.
+function compareUtf8Strings(a, b) {
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    let x = a.charCodeAt(i);
+    let y = b.charCodeAt(i);
+    if (x === y) continue;
+    x = x >= 0xd800 && x <= 0xdfff ? x + 0x2000 : x >= 0xe000 ? x - 0x800 : x;
+    y = y >= 0xd800 && y <= 0xdfff ? y + 0x2000 : y >= 0xe000 ? y - 0x800 : y;
+    return x - y;
+  }
+  return a.length - b.length;
+}
+
+// NULL < numbers < text, as in SQLite.
+function compareSqliteValues(a, b) {
+  const rank = (v) => (v === null ? 0 : typeof v === "number" ? 1 : 2);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (a === null) return 0;
+  if (typeof a === "number") return a - b;
+  return compareUtf8Strings(a, b);
+}
+
+class SqlitePageWriter {
+  constructor() {
+    this.pages = [null, null]; // page numbers start at 1; page 1 (header + schema) is written last
+  }
+
+  allocate() {
+    this.pages.push(null);
+    return this.pages.length - 1;
+  }
+
+  // The cell's payload part: the local bytes plus, when the record spills, the first overflow page number.
+  spill(payload, maxLocal) {
+    if (payload.length <= maxLocal) return payload;
+    const usable = sqlitePageSize - 4;
+    const k = sqliteMinLocal + ((payload.length - sqliteMinLocal) % usable);
+    const local = k <= maxLocal ? k : sqliteMinLocal;
+    const chain = Array.from({ length: Math.ceil((payload.length - local) / usable) }, () => this.allocate());
+    chain.forEach((no, i) => {
+      const page = new Uint8Array(sqlitePageSize);
+      page.set(uint32Bytes(i + 1 < chain.length ? chain[i + 1] : 0));
+      page.set(payload.subarray(local + i * usable, local + (i + 1) * usable), 4);
+      this.pages[no] = page;
+    });
+    return concatByteArrays([payload.subarray(0, local), Uint8Array.from(uint32Bytes(chain[0]))]);
+  }
+
+  writePage(no, type, cells, rightChild) {
+    const page = new Uint8Array(sqlitePageSize);
+    const view = new DataView(page.buffer);
+    const offset = no === 1 ? 100 : 0;
+    const headerSize = rightChild === undefined ? 8 : 12;
+    let content = sqlitePageSize;
+    cells.forEach((cell, i) => {
+      content -= cell.length;
+      page.set(cell, content);
+      view.setUint16(offset + headerSize + i * 2, content);
+    });
+    if (offset + headerSize + cells.length * 2 > content) throw new Error("SQLite page overflow.");
+    page[offset] = type;
+    view.setUint16(offset + 3, cells.length);
+    view.setUint16(offset + 5, content);
+    if (rightChild !== undefined) view.setUint32(offset + 8, rightChild);
+    this.pages[no] = page;
+  }
+
+  // rows: [{ rowid, payload }] in rowid order. Returns the root page (rootPage when given, e.g. 1 for the schema).
+  tableBtree(rows, rootPage = 0) {
+    const capacity = sqlitePageSize - (rootPage === 1 ? 100 : 0) - 8;
+    const leaves = [];
+    let current = { cells: [], size: 0, maxKey: 0 };
+    for (const { rowid, payload } of rows) {
+      const cell = concatByteArrays([
+        Uint8Array.from([...sqliteVarint(payload.length), ...sqliteVarint(rowid)]),
+        this.spill(payload, sqliteMaxLocal.table),
+      ]);
+      if (current.cells.length && current.size + cell.length + 2 > capacity) {
+        leaves.push(current);
+        current = { cells: [], size: 0, maxKey: 0 };
+      }
+      current.cells.push(cell);
+      current.size += cell.length + 2;
+      current.maxKey = rowid;
+    }
+    leaves.push(current);
+
+    if (leaves.length === 1) {
+      const root = rootPage || this.allocate();
+      this.writePage(root, 0x0d, leaves[0].cells);
+      return root;
+    }
+    let level = leaves.map((leaf) => {
+      const no = this.allocate();
+      this.writePage(no, 0x0d, leaf.cells);
+      return { page: no, maxKey: leaf.maxKey };
+    });
+
+    // Interior cells are a child page number and an integer key of at most 9 bytes.
+    const perPage = Math.floor((capacity - 4) / 15) + 1;
+    while (level.length > 1) {
+      const groups = [];
+      for (let i = 0; i < level.length; i += perPage) groups.push(level.slice(i, i + perPage));
+      const last = groups[groups.length - 1];
+      if (groups.length > 1 && last.length === 1) last.unshift(groups[groups.length - 2].pop());
+      level = groups.map((group) => {
+        const no = groups.length === 1 && rootPage ? rootPage : this.allocate();
+        const cells = group
+          .slice(0, -1)
+          .map((child) => Uint8Array.from([...uint32Bytes(child.page), ...sqliteVarint(child.maxKey)]));
+        this.writePage(no, 0x05, cells, group[group.length - 1].page);
+        return { page: no, maxKey: group[group.length - 1].maxKey };
+      });
+    }
+    return level[0].page;
+  }
+
+  // payloads: index records in index order. Interior pages hold real entries, so every level promotes the record
+  // that no longer fits as the divider between two pages.
+  indexBtree(payloads) {
+    const capacity = { leaf: sqlitePageSize - 8, interior: sqlitePageSize - 12 };
+    const pack = (cells, limit) => {
+      const groups = [[]];
+      const dividers = [];
+      let size = 0;
+      for (const cell of cells) {
+        const group = groups[groups.length - 1];
+        if (group.length && size + cell.bytes.length + 2 > limit) {
+          dividers.push(cell);
+          groups.push([]);
+          size = 0;
+          continue;
+        }
+        group.push(cell);
+        size += cell.bytes.length + 2;
+      }
+      // A trailing divider would leave the last page empty: promote the previous page's last entry instead.
+      if (groups.length > 1 && groups[groups.length - 1].length === 0) {
+        groups[groups.length - 1].push(dividers.pop());
+        dividers.push(groups[groups.length - 2].pop());
+      }
+      return { groups, dividers };
+    };
+
+    const entries = payloads.map((payload) => ({
+      payload: concatByteArrays([Uint8Array.from(sqliteVarint(payload.length)), this.spill(payload, sqliteMaxLocal.index)]),
+    }));
+    const leaves = pack(entries.map((e) => ({ entry: e, bytes: e.payload })), capacity.leaf);
+    let pages = leaves.groups.map((group) => {
+      const no = this.allocate();
+      this.writePage(no, 0x0a, group.map((c) => c.bytes));
+      return no;
+    });
+    let dividers = leaves.dividers.map((c) => c.entry);
+
+    while (pages.length > 1) {
+      // Cell i points left to pages[i]; the group's right child is the page after its last cell.
+      const cells = dividers.map((entry, i) => ({
+        entry,
+        left: pages[i],
+        bytes: concatByteArrays([Uint8Array.from(uint32Bytes(pages[i])), entry.payload]),
+      }));
+      const level = pack(cells, capacity.interior);
+      pages = level.groups.map((group, g) => {
+        const no = this.allocate();
+        const right = g < level.dividers.length ? level.dividers[g].left : pages[pages.length - 1];
+        this.writePage(no, 0x02, group.map((c) => c.bytes), right);
+        return no;
+      });
+      dividers = level.dividers.map((c) => c.entry);
+    }
+    return pages[0];
+  }
+}
+
+const quoteSqlName = (name) => `"${String(name).replaceAll('"', '""')}"`;
+
+// tables: [{ name, columns: [{ name, type: "INTEGER" | "REAL" | "TEXT", primaryKey, notNull, references }], rows }]
+// with rows as arrays in column order; an INTEGER primaryKey column is the rowid. indexes: [{ name, table, columns,
+// unique }].
+function buildSqliteDatabase({ tables, indexes = [] }) {
+  const writer = new SqlitePageWriter();
+  const schema = [];
+  for (const table of tables) {
+    const types = table.columns.map((c) => c.type);
+    const pk = table.columns.findIndex((c) => c.primaryKey && c.type === "INTEGER");
+    const stored = table.rows.map((row, i) => {
+      const values = table.columns.map((c, j) => sqliteValue(row[j], c.type));
+      const rowid = pk === -1 ? i + 1 : values[pk];
+      if (!Number.isSafeInteger(rowid)) throw new Error(`${table.name}: row ${i + 1} has no integer primary key.`);
+      if (pk !== -1) values[pk] = null;
+      return { rowid, values };
+    });
+    stored.sort((a, b) => a.rowid - b.rowid);
+    const root = writer.tableBtree(stored.map((r) => ({ rowid: r.rowid, payload: sqliteRecord(r.values, types) })));
+    const columnSql = table.columns.map((c) =>
+      [quoteSqlName(c.name), c.type, c.primaryKey && "PRIMARY KEY", c.notNull && "NOT NULL", c.references && `REFERENCES ${c.references}`]
+        .filter(Boolean)
+        .join(" "),
+    );
+    schema.push(["table", table.name, table.name, root, `CREATE TABLE ${quoteSqlName(table.name)} (${columnSql.join(", ")})`]);
+
+    for (const index of indexes.filter((x) => x.table === table.name)) {
+      const positions = index.columns.map((name) => {
+        const p = table.columns.findIndex((c) => c.name === name);
+        if (p === -1) throw new Error(`Index ${index.name}: unknown column ${name}.`);
+        return p;
+      });
+      const keys = stored.map((r) => [...positions.map((p) => (p === pk ? r.rowid : r.values[p])), r.rowid]);
+      const compareKeys = (a, b, length) => {
+        for (let i = 0; i < length; i++) {
+          const d = compareSqliteValues(a[i], b[i]);
+          if (d) return d;
+        }
+        return 0;
+      };
+      keys.sort((a, b) => compareKeys(a, b, a.length));
+      if (index.unique) {
+        const n = positions.length;
+        const clash = keys.find((k, i) => i > 0 && !k.slice(0, n).includes(null) && compareKeys(k, keys[i - 1], n) === 0);
+        if (clash) throw new Error(`Index ${index.name}: duplicate value ${clash.slice(0, n).join(", ")}.`);
+      }
+      const keyTypes = [...positions.map((p) => types[p]), "INTEGER"];
+      const indexRoot = writer.indexBtree(keys.map((k) => sqliteRecord(k, keyTypes)));
+      const sql =
+        `CREATE ${index.unique ? "UNIQUE " : ""}INDEX ${quoteSqlName(index.name)} ON ${quoteSqlName(table.name)} ` +
+        `(${index.columns.map(quoteSqlName).join(", ")})`;
+      schema.push(["index", index.name, table.name, indexRoot, sql]);
+    }
+  }
+  const schemaTypes = ["TEXT", "TEXT", "TEXT", "INTEGER", "TEXT"];
+  writer.tableBtree(schema.map((values, i) => ({ rowid: i + 1, payload: sqliteRecord(values, schemaTypes) })), 1);
+
+  const pageCount = writer.pages.length - 1;
+  const out = new Uint8Array(pageCount * sqlitePageSize);
+  writer.pages.forEach((page, no) => {
+    if (no >= 1) out.set(page, (no - 1) * sqlitePageSize);
+  });
+
+  // Database header: page size, file format 1 (rollback journal), UTF-8, schema format 4.
+  const header = new DataView(out.buffer);
+  out.set(new TextEncoder().encode("SQLite format 3\u0000"));
+  header.setUint16(16, sqlitePageSize);
+  out.set([1, 1, 0, 64, 32, 32], 18);
+  header.setUint32(24, 1);
+  header.setUint32(28, pageCount);
+  header.setUint32(40, 1);
+  header.setUint32(44, 4);
+  header.setUint32(56, 1);
+  header.setUint32(92, 1);
+  header.setUint32(96, 3045000);
+  return out;
+}
+
+// The decoded session as one normalised database: binaries ← publications ← stations, fuel_prices, override_open.
+// Prices and timestamps are stored both as written in the feed and parsed (REAL price, epoch milliseconds). items: as
+// itemWithoutBytes returns them.
+function sessionToSqlite(items, extracted) {
+  const tables = extracted.tables;
+  const fuelRows = tables[fuelPriceTable.key] || [];
+  const overrideRows = tables[overrideOpenTable.key] || [];
+  const stationRows = tables[stationTable.key] || [];
+  const epochMs = (text) => normalizeTimestamp(text, "UTC").ms;
+
+  const binaryIds = new Map(items.map((item, i) => [`${item.id}\u0000${item.sourceFile || ""}`, i + 1]));
+  const binaries = items.map((item, i) => [
+    i + 1,
+    item.id,
+    item.sourceFile,
+    item.type,
+    item.archiveId,
+    item.zipEntry,
+    item.rawSize,
+    item.rawInfo ? item.rawInfo.mime : null,
+    item.decodedSize,
+    item.decodedInfo ? item.decodedInfo.mime : null,
+    item.wasGunzipped ? 1 : 0,
+    item.gunzipError,
+    item.unzipError,
+    item.error,
+  ]);
+
+  const publications = [];
+  const publicationIds = new Map();
+  const publicationOf = (r) => {
+    const fields = [r.publication_id, r.publication_type, r.creator_country, r.creator_national_identifier];
+    const key = [...fields, r.binary_id, r.source_file].join("\u0000");
+    if (!publicationIds.has(key)) {
+      publicationIds.set(key, publications.length + 1);
+      publications.push([publications.length + 1, ...fields, binaryIds.get(`${r.binary_id}\u0000${r.source_file || ""}`)]);
+    }
+    return publicationIds.get(key);
+  };
+
+  // Every station that has prices or overrides gets a row, with master data when the response carried it.
+  const master = stationLookup(stationRows);
+  const stationIds = new Set([...master.keys(), ...[...fuelRows, ...overrideRows].map((r) => r.station_id)]);
+  const stations = Array.from(stationIds)
+    .filter(Boolean)
+    .map((id, i) => {
+      const s = master.get(id);
+      if (!s) return [i + 1, id, null, null, null, null, null, null, null, null, null, null, null];
+      const fields = ["station_version", "name", "brand", "street", "house_number", "postcode", "city", "country"];
+      return [i + 1, id, ...fields.map((f) => s[f]), s.latitude, s.longitude, publicationOf(s)];
+    });
+
+  const fuelColumnNames = new Set(["id", "station_id", "station_version", "fuel", "fuel_canonical", "price", "price_text",
+    "price_unit", "currency", "date_of_price", "date_of_price_epoch_ms", "publication"]);
+  const customColumns = ((extracted.customColumns || {})[fuelPriceTable.key] || []).map((name) => ({
+    key: name,
+    name: fuelColumnNames.has(name) ? `custom_${name}` : name,
+  }));
+  const fuelPrices = fuelRows.map((r, i) => {
+    const price = parsePriceValue(r.price);
+    return [
+      i + 1,
+      r.station_id,
+      r.station_version,
+      r.fuel,
+      r.fuel_canonical,
+      price.value,
+      r.price,
+      r.price_unit || price.unit,
+      r.currency || price.currency,
+      r.date_of_price,
+      epochMs(r.date_of_price),
+      publicationOf(r),
+      ...customColumns.map((c) => r[c.key]),
+    ];
+  });
+  const overrides = overrideRows.map((r, i) => [
+    i + 1,
+    r.station_id,
+    r.station_version,
+    r.start_of_period,
+    epochMs(r.start_of_period),
+    r.end_of_period,
+    epochMs(r.end_of_period),
+    publicationOf(r),
+  ]);
+
+  const id = { name: "id", type: "INTEGER", primaryKey: true };
+  const text = (name, extra) => ({ name, type: "TEXT", ...extra });
+  const stationRef = { name: "station_id", type: "TEXT", references: "stations(station_id)" };
+  const publicationRef = { name: "publication", type: "INTEGER", references: "publications(id)" };
+  return buildSqliteDatabase({
+    tables: [
+      {
+        name: "binaries",
+        columns: [
+          id,
+          text("binary_id", { notNull: true }),
+          text("source_file"),
+          text("type"),
+          text("archive_id"),
+          text("zip_entry"),
+          { name: "raw_size", type: "INTEGER" },
+          text("raw_mime"),
+          { name: "decoded_size", type: "INTEGER" },
+          text("decoded_mime"),
+          { name: "was_gunzipped", type: "INTEGER" },
+          text("gunzip_error"),
+          text("unzip_error"),
+          text("error"),
+        ],
+        rows: binaries,
+      },
+      {
+        name: "publications",
+        columns: [
+          id,
+          text("publication_id"),
+          text("publication_type"),
+          text("creator_country"),
+          text("creator_national_identifier"),
+          { name: "binary", type: "INTEGER", references: "binaries(id)" },
+        ],
+        rows: publications,
+      },
+      {
+        name: "stations",
+        columns: [
+          id,
+          text("station_id", { notNull: true }),
+          ...["station_version", "name", "brand", "street", "house_number", "postcode", "city", "country"].map((c) => text(c)),
+          { name: "latitude", type: "REAL" },
+          { name: "longitude", type: "REAL" },
+          publicationRef,
+        ],
+        rows: stations,
+      },
+      {
+        name: "fuel_prices",
+        columns: [
+          id,
+          stationRef,
+          text("station_version"),
+          text("fuel"),
+          text("fuel_canonical"),
+          { name: "price", type: "REAL" },
+          text("price_text"),
+          text("price_unit"),
+          text("currency"),
+          text("date_of_price"),
+          { name: "date_of_price_epoch_ms", type: "INTEGER" },
+          publicationRef,
+          ...customColumns.map((c) => text(c.name)),
+        ],
+        rows: fuelPrices,
+      },
+      {
+        name: "override_open",
+        columns: [
+          id,
+          stationRef,
+          text("station_version"),
+          text("start_of_period"),
+          { name: "start_of_period_epoch_ms", type: "INTEGER" },
+          text("end_of_period"),
+          { name: "end_of_period_epoch_ms", type: "INTEGER" },
+          publicationRef,
+        ],
+        rows: overrides,
+      },
+    ],
+    indexes: [
+      { name: "stations_station_id", table: "stations", columns: ["station_id"], unique: true },
+      { name: "fuel_prices_station_time", table: "fuel_prices", columns: ["station_id", "date_of_price_epoch_ms"] },
+      { name: "fuel_prices_fuel_time", table: "fuel_prices", columns: ["fuel_canonical", "date_of_price_epoch_ms"] },
+      { name: "fuel_prices_time", table: "fuel_prices", columns: ["date_of_price_epoch_ms"] },
+      { name: "fuel_prices_publication", table: "fuel_prices", columns: ["publication"] },
+      { name: "override_open_station_time", table: "override_open", columns: ["station_id", "start_of_period_epoch_ms"] },
+    ],
+  });
+}
+
+async function decodeBytesToItem(base, rawBytes, baseName) {
+  const rawInfo = describeBytes(rawBytes);
+
+  let gunzippedBytes = null;
+  let gunzipError = null;
+  if (looksGzip(rawBytes)) {
+    try {
+      gunzippedBytes = await gunzipBytes(rawBytes);
+    } catch (e) {
+      gunzipError = e && e.message ? e.message : "Failed to gunzip.";
+    }
+  }
+
+  const decodedBytes = gunzippedBytes || rawBytes;
+  const decodedInfo = describeBytes(decodedBytes);
+
+  return {
+    ...base,
+    wasGunzipped: Boolean(gunzippedBytes),
+    rawBytes,
+    rawInfo,
+    decodedBytes,
+    decodedInfo,
+    rawFilename: `${baseName}.${rawInfo.ext}`,
+    decodedFilename: `${baseName}.${decodedInfo.ext}`,
+    gunzipError,
+    preview: makePreview(decodedBytes),
+  };
+}
+
+class DecodeCancelledError extends Error {
+  constructor() {
+    super("Decode cancelled.");
+    this.name = "DecodeCancelledError";
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw new DecodeCancelledError();
+}
+
+// onProgress({ stage, done, total, id }) is awaited, so callers on the main thread can yield to the UI.
+async function decodeXmlToItems(xmlText, { onProgress, signal } = {}) {
+  const bins = extractBinaryItems(xmlText);
+  const out = [];
+  for (const bin of bins) {
+    throwIfAborted(signal);
+    if (onProgress) await onProgress({ stage: "decode", done: bin.index, total: bins.length, id: bin.id });
+    if (!bin.base64) {
+      out.push({ ...bin, error: "Empty <binary> content." });
+      continue;
+    }
+    try {
+      const rawBytes = base64ToBytes(bin.base64);
+      const item = await decodeBytesToItem(bin, rawBytes, safeFileName(`${bin.id}_${bin.type}`));
+      out.push(item);
+
+      if (!looksZip(rawBytes)) continue;
+      let entries;
+      try {
+        entries = await unzipBytes(rawBytes);
+      } catch (e) {
+        item.unzipError = e && e.message ? e.message : "Failed to unzip.";
+        continue;
+      }
+      item.zipEntryCount = entries.length;
+      for (const entry of entries) {
+        const base = {
+          index: bin.index,
+          id: `${bin.id}/${entry.name}`,
+          type: bin.type,
+          archiveId: bin.id,
+          zipEntry: entry.name,
+        };
+        const entryName = entry.name.replace(/(\.(xml|gz|zip|txt|csv|json|bin))+$/i, "");
+        try {
+          out.push(await decodeBytesToItem(base, entry.bytes, safeFileName(`${bin.id}_${entryName}`)));
+        } catch (e) {
+          out.push({ ...base, error: e && e.message ? e.message : "Failed to decode ZIP entry." });
+        }
+      }
+    } catch (e) {
+      out.push({ ...bin, error: e && e.message ? e.message : "Failed to decode." });
+    }
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Publication extractors
+//
+// Each extractor declares the DATEX II publication types (xsi:type / extensionName local names) it handles and the
+// tables it produces. A table describes one row schema: its CSV columns and file names, the column that orders it in
+// time, how duplicates are recognised, the Parquet types of its non-string columns and, optionally, the grouping keys
+// and wide pivot the page offers for it.
+// ---------------------------------------------------------------------------------------------------------------------
+
+const fuelPriceTable = {
+  key: "fuelPrices",
+  label: "Fuel prices (time series)",
+  statusLabel: "Fuel rows",
+  idPrefix: "fuel",
+  columns: fuelLongColumns,
+  filePrefix: "fuel_prices",
+  allFilename: "fuel_prices_long.csv",
+  sortColumn: "date_of_price",
+  timeColumn: "date_of_price",
+  dedupeKey: (r) => [r.station_id, r.fuel, r.price, r.date_of_price].join("\u0000"),
+  columnTypes: { price: "double", date_of_price: "timestamp", date_of_price_epoch_ms: "int64" },
+  groupOptions: fuelGroupOptions,
+  defaultGroupKey: "station_id",
+  summaryColumns: [
+    { label: "Fuels", column: "fuel", maxItems: Infinity, maxChars: Infinity, separator: ", " },
+    { label: "Creators", column: "creator_national_identifier" },
+    { label: "Countries", column: "creator_country", maxItems: 4, maxChars: 40 },
+  ],
+  meta: (rows) => [{ label: "stations", value: new Set(rows.map((r) => r.station_id).filter(Boolean)).size }],
+  stationJoin: true,
+  normalize: {
+    rows: normalizeFuelRows,
+    // Unit and currency columns only when at least one row carries them.
+    columns: (columns, rows) => {
+      const present = ["price_unit", "currency"].filter((col) => rows.some((r) => r[col]));
+      return insertColumnsAfter(insertColumnsAfter(columns, "price", present), "date_of_price", ["date_of_price_epoch_ms"]);
+    },
+    sortColumn: "date_of_price_epoch_ms",
+  },
+  wide: {
+    groupKey: "station_id",
+    label: "station",
+    inputLabel: "Station id",
+    idSuffix: "Station",
+    allFilename: "fuel_prices_wide.csv",
+    pivot: (rows, customColumns) => {
+      const { fuels, rows: wideRows } = wideFuelRowsForStation(rows, customColumns);
+      return { valueColumns: fuels, rows: wideRows };
+    },
+    columns: fuelWideColumns,
+    columnTypes: (fuels) => ({ date_of_price: "timestamp", ...Object.fromEntries(fuels.map((f) => [f, "double"])) }),
+    previewColumns: (fuels, customColumns = []) => ["date_of_price", ...customColumns, ...fuels],
+    metaColumns: [
+      { label: "creator", column: "creator_national_identifier", maxItems: 1, maxChars: 120 },
+      { label: "country", column: "creator_country", maxItems: 4, maxChars: 40 },
+    ],
+    // Step chart in the station preview: one line per fuel, override periods of the related table as bands.
+    chart: {
+      series: (r) => r.fuel_canonical || r.fuel,
+      time: priceObservationMs,
+      value: (r) => (typeof r.price === "number" ? r.price : parsePriceValue(r.price).value),
+      label: (r) => `${r.price} (${r.date_of_price})`,
+      bands: { table: "overrideOpen", label: "overrideOpen period", start: "start_of_period", end: "end_of_period" },
+    },
+  },
+  resample: {
+    rows: resampleFuelRows,
+    columns: resampledLongColumns,
+    columnTypes: resampledColumnTypes,
+    pivot: resampledWideRows,
+  },
+  crossPivot: {
+    label: "Fuel",
+    options: (rows) => Array.from(new Set(rows.map((r) => r.fuel_canonical || r.fuel).filter(Boolean))).sort(),
+    pivot: crossStationPivot,
+    fileSuffix: "by_station",
+  },
+};
+
+const overrideOpenTable = {
+  key: "overrideOpen",
+  label: "Override open periods",
+  statusLabel: "Overrides",
+  idPrefix: "override",
+  columns: overrideColumns,
+  filePrefix: "override_open",
+  allFilename: "override_open.csv",
+  sortColumn: "start_of_period",
+  timeColumn: "start_of_period",
+  dedupeKey: (r) => [r.station_id, r.start_of_period, r.end_of_period].join("\u0000"),
+  columnTypes: { start_of_period: "timestamp", end_of_period: "timestamp", start_of_period_epoch_ms: "int64" },
+  normalize: {
+    rows: normalizeOverrideRows,
+    columns: (columns) => insertColumnsAfter(columns, "start_of_period", ["start_of_period_epoch_ms"]),
+    sortColumn: "start_of_period_epoch_ms",
+  },
+  meta: (rows) => [{ label: "stations", value: new Set(rows.map((r) => r.station_id || "(missing station_id)")).size }],
+};
+
+const stationTable = {
+  key: "stations",
+  label: "Petrol stations (master data)",
+  statusLabel: "Stations",
+  idPrefix: "station",
+  columns: stationColumns,
+  filePrefix: "stations",
+  allFilename: "stations.csv",
+  sortColumn: "station_id",
+  dedupeKey: (r) => [r.station_id, r.station_version].join("\u0000"),
+  columnTypes: { latitude: "double", longitude: "double" },
+  meta: (rows) => [{ label: "with coordinates", value: rows.filter((r) => r.latitude && r.longitude).length }],
+};
+
+const parkingStatusTable = {
+  key: "parkingStatus",
+  label: "Parking status (occupancy)",
+  statusLabel: "Parking rows",
+  idPrefix: "parking",
+  columns: parkingStatusColumns,
+  filePrefix: "parking_status",
+  allFilename: "parking_status_long.csv",
+  sortColumn: "parking_status_origin_time",
+  timeColumn: "parking_status_origin_time",
+  dedupeKey: (r) =>
+    [r.parking_record_id, r.level, r.parking_status_origin_time, r.occupancy, r.vacant_spaces, r.status].join("\u0000"),
+  columnTypes: parkingColumnTypes,
+  groupOptions: parkingGroupOptions,
+  defaultGroupKey: "parking_record_id",
+  summaryColumns: [
+    { label: "Level", column: "level" },
+    { label: "Status", column: "status", maxItems: 3 },
+    { label: "Creators", column: "creator_national_identifier" },
+  ],
+  meta: (rows) => [
+    { label: "sites", value: new Set(rows.filter((r) => r.level === "site").map((r) => r.parking_record_id)).size },
+    { label: "facilities", value: new Set(rows.filter((r) => r.level === "facility").map((r) => r.parking_record_id)).size },
+  ],
+  wide: {
+    groupKey: "parking_record_id",
+    label: "site",
+    inputLabel: "Parking record id",
+    idSuffix: "Site",
+    allFilename: "parking_status_wide.csv",
+    pivot: (rows) => {
+      const { metrics, rows: wideRows } = wideParkingRowsForSite(rows);
+      return { valueColumns: metrics, rows: wideRows };
+    },
+    columns: parkingWideColumns,
+    columnTypes: () => parkingColumnTypes,
+    previewColumns: (metrics) => ["parking_status_origin_time", ...metrics],
+    metaColumns: [
+      { label: "level", column: "level" },
+      { label: "creator", column: "creator_national_identifier", maxItems: 1, maxChars: 120 },
+    ],
+  },
+};
+
+const situationTable = {
+  key: "situations",
+  label: "Situation records (traffic, roadworks)",
+  statusLabel: "Situation records",
+  idPrefix: "situation",
+  columns: situationColumns,
+  filePrefix: "situation_records",
+  allFilename: "situation_records.csv",
+  sortColumn: "validity_start",
+  timeColumn: "validity_start",
+  dedupeKey: (r) => [r.situation_id, r.situation_record_id, r.situation_record_version].join("\u0000"),
+  columnTypes: { validity_start: "timestamp", validity_end: "timestamp", latitude: "double", longitude: "double" },
+  groupOptions: situationGroupOptions,
+  defaultGroupKey: "situation_id",
+  summaryColumns: [
+    { label: "Record types", column: "record_type", maxItems: 3 },
+    { label: "Severity", column: "severity", maxItems: 3 },
+    { label: "Roads", column: "road_number", maxItems: 3 },
+  ],
+  meta: (rows) => [{ label: "situations", value: new Set(rows.map((r) => r.situation_id).filter(Boolean)).size }],
+};
+
+const publicationExtractors = [];
+
+function registerPublicationExtractor(extractor) {
+  if (publicationExtractors.some((e) => e.key === extractor.key)) {
+    throw new Error(`Publication extractor “${extractor.key}” is already registered.`);
+  }
+  publicationExtractors.push(extractor);
+  return extractor;
+}
+
+function publicationTables() {
+  return publicationExtractors.flatMap((e) => e.tables);
+}
+
+// Local names of the root extensionName and every payloadPublication xsi:type ("fp:FuelPricePublication" → "FuelPricePublication").
+function publicationTypesOf(doc) {
+  const types = new Set();
+  const root = doc.documentElement;
+  const extensionName = root ? root.getAttribute("extensionName") || "" : "";
+  if (extensionName) types.add(extensionName);
+  for (const payload of Array.from(doc.getElementsByTagNameNS("*", "payloadPublication"))) {
+    const type = (payload.getAttribute("xsi:type") || "").replace(/^.*:/, "");
+    if (type) types.add(type);
+  }
+  return types;
+}
+
+registerPublicationExtractor({
+  key: "FuelPricePublication",
+  publicationTypes: ["FuelPricePublication"],
+  tables: [fuelPriceTable, overrideOpenTable],
+  // Custom columns (see normalizeCustomColumns): station paths apply to prices and overrides, price paths to prices.
+  customColumns: (columns) => ({
+    fuelPrices: columns.map((c) => c.name),
+    overrideOpen: columns.filter((c) => c.context === "station").map((c) => c.name),
+  }),
+  extract: (doc, context) => {
+    const extracted = extractFuelPricePublication(doc, context);
+    return extracted && {
+      fuelPrices: withCanonicalFuel(extracted.fuelRows, context.fuelMapping),
+      overrideOpen: extracted.overrideRows,
+    };
+  },
+});
+
+registerPublicationExtractor({
+  key: "PetrolStations",
+  publicationTypes: ["PetrolStationTablePublication", "EnergyInfrastructureTablePublication"],
+  // Station master data is recognised by content too, since creators wrap it in different publication types.
+  detect: (doc) => Array.from(doc.getElementsByTagNameNS("*", "petrolStation")).some((el) => el.getAttribute("id")),
+  tables: [stationTable],
+  extract: (doc, context) => {
+    const rows = extractPetrolStations(doc, context);
+    return rows && { stations: rows };
+  },
+});
+
+registerPublicationExtractor({
+  key: "ParkingStatusPublication",
+  publicationTypes: ["ParkingStatusPublication", "ParkingFacilityTableStatusPublication"],
+  tables: [parkingStatusTable],
+  extract: (doc, context) => {
+    const rows = extractParkingStatusPublication(doc, context);
+    return rows && { parkingStatus: rows };
+  },
+});
+
+registerPublicationExtractor({
+  key: "SituationPublication",
+  publicationTypes: ["SituationPublication"],
+  tables: [situationTable],
+  extract: (doc, context) => {
+    const rows = extractSituationPublication(doc, context);
+    return rows && { situations: rows };
+  },
+});
+
+async function extractPublicationsFromItems(
+  items,
+  { onProgress, signal, customColumns: customColumnList = [], fuelMapping: fuelMappingInput = {} } = {},
+) {
+  const customColumns = normalizeCustomColumns(customColumnList);
+  const fuelMapping = normalizeFuelMapping(fuelMappingInput);
+  const tables = {};
+  for (const table of publicationTables()) tables[table.key] = [];
+  const matchedBinaries = {};
+  const unrecognizedTypes = new Set();
+  let parsedXmlBinaries = 0;
+
+  const decoder = new TextDecoder("utf-8", { fatal: false });
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    throwIfAborted(signal);
+    if (onProgress) await onProgress({ stage: "extract", done: i, total: items.length, id: item.id });
+    if (item.error) continue;
+    if (!item.decodedBytes || !item.decodedInfo || item.decodedInfo.ext !== "xml") continue;
+
+    const text = decoder.decode(item.decodedBytes);
+    const doc = tryParseXmlText(text);
+    if (!doc) continue;
+    parsedXmlBinaries++;
+
+    const context = { binaryId: item.id || String(item.index + 1), sourceFile: item.sourceFile || "", customColumns, fuelMapping };
+    const types = publicationTypesOf(doc);
+    let matched = false;
+    for (const extractor of publicationExtractors) {
+      const handles = extractor.publicationTypes.some((t) => types.has(t)) || (extractor.detect && extractor.detect(doc));
+      if (!handles) continue;
+      const extracted = extractor.extract(doc, context);
+      if (!extracted) continue;
+      matched = true;
+      matchedBinaries[extractor.key] = (matchedBinaries[extractor.key] || 0) + 1;
+      for (const [key, rows] of Object.entries(extracted)) {
+        for (const row of rows) tables[key].push(row);
+      }
+    }
+    if (!matched) for (const type of types) unrecognizedTypes.add(type);
+  }
+
+  // Overlapping snapshots repeat the same observations; keep the first one seen (earliest source file).
+  const duplicates = {};
+  for (const table of publicationTables()) {
+    if (!table.dedupeKey) continue;
+    const collapsed = collapseDuplicateRows(tables[table.key], table.dedupeKey);
+    tables[table.key] = collapsed.rows;
+    duplicates[table.key] = collapsed.duplicates;
+  }
+
+  // Custom column names per table key; apply with tableWithCustomColumns before rendering or writing a table.
+  const customColumnNames = {};
+  for (const extractor of publicationExtractors) {
+    if (extractor.customColumns && customColumns.length) Object.assign(customColumnNames, extractor.customColumns(customColumns));
+  }
+
+  return {
+    tables,
+    duplicates,
+    customColumns: customColumnNames,
+    matchedBinaries,
+    parsedXmlBinaries,
+    unrecognizedTypes: Array.from(unrecognizedTypes).sort(),
+  };
+}
+
+// One wide table across all groups of `table.wide.groupKey`; the union of value columns becomes the column set.
+function wideRowsForAllGroups(table, rows, extraColumns = []) {
+  const valueColumns = new Set();
+  const out = [];
+  for (const groupRows of groupBy(rows, (r) => r[table.wide.groupKey] || "").values()) {
+    const wide = table.wide.pivot(groupRows);
+    for (const col of wide.valueColumns) valueColumns.add(col);
+    for (const row of wide.rows) out.push(row);
+  }
+  return { columns: table.wide.columns(Array.from(valueColumns).sort(), extraColumns), rows: out };
+}
+
+// sources: [{ name, text }] — one entry per response file. Items are tagged with `sourceFile`.
+async function decodeSources(sources, { onProgress, signal, customColumns, fuelMapping } = {}) {
+  const items = [];
+  for (let s = 0; s < sources.length; s++) {
+    const { name, text } = sources[s];
+    const sourceProgress =
+      onProgress && ((p) => onProgress({ ...p, source: name, sourceIndex: s, sourceCount: sources.length }));
+    let decoded;
+    try {
+      decoded = await decodeXmlToItems(text, { onProgress: sourceProgress, signal });
+    } catch (e) {
+      // A single broken file should not sink a whole batch; report it like a failed binary instead.
+      if (sources.length === 1 || e instanceof DecodeCancelledError) throw e;
+      decoded = [{ index: 0, id: name, type: "response", error: e && e.message ? e.message : "Failed to decode." }];
+    }
+    for (const item of decoded) {
+      item.sourceFile = name;
+      items.push(item);
+    }
+  }
+  const extracted = await extractPublicationsFromItems(items, { onProgress, signal, customColumns, fuelMapping });
+  return { items, extracted };
+}
+
+// What the page keeps of a decoded item: its metadata and preview with the byte counts (rawSize, decodedSize; null
+// without bytes) instead of the base64 text and the bytes. decodeItemBytes reads the bytes again for a download.
+function itemWithoutBytes({ base64, rawBytes, decodedBytes, ...rest }) {
+  const size = (bytes) => (bytes ? bytes.length : null);
+  return { ...rest, rawSize: size(rawBytes), decodedSize: size(decodedBytes) };
+}
+
+// [{ rawBytes, decodedBytes }] for `items` of decodeSources(sources), decoded again from the sources (nulls for items
+// that failed); each response and ZIP archive is read once.
+async function decodeItemBytes(sources, items) {
+  const binaries = new Map();
+  const archives = new Map();
+  const binaryOf = (item) => {
+    const source = sources.find((s) => s.name === item.sourceFile) || (sources.length === 1 ? sources[0] : null);
+    if (!source) return null;
+    if (!binaries.has(source)) binaries.set(source, extractBinaryItems(source.text));
+    return binaries.get(source)[item.index] || null;
+  };
+  const out = [];
+  for (const item of items) {
+    if (item.error) {
+      out.push({ rawBytes: null, decodedBytes: null });
+      continue;
+    }
+    const bin = binaryOf(item);
+    if (!bin || !bin.base64) throw new Error(`Binary “${item.id}” is no longer in the decoded response.`);
+    let bytes = base64ToBytes(bin.base64);
+    if (item.zipEntry) {
+      if (!archives.has(bin)) archives.set(bin, await unzipBytes(bytes));
+      const entry = (archives.get(bin) || []).find((e) => e.name === item.zipEntry);
+      if (!entry) throw new Error(`ZIP entry “${item.zipEntry}” is no longer in the decoded response.`);
+      bytes = entry.bytes;
+    }
+    const { rawBytes, decodedBytes } = await decodeBytesToItem(item, bytes, "");
+    out.push({ rawBytes, decodedBytes });
+  }
+  return out;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    applyRowFilter,
+    assertTimeZone,
+    base64ToBytes,
+    buildSqliteDatabase,
+    buildQualityReport,
+    bytesToBase64,
+    canonicalFuel,
+    canonicalFuelTypes,
+    collapseDuplicateRows,
+    combineGroupOptions,
+    commonTimeZones,
+    compactViewState,
+    compareSnapshots,
+    crc32,
+    createZipBytes,
+    crossStationPivot,
+    csvEscape,
+    csvHeaderLabelsToText,
+    customColumnContexts,
+    customColumnsToJson,
+    decodeItemBytes,
+    decodeSources,
+    decodeViewState,
+    decodeXmlToItems,
+    describeBytes,
+    DecodeCancelledError,
+    defaultCsvDialect,
+    defaultNormalizeSettings,
+    defaultQualityOptions,
+    describeRowFilter,
+    evaluateLocalPath,
+    extractBinaryItems,
+    extractFuelPricePublication,
+    extractParkingStatusPublication,
+    extractPetrolStations,
+    extractSituationPublication,
+    extractPublicationsFromItems,
+    emptyRowFilter,
+    encodeViewState,
+    formatTimestampInZone,
+    filterValueList,
+    fuelGroupOptions,
+    fuelMappingToJson,
+    fuelLongColumns,
+    fuelPriceTable,
+    fuelWideColumns,
+    groupBy,
+    gunzipBytes,
+    isRowFilterActive,
+    itemWithoutBytes,
+    looksGzip,
+    looksZip,
+    normalizeCsvDialect,
+    normalizeCustomColumns,
+    normalizeFuelMapping,
+    normalizeFuelRows,
+    normalizeOverrideRows,
+    normalizeRowFilter,
+    normalizeTable,
+    normalizeTimestamp,
+    normalizeViewState,
+    overrideColumns,
+    overrideOpenTable,
+    parkingGroupOptions,
+    parkingStatusColumns,
+    parkingStatusTable,
+    parkingWideColumns,
+    parseCsvHeaderLabels,
+    parseCustomColumnsJson,
+    parseFuelMappingJson,
+    parseLocalPath,
+    parsePriceValue,
+    parseTimestampInZone,
+    parseXmlDocument,
+    publicationExtractors,
+    publicationTables,
+    publicationTypesOf,
+    qualityChecks,
+    qualityReportColumns,
+    registerPublicationExtractor,
+    reservedCustomColumnNames,
+    resampledLongColumns,
+    resampledWideRows,
+    resampleFuelRows,
+    resampleIntervals,
+    resampleStatistics,
+    rowFilterColumns,
+    rowFilterFileTag,
+    rowFilterForColumns,
+    rowFilterPredicate,
+    rowsToCsv,
+    rowsToParquet,
+    rowsToXlsx,
+    safeFileName,
+    sessionToSqlite,
+    snapshotChangeTypes,
+    snapshotDiffColumns,
+    snapshotDiffColumnTypes,
+    situationColumns,
+    situationGroupOptions,
+    situationTable,
+    sortRowsBy,
+    stationColumns,
+    stationJoinColumns,
+    stationJoinColumnTypes,
+    stationLookup,
+    stationTable,
+    tableWithCustomColumns,
+    tableWithFileTag,
+    tryParseXmlText,
+    unzipBytes,
+    wideFuelRowsForStation,
+    wideParkingRowsForSite,
+    wideRowsForAllGroups,
+    withCanonicalFuel,
+    withStationColumns,
+  };
+}
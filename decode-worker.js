@@ -0,0 +1,17 @@
+// Runs the decode pipeline (base64 → gunzip/unzip → XML → rows) off the main thread.
+// Cancellation is done by the page terminating the worker, so there is no cancel message.
+importScripts("./core.js");
+
+self.addEventListener("message", async (e) => {
+  const { type, sources, customColumns, fuelMapping } = e.data || {};
+  if (type !== "decode") return;
+
+  const onProgress = (progress) => self.postMessage({ type: "progress", ...progress });
+  try {
+    const { items: decoded, extracted } = await decodeSources(sources, { onProgress, customColumns, fuelMapping });
+    // The page gets the tables and the item metadata and previews; it reads the bytes again for a download.
+    self.postMessage({ type: "done", items: decoded.map(itemWithoutBytes), extracted });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err && err.message ? err.message : "Failed to decode." });
+  }
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rowsToParquet } = require("../core.js");
+
+test("rowsToParquet output reads back with an independent reader", async () => {
+  const { parquetReadObjects, parquetMetadata } = await import("hyparquet");
+  const rows = Array.from({ length: 250 }, (_, i) => ({
+    station_id: `ST-${i % 7}`,
+    price: i % 10 === 0 ? "" : (1.5 + i / 1000).toFixed(3),
+    observations: String(i),
+    date_of_price: new Date(Date.UTC(2025, 0, 1) + i * 60000).toISOString(),
+  }));
+  const columns = ["station_id", "price", "observations", "date_of_price"];
+  const columnTypes = { price: "double", observations: "int64", date_of_price: "timestamp" };
+  const bytes = rowsToParquet(rows, columns, columnTypes, { rowGroupSize: 100 });
+  const file = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+  assert.equal(parquetMetadata(file).row_groups.length, 3);
+  const read = await parquetReadObjects({ file });
+  assert.equal(read.length, rows.length);
+  for (const [i, r] of rows.entries()) {
+    assert.equal(read[i].station_id, r.station_id);
+    assert.equal(read[i].price, r.price === "" ? null : Number(r.price));
+    assert.equal(read[i].observations, BigInt(i));
+    assert.equal(read[i].date_of_price.toISOString(), r.date_of_price);
+  }
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildSqliteDatabase } = require("../core.js");
+
+test("buildSqliteDatabase writes a multi-page database SQLite accepts", async () => {
+  const initSqlJs = require("sql.js");
+  const SQL = await initSqlJs();
+  const stations = Array.from({ length: 3000 }, (_, i) => [i + 1, `ST-${i}`, `Tankstelle ${"Süd ".repeat(i % 20)}${i}`]);
+  const prices = Array.from({ length: 20000 }, (_, i) => [(i % 3000) + 1, ["E5", "E10", "Diesel"][i % 3], 1.5 + (i % 400) / 1000]);
+  const bytes = buildSqliteDatabase({
+    tables: [
+      {
+        name: "stations",
+        columns: [
+          { name: "id", type: "INTEGER", primaryKey: true },
+          { name: "station_id", type: "TEXT", notNull: true },
+          { name: "name", type: "TEXT" },
+        ],
+        rows: stations,
+      },
+      {
+        name: "fuel_prices",
+        columns: [
+          { name: "station", type: "INTEGER", references: "stations(id)" },
+          { name: "fuel", type: "TEXT" },
+          { name: "price", type: "REAL" },
+        ],
+        rows: prices,
+      },
+    ],
+    indexes: [
+      { name: "stations_station_id", table: "stations", columns: ["station_id"], unique: true },
+      { name: "fuel_prices_station_fuel", table: "fuel_prices", columns: ["station", "fuel"] },
+    ],
+  });
+  const db = new SQL.Database(bytes);
+  try {
+    const value = (sql) => db.exec(sql)[0].values[0][0];
+    assert.ok(value("PRAGMA page_count") > 100);
+    assert.equal(value("PRAGMA integrity_check"), "ok");
+    assert.equal(value("SELECT count(*) FROM stations"), stations.length);
+    assert.equal(value("SELECT count(*) FROM fuel_prices"), prices.length);
+    assert.equal(value("SELECT name FROM stations WHERE station_id = 'ST-2999'"), stations[2999][2]);
+    assert.equal(value("SELECT count(*) FROM fuel_prices JOIN stations ON stations.id = fuel_prices.station WHERE fuel = 'E5'"), 6667);
+  } finally {
+    db.close();
+  }
+});
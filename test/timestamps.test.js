@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("node:child_process");
+const path = require("node:path");
+const { normalizeTimestamp, parseTimestampInZone } = require("../core.js");
+
+test("parseTimestampInZone reads timestamps without an offset in the given zone", () => {
+  assert.equal(parseTimestampInZone("2025-01-01T09:00:00", "Europe/Berlin"), Date.UTC(2025, 0, 1, 8));
+  assert.equal(parseTimestampInZone("2025-07-01T09:00:00", "Europe/Berlin"), Date.UTC(2025, 6, 1, 7));
+  assert.equal(parseTimestampInZone("2025-01-01T09:00:00", "America/New_York"), Date.UTC(2025, 0, 1, 14));
+  assert.equal(parseTimestampInZone("2025-01-01T09:00:00.250"), Date.UTC(2025, 0, 1, 9, 0, 0, 250));
+  // Around the spring-forward gap and the autumn overlap in Berlin.
+  assert.equal(parseTimestampInZone("2025-03-30T03:30:00", "Europe/Berlin"), Date.UTC(2025, 2, 30, 1, 30));
+  assert.equal(parseTimestampInZone("2025-10-26T01:30:00", "Europe/Berlin"), Date.UTC(2025, 9, 25, 23, 30));
+});
+
+test("parseTimestampInZone keeps an explicit offset and rejects what isn't a date", () => {
+  assert.equal(parseTimestampInZone("2025-01-01T09:00:00+01:00", "America/New_York"), Date.UTC(2025, 0, 1, 8));
+  assert.equal(parseTimestampInZone("2025-01-01T08:00:00Z", "Europe/Berlin"), Date.UTC(2025, 0, 1, 8));
+  assert.ok(Number.isNaN(parseTimestampInZone("2025-02-31T09:00:00", "UTC")));
+  assert.ok(Number.isNaN(parseTimestampInZone("", "UTC")));
+  assert.ok(Number.isNaN(parseTimestampInZone("yesterday", "UTC")));
+});
+
+test("normalizeTimestamp converts into the zone", () => {
+  assert.equal(normalizeTimestamp("2025-01-01T08:00:00Z", "Europe/Berlin").text, "2025-01-01T09:00:00+01:00");
+  assert.equal(normalizeTimestamp("2025-01-01T09:00:00", "Europe/Berlin").ms, Date.UTC(2025, 0, 1, 8));
+});
+
+test("results don't depend on the machine's time zone", () => {
+  const script = `
+    const { parseTimestampInZone, normalizeTimestamp } = require(${JSON.stringify(path.join(__dirname, "..", "core.js"))});
+    const texts = ["2025-01-01T09:00:00", "2025-03-30T02:30:00", "2025-10-26T02:30:00", "2025-01-01T09:00:00+01:00"];
+    const zones = ["UTC", "Europe/Berlin", "America/New_York", "Asia/Kolkata"];
+    process.stdout.write(JSON.stringify(zones.flatMap((zone) =>
+      texts.map((text) => [parseTimestampInZone(text, zone), normalizeTimestamp(text, zone).text]))));
+  `;
+  const run = (TZ) => execFileSync(process.execPath, ["-e", script], { env: { ...process.env, TZ }, encoding: "utf8" });
+  const utc = run("UTC");
+  for (const zone of ["Europe/Berlin", "America/Los_Angeles", "Asia/Tokyo", "Pacific/Chatham"]) assert.equal(run(zone), utc, zone);
+});
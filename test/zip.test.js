@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createZipBytes, unzipBytes } = require("../core.js");
+
+test("unzipBytes reads back what createZipBytes wrote", async () => {
+  const binary = Uint8Array.from({ length: 5000 }, (_, i) => (i * 7919) % 256);
+  const entries = [
+    { name: "fuel_prices.csv", data: "station_id,price\n" + "ST-A,1.799\n".repeat(2000) },
+    { name: "grüße/ümlaut.txt", data: "Tankstelle Süd" },
+    { name: "empty.csv", data: "" },
+    { name: "binary.bin", data: binary },
+  ];
+  const unzipped = await unzipBytes(await createZipBytes(entries));
+  assert.deepEqual(
+    unzipped.map((e) => e.name),
+    entries.map((e) => e.name),
+  );
+  const decoder = new TextDecoder();
+  for (const [i, entry] of entries.entries()) {
+    if (typeof entry.data === "string") assert.equal(decoder.decode(unzipped[i].bytes), entry.data);
+    else assert.deepEqual(unzipped[i].bytes, entry.data);
+  }
+  // The repetitive CSV is worth deflating.
+  assert.equal(unzipped[0].method, 8);
+  assert.ok(unzipped[0].compressedSize < entries[0].data.length / 10);
+});
+
+test("unzipBytes returns null for bytes that aren't a ZIP", async () => {
+  assert.equal(await unzipBytes(new TextEncoder().encode("<xml/>")), null);
+});